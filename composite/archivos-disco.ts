@@ -0,0 +1,181 @@
+/**
+ * IMPORTAR Y EXPORTAR EL ÁRBOL COMPOSITE DESDE/HACIA EL DISCO
+ *
+ * Problema: El árbol de Leaf y Composite solo existe en memoria y hay que
+ * armarlo a mano. Para usarlo con directorios de prueba (fixtures) hace falta
+ * leer una carpeta real y, al terminar, volver a escribir el árbol en disco.
+ *
+ * Solución: importDirectory recorre un directorio creando una Composite por
+ * carpeta y una Leaf por archivo (con su contenido), respetando patrones a
+ * ignorar y una profundidad máxima. exportTree hace el camino inverso sobre
+ * una carpeta de destino.
+ */
+
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { Component, Leaf, Composite } from './index';
+import { VirtualFileSystem, FileSystemError } from './sistema-archivos-virtual';
+import { matchesGlob } from './patrones-glob';
+
+/**
+ * Opciones de importación.
+ */
+export interface ImportOptions {
+    /** Patrones glob a omitir, relativos al directorio importado (ej: "node_modules", "**\/*.log") */
+    ignore?: string[];
+    /** Niveles de carpetas a leer debajo del directorio importado (1 = solo su contenido directo) */
+    maxDepth?: number;
+}
+
+/**
+ * Opciones de exportación.
+ */
+export interface ExportOptions {
+    /** Permite sobrescribir archivos que ya existan en el destino */
+    overwrite?: boolean;
+}
+
+/**
+ * Lee un directorio del disco y lo convierte en un árbol Composite.
+ * Los archivos se leen como texto UTF-8; los enlaces simbólicos se omiten
+ * para no seguir ciclos.
+ *
+ * @param directory - Directorio a importar; la Composite raíz toma su nombre
+ * @throws FileSystemError ENOENT si no existe, ENOTDIR si no es un directorio
+ */
+export function importDirectory(directory: string, options: ImportOptions = {}): Composite {
+    const absolute = path.resolve(directory);
+    if (!fs.existsSync(absolute)) {
+        throw new FileSystemError('ENOENT', absolute, 'no existe');
+    }
+    if (!fs.statSync(absolute).isDirectory()) {
+        throw new FileSystemError('ENOTDIR', absolute, 'no es un directorio');
+    }
+
+    const root = new Composite(path.basename(absolute));
+    readFolder(root, absolute, '', 1, options);
+    return root;
+}
+
+function readFolder(folder: Composite, absolute: string, relative: string, depth: number, options: ImportOptions): void {
+    const { ignore = [], maxDepth = Infinity } = options;
+    if (depth > maxDepth) {
+        return;
+    }
+
+    const entries = fs.readdirSync(absolute, { withFileTypes: true })
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+    for (const entry of entries) {
+        const entryRelative = relative ? `${relative}/${entry.name}` : entry.name;
+        if (ignore.some(pattern => matchesGlob(entryRelative, pattern))) {
+            continue;
+        }
+
+        const entryAbsolute = path.join(absolute, entry.name);
+        if (entry.isDirectory()) {
+            const child = new Composite(entry.name);
+            folder.add(child);
+            readFolder(child, entryAbsolute, entryRelative, depth + 1, options);
+        } else if (entry.isFile()) {
+            folder.add(new Leaf(entry.name, fs.readFileSync(entryAbsolute, 'utf8')));
+        }
+    }
+}
+
+/**
+ * Escribe un componente en disco dentro de la carpeta de destino, como `cp -r`:
+ * una Composite llamada "fixtures" se escribe en "<destino>/fixtures". Una
+ * Composite sin nombre (la raíz de VirtualFileSystem) escribe su contenido
+ * directamente en el destino.
+ *
+ * @returns Ruta absoluta del archivo o carpeta escrita
+ * @throws FileSystemError EINVAL si un nombre no es válido en disco,
+ *         EEXIST si un archivo ya existe y no se permite sobrescribir
+ */
+export function exportTree(component: Component, targetDirectory: string, options: ExportOptions = {}): string {
+    const target = path.resolve(targetDirectory);
+    fs.mkdirSync(target, { recursive: true });
+
+    if (component instanceof Composite && component.getName() === '') {
+        for (const child of component.getChildren()) {
+            writeComponent(child, target, options);
+        }
+        return target;
+    }
+
+    return writeComponent(component, target, options);
+}
+
+function writeComponent(component: Component, directory: string, options: ExportOptions): string {
+    const name = component.getName();
+    if (name === '' || name === '.' || name === '..' || /[\\/]/.test(name)) {
+        throw new FileSystemError('EINVAL', path.join(directory, name), `nombre inválido '${name}' en`);
+    }
+
+    const destination = path.join(directory, name);
+
+    if (component instanceof Composite) {
+        if (fs.existsSync(destination) && !fs.statSync(destination).isDirectory()) {
+            throw new FileSystemError('EEXIST', destination, 'ya existe un archivo con ese nombre:');
+        }
+        fs.mkdirSync(destination, { recursive: true });
+        for (const child of component.getChildren()) {
+            writeComponent(child, destination, options);
+        }
+    } else if (component instanceof Leaf) {
+        if (fs.existsSync(destination) && !options.overwrite) {
+            throw new FileSystemError('EEXIST', destination, 'ya existe');
+        }
+        fs.writeFileSync(destination, component.getContent(), 'utf8');
+    }
+
+    return destination;
+}
+
+// ============================================================================
+// EJEMPLO DE USO
+// ============================================================================
+
+/**
+ * Arma un fixture con el sistema de archivos virtual, lo exporta a una carpeta
+ * temporal y lo vuelve a importar ignorando algunos archivos.
+ */
+export function demostrarArchivosDisco(): void {
+    console.log('💾 IMPORTAR Y EXPORTAR EL ÁRBOL DESDE EL DISCO\n');
+
+    const vfs = new VirtualFileSystem();
+    vfs.mkdir('/proyecto/src/utils', { recursive: true });
+    vfs.mkdir('/proyecto/node_modules/paquete', { recursive: true });
+    vfs.writeFile('/proyecto/package.json', '{ "name": "proyecto" }\n');
+    vfs.writeFile('/proyecto/src/index.ts', "import { sumar } from './utils/math';\n");
+    vfs.writeFile('/proyecto/src/utils/math.ts', 'export const sumar = (a: number, b: number) => a + b;\n');
+    vfs.writeFile('/proyecto/src/debug.log', 'traza\n');
+    vfs.writeFile('/proyecto/node_modules/paquete/index.js', 'module.exports = {};\n');
+
+    const temporal = fs.mkdtempSync(path.join(os.tmpdir(), 'composite-'));
+    try {
+        const exportado = exportTree(vfs.resolve('/proyecto'), temporal);
+        console.log(`\n📤 Exportado en ${exportado}`);
+
+        const importado = importDirectory(exportado, { ignore: ['node_modules', '*.log'] });
+        console.log(`\n📥 Importado (sin node_modules ni *.log): ${importado.operation()}`);
+        console.log(`📏 Tamaño: ${importado.getSize()} bytes`);
+
+        const superficial = importDirectory(exportado, { maxDepth: 1, ignore: ['node_modules'] });
+        console.log(`\n📥 Importado con maxDepth 1: ${superficial.operation()}`);
+
+        try {
+            exportTree(importado, temporal);
+        } catch (error) {
+            console.log(`\n❌ ${(error as Error).message}`);
+        }
+    } finally {
+        fs.rmSync(temporal, { recursive: true, force: true });
+    }
+}
+
+if (require.main === module) {
+    demostrarArchivosDisco();
+}
@@ -0,0 +1,357 @@
+/**
+ * CICLO DE VIDA DE UN PEDIDO (MÁQUINA DE ESTADOS)
+ *
+ * Problema: GestorPedidos tiene número y fecha pero no estado, mientras que
+ * clase03 ya define OrderStatusTS (pending, confirmed, shipped, delivered, cancelled).
+ *
+ * Solución: Una máquina de estados explícita para los pedidos compuestos, con
+ * transiciones permitidas, guardas (no enviar un pedido vacío, no modificar cajas
+ * después de confirmar), historial de transiciones y eventos a los que otros
+ * módulos (por ejemplo, notificaciones) pueden suscribirse.
+ */
+
+import { ElementoPedido, GestorPedidos, Producto, Caja } from './sistema-pedidos';
+import { ErrorEdicionBloqueada } from './errores-pedido';
+import { ConsultaPedido, recorrerEnProfundidad } from './recorrido-pedidos';
+
+/**
+ * Estados del pedido. Los valores coinciden con OrderStatusTS de clase03
+ * para que ambos sistemas puedan intercambiar estados.
+ */
+export enum EstadoPedido {
+    PENDIENTE = 'pending',
+    CONFIRMADO = 'confirmed',
+    ENVIADO = 'shipped',
+    ENTREGADO = 'delivered',
+    CANCELADO = 'cancelled'
+}
+
+/**
+ * Transiciones permitidas desde cada estado.
+ */
+export const TRANSICIONES_PERMITIDAS: Record<EstadoPedido, EstadoPedido[]> = {
+    [EstadoPedido.PENDIENTE]: [EstadoPedido.CONFIRMADO, EstadoPedido.CANCELADO],
+    [EstadoPedido.CONFIRMADO]: [EstadoPedido.ENVIADO, EstadoPedido.CANCELADO],
+    [EstadoPedido.ENVIADO]: [EstadoPedido.ENTREGADO],
+    [EstadoPedido.ENTREGADO]: [],
+    [EstadoPedido.CANCELADO]: []
+};
+
+/**
+ * Registro de una transición realizada.
+ */
+export interface TransicionPedido {
+    desde: EstadoPedido;
+    hacia: EstadoPedido;
+    fecha: Date;
+    motivo?: string;
+}
+
+/**
+ * Una guarda devuelve el motivo del rechazo, o null si la transición es válida.
+ */
+export type GuardaTransicion = (ciclo: CicloVidaPedido, hacia: EstadoPedido) => string | null;
+
+export type ManejadorTransicion = (transicion: TransicionPedido, ciclo: CicloVidaPedido) => void;
+
+/**
+ * Recibe el error lanzado por un manejador de transición.
+ */
+export type ManejadorErrorTransicion = (error: unknown, transicion: TransicionPedido, ciclo: CicloVidaPedido) => void;
+
+const informarErrorManejador: ManejadorErrorTransicion = (error, transicion) => {
+    console.error(`⚠️  Falló un suscriptor de la transición '${transicion.desde}' → '${transicion.hacia}':`, error);
+};
+
+/**
+ * Error lanzado cuando una transición no está permitida o una guarda la rechaza.
+ */
+export class ErrorTransicionInvalida extends Error {
+    public readonly desde: EstadoPedido;
+    public readonly hacia: EstadoPedido;
+
+    constructor(desde: EstadoPedido, hacia: EstadoPedido, motivo: string) {
+        super(`No se puede pasar de '${desde}' a '${hacia}': ${motivo}`);
+        this.name = 'ErrorTransicionInvalida';
+        this.desde = desde;
+        this.hacia = hacia;
+    }
+}
+
+/**
+ * Guardas incluidas por defecto.
+ */
+const guardaPedidoValido: GuardaTransicion = ciclo => {
+    const problemas = ciclo.obtenerGestor().validar();
+    return problemas.length > 0 ? `el pedido tiene ${problemas.length} problema(s) de validación` : null;
+};
+
+const guardaPedidoNoVacio: GuardaTransicion = ciclo => {
+    return new ConsultaPedido(ciclo.obtenerGestor()).productos().length === 0 ? 'el pedido no contiene productos' : null;
+};
+
+/**
+ * Máquina de estados asociada a un GestorPedidos.
+ */
+export class CicloVidaPedido {
+    private gestor: GestorPedidos;
+    private estado: EstadoPedido;
+    private historial: TransicionPedido[] = [];
+    private guardas: Map<EstadoPedido, GuardaTransicion[]> = new Map();
+    private manejadores: ManejadorTransicion[] = [];
+    private manejadorErrores: ManejadorErrorTransicion = informarErrorManejador;
+
+    constructor(gestor: GestorPedidos, estadoInicial: EstadoPedido = EstadoPedido.PENDIENTE) {
+        this.gestor = gestor;
+        this.estado = estadoInicial;
+
+        this.agregarGuarda(EstadoPedido.CONFIRMADO, guardaPedidoValido);
+        this.agregarGuarda(EstadoPedido.ENVIADO, guardaPedidoNoVacio);
+    }
+
+    public obtenerEstado(): EstadoPedido {
+        return this.estado;
+    }
+
+    public obtenerGestor(): GestorPedidos {
+        return this.gestor;
+    }
+
+    /**
+     * Copia del historial de transiciones realizadas.
+     */
+    public obtenerHistorial(): TransicionPedido[] {
+        return [...this.historial];
+    }
+
+    /**
+     * Registra una guarda adicional para las transiciones hacia un estado.
+     */
+    public agregarGuarda(hacia: EstadoPedido, guarda: GuardaTransicion): void {
+        const lista = this.guardas.get(hacia) || [];
+        lista.push(guarda);
+        this.guardas.set(hacia, lista);
+    }
+
+    /**
+     * Suscribe un manejador a todas las transiciones.
+     * Devuelve una función para cancelar la suscripción.
+     */
+    public alCambiarEstado(manejador: ManejadorTransicion): () => void {
+        this.manejadores.push(manejador);
+        return () => {
+            this.manejadores = this.manejadores.filter(m => m !== manejador);
+        };
+    }
+
+    /**
+     * Define qué hacer cuando un manejador lanza un error. Por defecto se
+     * informa con console.error; la transición ya realizada no se revierte.
+     */
+    public alFallarManejador(manejador: ManejadorErrorTransicion): void {
+        this.manejadorErrores = manejador;
+    }
+
+    /**
+     * Suscribe un manejador solo a las transiciones que llegan a un estado dado.
+     */
+    public alEntrarEn(estado: EstadoPedido, manejador: ManejadorTransicion): () => void {
+        return this.alCambiarEstado((transicion, ciclo) => {
+            if (transicion.hacia === estado) {
+                manejador(transicion, ciclo);
+            }
+        });
+    }
+
+    /**
+     * Devuelve el motivo por el que no se puede pasar al estado indicado, o null si se puede.
+     */
+    public motivoRechazo(hacia: EstadoPedido): string | null {
+        if (!TRANSICIONES_PERMITIDAS[this.estado].includes(hacia)) {
+            return 'transición no permitida';
+        }
+
+        for (const guarda of this.guardas.get(hacia) || []) {
+            const motivo = guarda(this, hacia);
+            if (motivo) {
+                return motivo;
+            }
+        }
+
+        return null;
+    }
+
+    public puedeTransicionar(hacia: EstadoPedido): boolean {
+        return this.motivoRechazo(hacia) === null;
+    }
+
+    /**
+     * Cambia el estado del pedido, registra la transición y notifica a los suscriptores.
+     * Un suscriptor que falla no impide que se notifique a los demás: su error
+     * se entrega al manejador definido con alFallarManejador.
+     *
+     * @throws ErrorTransicionInvalida si la transición no está permitida o una guarda la rechaza
+     */
+    public transicionar(hacia: EstadoPedido, motivo?: string): TransicionPedido {
+        const rechazo = this.motivoRechazo(hacia);
+        if (rechazo) {
+            throw new ErrorTransicionInvalida(this.estado, hacia, rechazo);
+        }
+
+        const transicion: TransicionPedido = { desde: this.estado, hacia, fecha: new Date() };
+        if (motivo) {
+            transicion.motivo = motivo;
+        }
+
+        this.estado = hacia;
+        this.historial.push(transicion);
+
+        // A partir de la confirmación, la estructura del pedido queda congelada
+        if (hacia === EstadoPedido.CONFIRMADO) {
+            this.gestor.establecerBloqueo(true);
+        }
+
+        for (const manejador of [...this.manejadores]) {
+            try {
+                manejador(transicion, this);
+            } catch (error) {
+                this.manejadorErrores(error, transicion, this);
+            }
+        }
+
+        return transicion;
+    }
+
+    /**
+     * Ejecuta un ajuste sobre la estructura del pedido (por ejemplo, quitar un
+     * artículo a pedido del cliente). Un pedido confirmado se desbloquea solo
+     * durante la operación y vuelve a quedar bloqueado aunque esta falle.
+     *
+     * En un pedido confirmado solo se admite quitar o mover elementos: lo que se
+     * agregue se deshace, porque nadie reservó su stock. ServicioReservas.agregarElemento
+     * reserva primero y luego pasa permitirAgregados = true.
+     *
+     * @throws ErrorEdicionBloqueada si el pedido ya fue enviado, entregado o cancelado,
+     *         o si la operación agregó elementos a un pedido confirmado
+     */
+    public ajustar<T>(operacion: (gestor: GestorPedidos) => T, permitirAgregados: boolean = false): T {
+        if (this.estado === EstadoPedido.PENDIENTE) {
+            return operacion(this.gestor);
+        }
+        if (this.estado !== EstadoPedido.CONFIRMADO) {
+            throw new ErrorEdicionBloqueada(`Pedido #${this.gestor.obtenerNumeroPedido()} (${this.estado})`);
+        }
+
+        const previos = new Set(Array.from(recorrerEnProfundidad(this.gestor), nodo => nodo.elemento));
+        let resultado: T;
+        let agregados = 0;
+
+        this.gestor.establecerBloqueo(false);
+        try {
+            resultado = operacion(this.gestor);
+        } finally {
+            if (!permitirAgregados) {
+                agregados = this.revertirAgregados(previos);
+            }
+            this.gestor.establecerBloqueo(true);
+        }
+
+        if (agregados > 0) {
+            throw new ErrorEdicionBloqueada(`Pedido #${this.gestor.obtenerNumeroPedido()} (${this.estado}: solo admite quitar elementos)`);
+        }
+        return resultado;
+    }
+
+    /**
+     * Quita los elementos que no estaban en el pedido antes de un ajuste.
+     * Devuelve cuántos se quitaron (una caja nueva cuenta una vez, con su contenido).
+     */
+    private revertirAgregados(previos: Set<ElementoPedido>): number {
+        const agregados = Array.from(recorrerEnProfundidad(this.gestor))
+            .filter(nodo => !previos.has(nodo.elemento) && (nodo.padre === null || previos.has(nodo.padre)));
+
+        for (const nodo of agregados) {
+            if (nodo.padre) {
+                nodo.padre.remover(nodo.elemento);
+            } else {
+                this.gestor.removerElemento(nodo.elemento);
+            }
+        }
+
+        return agregados.length;
+    }
+
+    public confirmar(): TransicionPedido {
+        return this.transicionar(EstadoPedido.CONFIRMADO);
+    }
+
+    public enviar(): TransicionPedido {
+        return this.transicionar(EstadoPedido.ENVIADO);
+    }
+
+    public entregar(): TransicionPedido {
+        return this.transicionar(EstadoPedido.ENTREGADO);
+    }
+
+    public cancelar(motivo?: string): TransicionPedido {
+        return this.transicionar(EstadoPedido.CANCELADO, motivo);
+    }
+}
+
+// ============================================================================
+// EJEMPLO DE USO
+// ============================================================================
+
+/**
+ * Lleva un pedido por todo su ciclo de vida mostrando guardas y eventos.
+ */
+export function demostrarCicloVida(): void {
+    console.log('🔄 CICLO DE VIDA DEL PEDIDO\n');
+
+    const cajaPerifericos = new Caja('Caja Periféricos', 5.00, 'Acolchada', 5);
+    cajaPerifericos.agregar(new Producto('Mouse Inalámbrico', 25.99, 'Periféricos'));
+
+    const gestor = new GestorPedidos('PED-2025-001');
+    gestor.agregarElemento(cajaPerifericos);
+
+    const ciclo = new CicloVidaPedido(gestor);
+
+    // Un módulo de notificaciones se suscribe a los cambios de estado
+    ciclo.alCambiarEstado(transicion => {
+        console.log(`📧 Notificación: pedido #${gestor.obtenerNumeroPedido()} pasó de '${transicion.desde}' a '${transicion.hacia}'`);
+    });
+    // Un suscriptor que falla no impide que los siguientes reciban el evento
+    ciclo.alEntrarEn(EstadoPedido.ENVIADO, () => {
+        throw new Error('servicio de SMS no disponible');
+    });
+    ciclo.alEntrarEn(EstadoPedido.ENVIADO, () => console.log('🚚 Generando guía de envío...'));
+    ciclo.alFallarManejador((error, transicion) => {
+        console.log(`⚠️  Suscriptor de '${transicion.hacia}' falló: ${(error as Error).message}`);
+    });
+
+    try {
+        ciclo.enviar(); // No se puede enviar sin confirmar
+    } catch (error) {
+        console.log(`❌ ${(error as Error).message}`);
+    }
+
+    ciclo.confirmar();
+
+    try {
+        cajaPerifericos.agregar(new Producto('Teclado Mecánico', 89.99, 'Periféricos'));
+    } catch (error) {
+        console.log(`❌ ${(error as Error).message}`);
+    }
+
+    ciclo.enviar();
+    ciclo.entregar();
+
+    console.log('\n📜 Historial de transiciones:');
+    for (const transicion of ciclo.obtenerHistorial()) {
+        console.log(`   ${transicion.fecha.toISOString()} ${transicion.desde} → ${transicion.hacia}`);
+    }
+}
+
+if (require.main === module) {
+    demostrarCicloVida();
+}
@@ -0,0 +1,301 @@
+/**
+ * INSTANTÁNEAS Y COMPARACIÓN ENTRE VERSIONES DE UN PEDIDO
+ *
+ * Problema: Cuando un cliente modifica su pedido hay que explicarle qué cambió:
+ * qué cajas se agregaron, quitaron o movieron, qué productos cambiaron de precio
+ * y cuánto varió el total de cada caja y del pedido.
+ *
+ * Solución: Tomar una instantánea plana (y serializable) del árbol del pedido y
+ * comparar dos instantáneas nodo por nodo. Los nodos se emparejan por tipo y
+ * nombre, por lo que la comparación funciona también con pedidos reconstruidos
+ * desde JSON o entre objetos distintos que representan el mismo producto.
+ */
+
+import { Producto, Caja, GestorPedidos } from './sistema-pedidos';
+import { recorrerEnProfundidad } from './recorrido-pedidos';
+import { Dinero, FormateadorMoneda, OpcionesMoneda } from './moneda-pedidos';
+
+export type TipoNodoInstantanea = 'producto' | 'caja';
+
+/**
+ * Estado de un elemento del pedido en el momento de la instantánea.
+ */
+export interface NodoInstantanea {
+    /** Identifica al elemento entre versiones: "caja:Caja Periféricos", "producto:Cable USB-C#2" */
+    clave: string;
+    clavePadre: string | null;
+    tipo: TipoNodoInstantanea;
+    nombre: string;
+    ruta: string[];
+    /** Precio propio: precio del producto o costo de la caja */
+    precio: number;
+    /** Precio total del subárbol */
+    total: number;
+}
+
+/**
+ * Instantánea completa de un pedido. Es un objeto plano que puede guardarse como JSON.
+ */
+export interface InstantaneaPedido {
+    numeroPedido: string;
+    fecha: string;
+    moneda: string;
+    total: number;
+    nodos: NodoInstantanea[];
+}
+
+export type TipoCambio = 'agregado' | 'eliminado' | 'movido' | 'precioModificado';
+
+/**
+ * Un cambio estructural o de precio entre dos versiones.
+ */
+export interface CambioPedido {
+    tipo: TipoCambio;
+    tipoNodo: TipoNodoInstantanea;
+    nombre: string;
+    rutaAnterior?: string[];
+    rutaNueva?: string[];
+    precioAnterior?: number;
+    precioNuevo?: number;
+}
+
+/**
+ * Variación del precio total de un nodo (0 si el nodo no existe en una de las versiones).
+ */
+export interface DeltaNodo {
+    clave: string;
+    nombre: string;
+    ruta: string[];
+    totalAnterior: number;
+    totalNuevo: number;
+    delta: number;
+}
+
+/**
+ * Resultado de comparar dos instantáneas de un pedido.
+ */
+export interface DiferenciaPedido {
+    numeroPedido: string;
+    moneda: string;
+    cambios: CambioPedido[];
+    deltasPorNodo: DeltaNodo[];
+    totalAnterior: number;
+    totalNuevo: number;
+    deltaTotal: number;
+}
+
+/**
+ * Toma instantáneas de pedidos, las compara y presenta las diferencias.
+ */
+export class ComparadorPedidos {
+    /**
+     * Captura el estado actual del árbol del pedido.
+     */
+    public tomarInstantanea(gestor: GestorPedidos): InstantaneaPedido {
+        const moneda = gestor.obtenerMoneda();
+        const ocurrencias = new Map<string, number>();
+        const claves = new Map<Caja, string>();
+        const nodos: NodoInstantanea[] = [];
+
+        for (const nodo of recorrerEnProfundidad(gestor)) {
+            const elemento = nodo.elemento;
+            const tipo: TipoNodoInstantanea = elemento instanceof Caja ? 'caja' : 'producto';
+
+            // Elementos con el mismo tipo y nombre se distinguen por su orden de aparición
+            const base = `${tipo}:${elemento.obtenerNombre()}`;
+            const ocurrencia = (ocurrencias.get(base) || 0) + 1;
+            ocurrencias.set(base, ocurrencia);
+            const clave = ocurrencia === 1 ? base : `${base}#${ocurrencia}`;
+
+            if (elemento instanceof Caja) {
+                claves.set(elemento, clave);
+            }
+
+            nodos.push({
+                clave,
+                clavePadre: nodo.padre ? claves.get(nodo.padre)! : null,
+                tipo,
+                nombre: elemento.obtenerNombre(),
+                ruta: nodo.ruta,
+                precio: elemento instanceof Producto ? elemento.obtenerPrecioBase() : (elemento as Caja).obtenerCostoCaja(),
+                total: elemento.calcularMonto(moneda).obtenerMonto()
+            });
+        }
+
+        return {
+            numeroPedido: gestor.obtenerNumeroPedido(),
+            fecha: new Date().toISOString(),
+            moneda,
+            total: gestor.calcularMontoTotal().obtenerMonto(),
+            nodos
+        };
+    }
+
+    /**
+     * Compara dos instantáneas del mismo pedido.
+     */
+    public comparar(anterior: InstantaneaPedido, nueva: InstantaneaPedido): DiferenciaPedido {
+        if (anterior.moneda !== nueva.moneda) {
+            throw new Error(`No se pueden comparar instantáneas en ${anterior.moneda} y ${nueva.moneda}`);
+        }
+
+        const moneda = nueva.moneda;
+        const nodosAnteriores = new Map(anterior.nodos.map(nodo => [nodo.clave, nodo] as [string, NodoInstantanea]));
+        const nodosNuevos = new Map(nueva.nodos.map(nodo => [nodo.clave, nodo] as [string, NodoInstantanea]));
+        const cambios: CambioPedido[] = [];
+        const deltasPorNodo: DeltaNodo[] = [];
+
+        const restar = (nuevo: number, previo: number): number =>
+            Dinero.desde(nuevo, moneda).restar(Dinero.desde(previo, moneda)).obtenerMonto();
+
+        for (const nodo of anterior.nodos) {
+            if (!nodosNuevos.has(nodo.clave)) {
+                cambios.push({ tipo: 'eliminado', tipoNodo: nodo.tipo, nombre: nodo.nombre, rutaAnterior: nodo.ruta, precioAnterior: nodo.precio });
+                deltasPorNodo.push({ clave: nodo.clave, nombre: nodo.nombre, ruta: nodo.ruta, totalAnterior: nodo.total, totalNuevo: 0, delta: restar(0, nodo.total) });
+            }
+        }
+
+        for (const nodo of nueva.nodos) {
+            const previo = nodosAnteriores.get(nodo.clave);
+
+            if (!previo) {
+                cambios.push({ tipo: 'agregado', tipoNodo: nodo.tipo, nombre: nodo.nombre, rutaNueva: nodo.ruta, precioNuevo: nodo.precio });
+                deltasPorNodo.push({ clave: nodo.clave, nombre: nodo.nombre, ruta: nodo.ruta, totalAnterior: 0, totalNuevo: nodo.total, delta: nodo.total });
+                continue;
+            }
+
+            if (previo.clavePadre !== nodo.clavePadre) {
+                cambios.push({ tipo: 'movido', tipoNodo: nodo.tipo, nombre: nodo.nombre, rutaAnterior: previo.ruta, rutaNueva: nodo.ruta });
+            }
+
+            if (previo.precio !== nodo.precio) {
+                cambios.push({
+                    tipo: 'precioModificado',
+                    tipoNodo: nodo.tipo,
+                    nombre: nodo.nombre,
+                    rutaNueva: nodo.ruta,
+                    precioAnterior: previo.precio,
+                    precioNuevo: nodo.precio
+                });
+            }
+
+            const delta = restar(nodo.total, previo.total);
+            if (delta !== 0) {
+                deltasPorNodo.push({ clave: nodo.clave, nombre: nodo.nombre, ruta: nodo.ruta, totalAnterior: previo.total, totalNuevo: nodo.total, delta });
+            }
+        }
+
+        return {
+            numeroPedido: nueva.numeroPedido,
+            moneda,
+            cambios,
+            deltasPorNodo,
+            totalAnterior: anterior.total,
+            totalNuevo: nueva.total,
+            deltaTotal: restar(nueva.total, anterior.total)
+        };
+    }
+
+    /**
+     * Presenta la diferencia como texto, con el mismo estilo que generarResumenPedido.
+     */
+    public formatearTexto(diferencia: DiferenciaPedido, opciones: OpcionesMoneda = {}): string {
+        const formateador = new FormateadorMoneda(diferencia.moneda, opciones);
+        const conSigno = (monto: number): string => `${monto > 0 ? '+' : ''}${formateador.formatear(monto)}`;
+        const ruta = (partes?: string[]): string => (partes || []).join(' > ');
+
+        let texto = `\n${'='.repeat(60)}\n`;
+        texto += `🔀 CAMBIOS EN EL PEDIDO #${diferencia.numeroPedido}\n`;
+        texto += `${'='.repeat(60)}\n\n`;
+
+        if (diferencia.cambios.length === 0) {
+            texto += `✅ Sin cambios\n`;
+        }
+
+        for (const cambio of diferencia.cambios) {
+            const esCaja = cambio.tipoNodo === 'caja';
+            const etiqueta = `${esCaja ? 'Caja' : 'Producto'} '${cambio.nombre}'`;
+            const sufijo = esCaja ? 'a' : 'o';
+            switch (cambio.tipo) {
+                case 'agregado':
+                    texto += `➕ ${etiqueta} agregad${sufijo} en ${ruta(cambio.rutaNueva)}\n`;
+                    break;
+                case 'eliminado':
+                    texto += `➖ ${etiqueta} eliminad${sufijo} de ${ruta(cambio.rutaAnterior)}\n`;
+                    break;
+                case 'movido':
+                    texto += `🔁 ${etiqueta} movid${sufijo}: ${ruta(cambio.rutaAnterior)} → ${ruta(cambio.rutaNueva)}\n`;
+                    break;
+                case 'precioModificado':
+                    texto += `🏷️  ${etiqueta}: ${formateador.formatear(cambio.precioAnterior!)} → ${formateador.formatear(cambio.precioNuevo!)}\n`;
+                    break;
+            }
+        }
+
+        if (diferencia.deltasPorNodo.length > 0) {
+            texto += `\n📊 VARIACIÓN POR ELEMENTO:\n`;
+            for (const delta of diferencia.deltasPorNodo) {
+                texto += `   ${ruta(delta.ruta)}: ${conSigno(delta.delta)}\n`;
+            }
+        }
+
+        texto += `\n${'='.repeat(60)}\n`;
+        texto += `💰 TOTAL: ${formateador.formatear(diferencia.totalAnterior)} → ${formateador.formatear(diferencia.totalNuevo)} (${conSigno(diferencia.deltaTotal)})\n`;
+        texto += `${'='.repeat(60)}\n`;
+
+        return texto;
+    }
+
+    /**
+     * Presenta la diferencia como JSON.
+     */
+    public aJSON(diferencia: DiferenciaPedido, espacios: number = 2): string {
+        return JSON.stringify(diferencia, null, espacios);
+    }
+}
+
+// ============================================================================
+// EJEMPLO DE USO
+// ============================================================================
+
+/**
+ * Compara un pedido antes y después de que el cliente lo modifique.
+ */
+export function demostrarComparacion(): void {
+    console.log('🔀 COMPARACIÓN ENTRE VERSIONES DE UN PEDIDO\n');
+
+    const cajaPerifericos = new Caja('Caja Periféricos', 5.00, 'Acolchada', 5);
+    const teclado = new Producto('Teclado Mecánico', 89.99, 'Periféricos');
+    cajaPerifericos.agregar(new Producto('Mouse Inalámbrico', 25.99, 'Periféricos'));
+    cajaPerifericos.agregar(teclado);
+
+    const cajaEnvio = new Caja('Caja Envío Completo', 10.00, 'Reforzada', 8);
+    const libro = new Producto('Libro de Programación', 45.00, 'Libros');
+    cajaEnvio.agregar(cajaPerifericos);
+    cajaEnvio.agregar(libro);
+
+    const gestor = new GestorPedidos('PED-2025-001');
+    gestor.agregarElemento(cajaEnvio);
+
+    const comparador = new ComparadorPedidos();
+    const antes = comparador.tomarInstantanea(gestor);
+
+    // El cliente cambia su pedido
+    cajaPerifericos.remover(teclado);
+    cajaPerifericos.agregar(new Producto('Teclado Mecánico', 79.99, 'Periféricos')); // Oferta
+    cajaEnvio.remover(libro);
+    gestor.agregarElemento(libro); // El libro viaja fuera de la caja
+    const cajaElectronicos = new Caja('Caja Electrónicos', 15.00, 'Antiestática', 3);
+    cajaElectronicos.agregar(new Producto('Monitor 24"', 299.99, 'Electrónicos'));
+    cajaEnvio.agregar(cajaElectronicos);
+
+    const diferencia = comparador.comparar(antes, comparador.tomarInstantanea(gestor));
+    console.log(comparador.formatearTexto(diferencia));
+
+    console.log('🧾 Diferencia en JSON:');
+    console.log(comparador.aJSON(diferencia));
+}
+
+if (require.main === module) {
+    demostrarComparacion();
+}
@@ -0,0 +1,228 @@
+/**
+ * CONSULTAS SOBRE EL ÁRBOL DE ARCHIVOS COMPOSITE
+ *
+ * Problema: Con un árbol de Component lo único disponible es operation(), que
+ * concatena todo en un texto. No hay forma de preguntar "¿qué archivos .ts hay?"
+ * o "¿qué hay en /Sistema/Proyectos?" y obtener los nodos.
+ *
+ * Solución: Un recorrido que entrega cada nodo con su ruta completa y una clase
+ * de consultas (glob, expresión regular, extensión, tamaño y ruta) construida
+ * sobre ese recorrido, al estilo de ConsultaPedido para los pedidos.
+ */
+
+import { Component, Leaf, Composite } from './index';
+import { VirtualFileSystem } from './sistema-archivos-virtual';
+import { matchesGlob } from './patrones-glob';
+
+/**
+ * Nodo encontrado, con su ruta absoluta desde la raíz consultada ("/Proyectos/index.ts").
+ */
+export interface TreeMatch<T extends Component = Component> {
+    node: T;
+    path: string;
+    depth: number;
+}
+
+/**
+ * Tipo de nodo a incluir en una búsqueda.
+ */
+export type NodeKind = 'file' | 'folder' | 'any';
+
+/**
+ * Criterios combinables de búsqueda; un nodo debe cumplir todos los indicados.
+ */
+export interface TreeFilter {
+    /** Patrón glob sobre la ruta (ej: "**\/*.ts") */
+    glob?: string;
+    /** Expresión regular sobre el nombre del nodo */
+    name?: RegExp;
+    /** Extensiones de archivo, con o sin punto (ej: ["ts", ".md"]) */
+    extensions?: string[];
+    /** Tamaño mínimo en bytes (incluido) */
+    minSize?: number;
+    /** Tamaño máximo en bytes (incluido) */
+    maxSize?: number;
+    kind?: NodeKind;
+}
+
+/**
+ * Recorre el árbol en profundidad. La raíz se entrega con ruta "/" y sus
+ * descendientes con rutas relativas a ella, como en VirtualFileSystem.
+ */
+export function* walkTree(root: Component): IterableIterator<TreeMatch> {
+    const pending: TreeMatch[] = [{ node: root, path: '/', depth: 0 }];
+
+    while (pending.length > 0) {
+        const current = pending.pop()!;
+        yield current;
+
+        if (current.node instanceof Composite) {
+            const children = current.node.getChildren().map(child => ({
+                node: child,
+                path: VirtualFileSystem.joinPath(current.path, child.getName()),
+                depth: current.depth + 1
+            }));
+            pending.push(...children.reverse());
+        }
+    }
+}
+
+/**
+ * Obtiene la extensión de un nombre de archivo en minúsculas y sin punto ("" si no tiene).
+ */
+export function getExtension(name: string): string {
+    const dot = name.lastIndexOf('.');
+    return dot > 0 ? name.slice(dot + 1).toLowerCase() : '';
+}
+
+/**
+ * Consultas sobre un árbol de Component.
+ */
+export class TreeQuery {
+    private root: Component;
+
+    constructor(root: Component) {
+        this.root = root;
+    }
+
+    /**
+     * Devuelve todos los nodos del árbol, incluida la raíz.
+     */
+    public all(): TreeMatch[] {
+        return Array.from(walkTree(this.root));
+    }
+
+    /**
+     * Filtra los nodos con un predicado arbitrario.
+     */
+    public where(predicate: (match: TreeMatch) => boolean): TreeMatch[] {
+        return this.all().filter(predicate);
+    }
+
+    public files(): TreeMatch<Leaf>[] {
+        return this.where(match => match.node instanceof Leaf) as TreeMatch<Leaf>[];
+    }
+
+    public folders(): TreeMatch<Composite>[] {
+        return this.where(match => match.node instanceof Composite) as TreeMatch<Composite>[];
+    }
+
+    /**
+     * Busca por patrón glob sobre la ruta. Un patrón sin "/" se compara con el
+     * nombre en cualquier carpeta ("*.ts"); con "/" se compara con la ruta
+     * completa ("Proyectos/*.zip", "**\/TypeScript/*").
+     */
+    public glob(pattern: string): TreeMatch[] {
+        return this.find({ glob: pattern });
+    }
+
+    /**
+     * Busca por nombre exacto o por expresión regular.
+     */
+    public byName(name: string | RegExp): TreeMatch[] {
+        return typeof name === 'string'
+            ? this.where(match => match.node.getName() === name)
+            : this.find({ name });
+    }
+
+    /**
+     * Archivos con alguna de las extensiones indicadas.
+     */
+    public byExtension(...extensions: string[]): TreeMatch<Leaf>[] {
+        return this.find({ extensions, kind: 'file' }) as TreeMatch<Leaf>[];
+    }
+
+    /**
+     * Nodos cuyo tamaño (recursivo en carpetas) está dentro del rango.
+     */
+    public bySize(minSize: number = 0, maxSize: number = Infinity, kind: NodeKind = 'file'): TreeMatch[] {
+        return this.find({ minSize, maxSize, kind });
+    }
+
+    /**
+     * Busca un nodo por ruta absoluta ("/Proyectos/TypeScript/index.ts").
+     * Devuelve null si no existe o si un tramo intermedio no es una carpeta.
+     */
+    public findByPath(path: string): TreeMatch | null {
+        let match: TreeMatch = { node: this.root, path: '/', depth: 0 };
+
+        for (const name of VirtualFileSystem.splitPath(path)) {
+            const child = match.node instanceof Composite ? match.node.getChild(name) : null;
+            if (!child) {
+                return null;
+            }
+            match = {
+                node: child,
+                path: VirtualFileSystem.joinPath(match.path, name),
+                depth: match.depth + 1
+            };
+        }
+
+        return match;
+    }
+
+    /**
+     * Busca combinando criterios. La raíz solo se incluye si no se indica glob.
+     */
+    public find(filter: TreeFilter): TreeMatch[] {
+        const extensions = filter.extensions?.map(extension => extension.replace(/^\./, '').toLowerCase());
+        // Sin las banderas g/y, test() no guarda lastIndex entre un nodo y el siguiente
+        const name = filter.name && new RegExp(filter.name.source, filter.name.flags.replace(/[gy]/g, ''));
+
+        return this.where(match => {
+            const { node, path } = match;
+
+            if (filter.kind === 'file' && !(node instanceof Leaf)) return false;
+            if (filter.kind === 'folder' && !(node instanceof Composite)) return false;
+            if (filter.glob !== undefined && (path === '/' || !matchesGlob(path, filter.glob))) return false;
+            if (name && !name.test(node.getName())) return false;
+            if (extensions && !(node instanceof Leaf && extensions.includes(getExtension(node.getName())))) return false;
+            if (filter.minSize !== undefined && node.getSize() < filter.minSize) return false;
+            if (filter.maxSize !== undefined && node.getSize() > filter.maxSize) return false;
+
+            return true;
+        });
+    }
+}
+
+// ============================================================================
+// EJEMPLO DE USO
+// ============================================================================
+
+/**
+ * Consulta el sistema de archivos del ejemplo de index.ts.
+ */
+export function demostrarConsultasArbol(): void {
+    console.log('🔍 CONSULTAS SOBRE EL ÁRBOL DE ARCHIVOS\n');
+
+    const vfs = new VirtualFileSystem();
+    vfs.mkdir('/Sistema/Documentos', { recursive: true });
+    vfs.mkdir('/Sistema/Proyectos/TypeScript', { recursive: true });
+    vfs.writeFile('/Sistema/Documentos/manual.pdf', 'x'.repeat(2048));
+    vfs.writeFile('/Sistema/Documentos/notas.txt', 'Revisar el patrón Composite');
+    vfs.writeFile('/Sistema/Proyectos/proyecto.zip', 'z'.repeat(4096));
+    vfs.writeFile('/Sistema/Proyectos/TypeScript/index.ts', "console.log('hola');\n");
+    vfs.writeFile('/Sistema/Proyectos/TypeScript/types.d.ts', 'export type Id = string;\n');
+
+    const consulta = new TreeQuery(vfs.getRoot());
+    const mostrar = (titulo: string, resultados: TreeMatch[]): void => {
+        console.log(`\n${titulo}`);
+        resultados.forEach(({ node, path }) => console.log(`   ${node.isComposite() ? '📁' : '📄'} ${path} (${node.getSize()} bytes)`));
+    };
+
+    mostrar('🌐 glob("**/*.ts"):', consulta.glob('**/*.ts'));
+    mostrar('🌐 glob("Sistema/*"):', consulta.glob('Sistema/*'));
+    mostrar('🔤 byName(/^[a-m]/):', consulta.byName(/^[a-m]/));
+    mostrar('🏷️  byExtension("pdf", ".zip"):', consulta.byExtension('pdf', '.zip'));
+    mostrar('📏 bySize(1 KB en adelante, carpetas):', consulta.bySize(1024, Infinity, 'folder'));
+    mostrar('🧩 find({ glob: "**/Proyectos/**", maxSize: 100, kind: "file" }):',
+        consulta.find({ glob: '**/Proyectos/**', maxSize: 100, kind: 'file' }));
+
+    const encontrado = consulta.findByPath('/Sistema/Proyectos/TypeScript/index.ts');
+    console.log(`\n📍 findByPath: ${encontrado ? `${encontrado.path} (profundidad ${encontrado.depth})` : 'no encontrado'}`);
+    console.log(`📍 findByPath("/Sistema/Fotos"): ${consulta.findByPath('/Sistema/Fotos') ?? 'no encontrado'}`);
+}
+
+if (require.main === module) {
+    demostrarConsultasArbol();
+}
@@ -0,0 +1,316 @@
+/**
+ * DIVISIÓN DE UN PEDIDO EN VARIOS ENVÍOS
+ *
+ * Problema: Los pedidos grandes armados con cajas anidadas a veces deben salir
+ * de bodega en varios bultos: la transportadora limita el peso por bulto, el
+ * seguro limita el valor declarado y algunas cajas no pueden abrirse.
+ *
+ * Solución: Descomponer el árbol en unidades que respetan los límites (una caja
+ * que no cabe se abre y se reparte su contenido, salvo que deba mantenerse
+ * intacta) y repartir esas unidades en envíos con First-Fit Decreasing. Cada
+ * envío es un GestorPedidos independiente con el mismo número de pedido y un
+ * sufijo de envío; las cajas abiertas se replican como envoltorios vacíos para
+ * conservar la estructura original.
+ */
+
+import { ElementoPedido, Producto, Caja, GestorPedidos } from './sistema-pedidos';
+import { Dinero } from './moneda-pedidos';
+
+/**
+ * Límites por envío. Los que no se indiquen no se controlan.
+ */
+export interface ReglasDivision {
+    /** Peso bruto máximo por envío (kg) */
+    pesoMaximo?: number;
+    /** Valor máximo por envío, por ejemplo el tope del seguro */
+    precioMaximo?: number;
+    /** Indica si una caja debe viajar completa aunque supere los límites de un envío parcial */
+    mantenerIntacta?: (caja: Caja) => boolean;
+}
+
+/**
+ * Un envío resultante de la división.
+ */
+export interface Envio {
+    numero: string;
+    gestor: GestorPedidos;
+    peso: number;
+    precio: number;
+}
+
+/**
+ * Error lanzado cuando un elemento no puede enviarse sin superar los límites.
+ */
+export class ErrorDivisionEnvio extends Error {
+    constructor(mensaje: string) {
+        super(mensaje);
+        this.name = 'ErrorDivisionEnvio';
+    }
+}
+
+/**
+ * Elemento que viaja completo en un envío, junto con las cajas que lo envolvían.
+ */
+interface UnidadEnvio {
+    elemento: ElementoPedido;
+    envoltorios: Caja[];
+    peso: number;
+    precio: number;
+}
+
+/**
+ * Envío en construcción: las unidades asignadas y los envoltorios ya incluidos.
+ */
+interface EnvioParcial {
+    unidades: UnidadEnvio[];
+    envoltorios: Set<Caja>;
+    peso: number;
+    precio: number;
+}
+
+/**
+ * Copia un elemento y todo su contenido, conservando las reglas de paquete.
+ */
+function clonarElemento(elemento: ElementoPedido): ElementoPedido {
+    if (elemento instanceof Producto) {
+        return new Producto(
+            elemento.obtenerNombre(),
+            elemento.obtenerPrecioBase(),
+            elemento.obtenerCategoria(),
+            elemento.calcularPeso(),
+            elemento.obtenerDimensiones()
+        );
+    }
+
+    const caja = elemento as Caja;
+    const copia = clonarEnvoltorio(caja);
+    copia.establecerReglaPaquete(caja.obtenerReglaPaquete());
+    for (const hijo of caja.obtenerContenido()) {
+        copia.agregar(clonarElemento(hijo));
+    }
+    return copia;
+}
+
+/**
+ * Copia una caja sin su contenido. Las reglas de paquete no se copian: una caja
+ * repartida entre varios envíos deja de cumplir las condiciones del paquete.
+ */
+function clonarEnvoltorio(caja: Caja): Caja {
+    return new Caja(
+        caja.obtenerNombre(),
+        caja.obtenerCostoCaja(),
+        caja.obtenerTipoEmpaque(),
+        caja.obtenerCapacidadMaxima(),
+        caja.obtenerPesoCaja(),
+        caja.obtenerDimensiones()
+    );
+}
+
+/**
+ * Divide pedidos en envíos según las reglas configuradas.
+ */
+export class DivisorEnvios {
+    private reglas: ReglasDivision;
+
+    constructor(reglas: ReglasDivision) {
+        this.reglas = reglas;
+    }
+
+    /**
+     * Divide el pedido en la menor cantidad de envíos que encuentre el algoritmo.
+     * El pedido original no se modifica.
+     *
+     * @throws ErrorDivisionEnvio si un producto o una caja intacta supera por sí sola los límites
+     */
+    public dividir(gestor: GestorPedidos): Envio[] {
+        const unidades: UnidadEnvio[] = [];
+        for (const elemento of gestor.obtenerElementos()) {
+            unidades.push(...this.descomponer(elemento, []));
+        }
+
+        // First-Fit Decreasing: primero las unidades que más ocupan de los límites
+        unidades.sort((a, b) => this.ocupacion(b.peso, b.precio) - this.ocupacion(a.peso, a.precio));
+
+        const parciales: EnvioParcial[] = [];
+        for (const unidad of unidades) {
+            let destino = parciales.find(parcial => this.cabeEnEnvio(parcial, unidad));
+            if (!destino) {
+                destino = { unidades: [], envoltorios: new Set(), peso: 0, precio: 0 };
+                parciales.push(destino);
+            }
+            this.asignar(destino, unidad);
+        }
+
+        return parciales.map((parcial, indice) => this.construirEnvio(gestor, parcial, indice + 1));
+    }
+
+    /**
+     * Devuelve el elemento como una sola unidad si respeta los límites;
+     * si no, abre la caja y descompone su contenido.
+     */
+    private descomponer(elemento: ElementoPedido, envoltorios: Caja[]): UnidadEnvio[] {
+        const costoEnvoltorios = this.costoEnvoltorios(envoltorios);
+        const unidad: UnidadEnvio = {
+            elemento,
+            envoltorios,
+            peso: elemento.calcularPeso(),
+            precio: elemento.calcularPrecio()
+        };
+
+        if (this.respetaLimites(unidad.peso + costoEnvoltorios.peso, unidad.precio + costoEnvoltorios.precio)) {
+            return [unidad];
+        }
+
+        const intacta = elemento instanceof Caja && this.reglas.mantenerIntacta !== undefined && this.reglas.mantenerIntacta(elemento);
+        if (!(elemento instanceof Caja) || intacta) {
+            throw new ErrorDivisionEnvio(
+                `'${elemento.obtenerNombre()}' (${unidad.peso.toFixed(2)} kg, ${elemento.calcularMonto().formatear()}) supera por sí solo los límites de un envío`
+            );
+        }
+
+        const unidades: UnidadEnvio[] = [];
+        for (const hijo of elemento.obtenerContenido()) {
+            unidades.push(...this.descomponer(hijo, [...envoltorios, elemento]));
+        }
+        return unidades;
+    }
+
+    private cabeEnEnvio(parcial: EnvioParcial, unidad: UnidadEnvio): boolean {
+        const extra = this.costoEnvoltorios(unidad.envoltorios.filter(caja => !parcial.envoltorios.has(caja)));
+        return this.respetaLimites(parcial.peso + unidad.peso + extra.peso, parcial.precio + unidad.precio + extra.precio);
+    }
+
+    private asignar(parcial: EnvioParcial, unidad: UnidadEnvio): void {
+        const nuevos = unidad.envoltorios.filter(caja => !parcial.envoltorios.has(caja));
+        const extra = this.costoEnvoltorios(nuevos);
+
+        nuevos.forEach(caja => parcial.envoltorios.add(caja));
+        parcial.unidades.push(unidad);
+        parcial.peso += unidad.peso + extra.peso;
+        parcial.precio += unidad.precio + extra.precio;
+    }
+
+    /**
+     * Arma el GestorPedidos de un envío replicando los envoltorios necesarios.
+     */
+    private construirEnvio(gestor: GestorPedidos, parcial: EnvioParcial, indice: number): Envio {
+        const numero = `${gestor.obtenerNumeroPedido()}-E${indice}`;
+        const envio = new GestorPedidos(numero, gestor.obtenerFechaPedido(), gestor.obtenerMoneda());
+        const copias = new Map<Caja, Caja>();
+
+        // Mantiene el orden original del pedido dentro de cada envío
+        const orden = this.ordenOriginal(gestor);
+        const unidades = [...parcial.unidades].sort((a, b) => orden.get(a.elemento)! - orden.get(b.elemento)!);
+
+        for (const unidad of unidades) {
+            let contenedor: Caja | null = null;
+
+            for (const envoltorio of unidad.envoltorios) {
+                let copia = copias.get(envoltorio);
+                if (!copia) {
+                    copia = clonarEnvoltorio(envoltorio);
+                    copias.set(envoltorio, copia);
+                    if (contenedor) {
+                        contenedor.agregar(copia);
+                    } else {
+                        envio.agregarElemento(copia);
+                    }
+                }
+                contenedor = copia;
+            }
+
+            const elemento = clonarElemento(unidad.elemento);
+            if (contenedor) {
+                contenedor.agregar(elemento);
+            } else {
+                envio.agregarElemento(elemento);
+            }
+        }
+
+        return { numero, gestor: envio, peso: envio.calcularPesoTotal(), precio: envio.calcularPrecioTotal() };
+    }
+
+    private ordenOriginal(gestor: GestorPedidos): Map<ElementoPedido, number> {
+        const orden = new Map<ElementoPedido, number>();
+        const visitar = (elemento: ElementoPedido): void => {
+            orden.set(elemento, orden.size);
+            if (elemento instanceof Caja) {
+                elemento.obtenerContenido().forEach(visitar);
+            }
+        };
+        gestor.obtenerElementos().forEach(visitar);
+        return orden;
+    }
+
+    private costoEnvoltorios(envoltorios: Caja[]): { peso: number; precio: number } {
+        return envoltorios.reduce(
+            (total, caja) => ({ peso: total.peso + caja.obtenerPesoCaja(), precio: total.precio + caja.obtenerCostoCaja() }),
+            { peso: 0, precio: 0 }
+        );
+    }
+
+    private respetaLimites(peso: number, precio: number): boolean {
+        const { pesoMaximo, precioMaximo } = this.reglas;
+        return (pesoMaximo === undefined || peso <= pesoMaximo) && (precioMaximo === undefined || precio <= precioMaximo);
+    }
+
+    /**
+     * Fracción del límite más exigente que ocupa una unidad (para ordenar).
+     */
+    private ocupacion(peso: number, precio: number): number {
+        const { pesoMaximo, precioMaximo } = this.reglas;
+        return Math.max(
+            pesoMaximo ? peso / pesoMaximo : 0,
+            precioMaximo ? precio / precioMaximo : 0
+        );
+    }
+}
+
+// ============================================================================
+// EJEMPLO DE USO
+// ============================================================================
+
+/**
+ * Divide el pedido de ejemplo en bultos de máximo 10 kg y $1,300 asegurados.
+ */
+export function demostrarDivisionEnvios(): void {
+    console.log('✂️  DIVISIÓN DEL PEDIDO EN ENVÍOS\n');
+
+    const cajaPerifericos = new Caja('Caja Periféricos', 5.00, 'Acolchada', 5, 0.3);
+    cajaPerifericos.agregar(new Producto('Mouse Inalámbrico', 25.99, 'Periféricos', 0.1));
+    cajaPerifericos.agregar(new Producto('Teclado Mecánico', 89.99, 'Periféricos', 0.9));
+
+    const cajaElectronicos = new Caja('Caja Electrónicos', 15.00, 'Antiestática', 3, 0.8);
+    cajaElectronicos.agregar(new Producto('Laptop Gaming', 1200.00, 'Electrónicos', 2.5));
+    cajaElectronicos.agregar(new Producto('Monitor 24"', 299.99, 'Electrónicos', 4.2));
+
+    const cajaEnvio = new Caja('Caja Envío Completo', 10.00, 'Reforzada', 8, 1.5);
+    cajaEnvio.agregar(cajaPerifericos);
+    cajaEnvio.agregar(cajaElectronicos);
+    cajaEnvio.agregar(new Producto('Libro de Programación', 45.00, 'Libros', 0.8));
+
+    const gestor = new GestorPedidos('PED-2025-001');
+    gestor.agregarElemento(cajaEnvio);
+    gestor.agregarElemento(new Producto('Silla Ergonómica', 180.00, 'Muebles', 9.0));
+
+    const divisor = new DivisorEnvios({
+        pesoMaximo: 10,
+        precioMaximo: 1300,
+        mantenerIntacta: caja => caja.obtenerTipoEmpaque() === 'Acolchada'
+    });
+
+    const envios = divisor.dividir(gestor);
+    console.log(`\n📦 Pedido #${gestor.obtenerNumeroPedido()}: ${gestor.calcularPesoTotal().toFixed(2)} kg, ` +
+        `${gestor.calcularMontoTotal().formatear()} → ${envios.length} envíos`);
+
+    for (const envio of envios) {
+        console.log(`\n🚚 Envío ${envio.numero}: ${envio.peso.toFixed(2)} kg, ${Dinero.desde(envio.precio).formatear()}`);
+        for (const elemento of envio.gestor.obtenerElementos()) {
+            console.log(elemento.obtenerDescripcion(1));
+        }
+    }
+}
+
+if (require.main === module) {
+    demostrarDivisionEnvios();
+}
@@ -0,0 +1,451 @@
+/**
+ * DOCUMENTOS DEL PEDIDO: LISTA DE EMPAQUE Y FACTURA
+ *
+ * Problema: generarResumenPedido() produce un único texto con emojis pensado
+ * para la consola. Bodega necesita una lista de empaque agrupada por caja y
+ * contabilidad una factura con líneas, subtotales, impuestos y totales, en
+ * formatos que puedan imprimirse, publicarse o importarse en una hoja de cálculo.
+ *
+ * Solución: Separar el contenido de la presentación. Los generadores arman un
+ * DocumentoPedido neutro (datos, columnas, secciones y totales) y cada
+ * exportador (texto, Markdown, CSV, HTML) lo presenta en su formato.
+ */
+
+import * as fs from 'fs';
+import { ElementoPedido, Producto, Caja, GestorPedidos } from './sistema-pedidos';
+import { recorrerEnProfundidad, formatearRuta } from './recorrido-pedidos';
+import { PipelinePrecios, DesglosePrecio } from './pipeline-precios';
+import { FormateadorMoneda, OpcionesMoneda } from './moneda-pedidos';
+import { escaparHTML } from './escapado-diagramas';
+
+export type AlineacionColumna = 'izquierda' | 'derecha';
+
+export interface ColumnaDocumento {
+    titulo: string;
+    alineacion: AlineacionColumna;
+}
+
+/**
+ * Grupo de filas con un título opcional (por ejemplo, una caja de la lista de empaque).
+ */
+export interface SeccionDocumento {
+    titulo?: string;
+    filas: string[][];
+}
+
+/**
+ * Documento independiente del formato de salida.
+ */
+export interface DocumentoPedido {
+    titulo: string;
+    datos: [string, string][];
+    columnas: ColumnaDocumento[];
+    secciones: SeccionDocumento[];
+    totales: [string, string][];
+}
+
+export type FormatoDocumento = 'texto' | 'markdown' | 'csv' | 'html';
+
+/**
+ * Presenta un DocumentoPedido en un formato concreto.
+ */
+export interface ExportadorDocumento {
+    readonly extension: string;
+    exportar(documento: DocumentoPedido): string;
+}
+
+// ============================================================================
+// GENERADORES
+// ============================================================================
+
+/**
+ * Arma la lista de empaque y la factura de un pedido.
+ */
+export class GeneradorDocumentos {
+    private opcionesMoneda: OpcionesMoneda;
+
+    /**
+     * @param opcionesMoneda - Moneda y configuración regional en que se presentan los montos
+     */
+    constructor(opcionesMoneda: OpcionesMoneda = {}) {
+        this.opcionesMoneda = opcionesMoneda;
+    }
+
+    /**
+     * Lista de empaque: una sección por caja, rotulada con su ruta de anidamiento,
+     * con los productos que van directamente dentro de ella.
+     */
+    public generarListaEmpaque(gestor: GestorPedidos): DocumentoPedido {
+        const secciones: SeccionDocumento[] = [];
+        const sueltos: string[][] = [];
+        let totalProductos = 0;
+
+        const filaProducto = (producto: Producto): string[] => [
+            producto.obtenerNombre(),
+            producto.obtenerCategoria(),
+            producto.calcularPeso().toFixed(2)
+        ];
+
+        for (const nodo of recorrerEnProfundidad(gestor)) {
+            if (nodo.elemento instanceof Caja) {
+                const caja = nodo.elemento;
+                secciones.push({
+                    titulo: `${formatearRuta(nodo)} (${caja.obtenerTipoEmpaque()}, ${caja.obtenerCantidadElementos()}/${caja.obtenerCapacidadMaxima()})`,
+                    filas: caja.obtenerContenido()
+                        .filter((hijo): hijo is Producto => hijo instanceof Producto)
+                        .map(filaProducto)
+                });
+            } else if (nodo.elemento instanceof Producto) {
+                totalProductos++;
+                if (!nodo.padre) {
+                    sueltos.push(filaProducto(nodo.elemento));
+                }
+            }
+        }
+
+        if (sueltos.length > 0) {
+            secciones.push({ titulo: 'Sin caja', filas: sueltos });
+        }
+
+        return {
+            titulo: 'Lista de Empaque',
+            datos: this.datosPedido(gestor),
+            columnas: [
+                { titulo: 'Producto', alineacion: 'izquierda' },
+                { titulo: 'Categoría', alineacion: 'izquierda' },
+                { titulo: 'Peso (kg)', alineacion: 'derecha' }
+            ],
+            secciones,
+            totales: [
+                ['Bultos', String(gestor.obtenerElementos().length)],
+                ['Productos', String(totalProductos)],
+                ['Peso bruto (kg)', gestor.calcularPesoTotal().toFixed(2)]
+            ]
+        };
+    }
+
+    /**
+     * Factura: una línea por producto y por empaque, con descuento, impuesto y total
+     * calculados por el pipeline de precios.
+     */
+    public generarFactura(gestor: GestorPedidos, pipeline: PipelinePrecios = new PipelinePrecios()): DocumentoPedido {
+        const formateador = new FormateadorMoneda(gestor.obtenerMoneda(), this.opcionesMoneda);
+        const monto = (valor: number): string => formateador.formatear(valor);
+        const filas: string[][] = [];
+
+        const agregarLinea = (descripcion: string, categoria: string, base: number, descuento: number, impuesto: number): void => {
+            filas.push([descripcion, categoria, monto(base), monto(-descuento), monto(impuesto), monto(base - descuento + impuesto)]);
+        };
+
+        // Recorre el árbol y su desglose en paralelo: los hijos del desglose siguen el orden del contenido
+        const agregarLineas = (elemento: ElementoPedido, desglose: DesglosePrecio): void => {
+            if (elemento instanceof Producto) {
+                agregarLinea(elemento.obtenerNombre(), elemento.obtenerCategoria(), desglose.base, desglose.descuento, desglose.impuesto);
+                return;
+            }
+
+            if (elemento instanceof Caja) {
+                const propio = this.restarHijos(desglose);
+                agregarLinea(`Empaque: ${elemento.obtenerNombre()}`, elemento.obtenerTipoEmpaque(), propio.base, propio.descuento, propio.impuesto);
+                elemento.obtenerContenido().forEach((hijo, indice) => agregarLineas(hijo, desglose.hijos[indice]));
+            }
+        };
+
+        const desglosePedido = pipeline.calcularPedido(gestor);
+        gestor.obtenerElementos().forEach((elemento, indice) => agregarLineas(elemento, desglosePedido.hijos[indice]));
+
+        const descuentoPedido = this.restarHijos(desglosePedido);
+        if (descuentoPedido.descuento !== 0 || descuentoPedido.impuesto !== 0) {
+            agregarLinea('Descuento del pedido', '', 0, descuentoPedido.descuento, descuentoPedido.impuesto);
+        }
+
+        return {
+            titulo: 'Factura',
+            datos: this.datosPedido(gestor),
+            columnas: [
+                { titulo: 'Descripción', alineacion: 'izquierda' },
+                { titulo: 'Categoría', alineacion: 'izquierda' },
+                { titulo: 'Precio', alineacion: 'derecha' },
+                { titulo: 'Descuento', alineacion: 'derecha' },
+                { titulo: 'Impuesto', alineacion: 'derecha' },
+                { titulo: 'Total', alineacion: 'derecha' }
+            ],
+            secciones: [{ filas }],
+            totales: [
+                ['Subtotal', monto(desglosePedido.base)],
+                ['Descuentos', monto(-desglosePedido.descuento)],
+                ['Impuestos', monto(desglosePedido.impuesto)],
+                ['Total', monto(desglosePedido.total)]
+            ]
+        };
+    }
+
+    private datosPedido(gestor: GestorPedidos): [string, string][] {
+        return [
+            ['Pedido', gestor.obtenerNumeroPedido()],
+            ['Fecha', gestor.obtenerFechaPedido().toISOString().slice(0, 10)]
+        ];
+    }
+
+    /**
+     * Parte del desglose que corresponde al propio nodo (empaque o descuento del pedido).
+     */
+    private restarHijos(desglose: DesglosePrecio): { base: number; descuento: number; impuesto: number } {
+        const redondear = (valor: number): number => Math.round(valor * 100) / 100;
+        let { base, descuento, impuesto } = desglose;
+
+        for (const hijo of desglose.hijos) {
+            base -= hijo.base;
+            descuento -= hijo.descuento;
+            impuesto -= hijo.impuesto;
+        }
+
+        return { base: redondear(base), descuento: redondear(descuento), impuesto: redondear(impuesto) };
+    }
+}
+
+// ============================================================================
+// EXPORTADORES
+// ============================================================================
+
+/**
+ * Texto plano con columnas alineadas, apto para impresoras de bodega.
+ */
+export class ExportadorTexto implements ExportadorDocumento {
+    public readonly extension = 'txt';
+
+    public exportar(documento: DocumentoPedido): string {
+        const anchos = documento.columnas.map((columna, i) => Math.max(
+            columna.titulo.length,
+            ...documento.secciones.map(seccion => Math.max(0, ...seccion.filas.map(fila => (fila[i] || '').length)))
+        ));
+        const anchoTotal = anchos.reduce((total, ancho) => total + ancho, 0) + 2 * (anchos.length - 1);
+
+        const formatearFila = (celdas: string[]): string => celdas
+            .map((celda, i) => documento.columnas[i].alineacion === 'derecha' ? celda.padStart(anchos[i]) : celda.padEnd(anchos[i]))
+            .join('  ')
+            .trimEnd();
+
+        const lineas: string[] = [documento.titulo.toUpperCase(), '='.repeat(anchoTotal)];
+        for (const [etiqueta, valor] of documento.datos) {
+            lineas.push(`${etiqueta}: ${valor}`);
+        }
+
+        lineas.push('', formatearFila(documento.columnas.map(columna => columna.titulo)), '-'.repeat(anchoTotal));
+
+        for (const seccion of documento.secciones) {
+            if (seccion.titulo) {
+                lineas.push(`[${seccion.titulo}]`);
+            }
+            for (const fila of seccion.filas) {
+                lineas.push(formatearFila(fila));
+            }
+        }
+
+        lineas.push('-'.repeat(anchoTotal));
+        const anchoEtiquetas = Math.max(...documento.totales.map(([etiqueta]) => etiqueta.length));
+        const anchoValores = Math.max(...documento.totales.map(([, valor]) => valor.length));
+        for (const [etiqueta, valor] of documento.totales) {
+            lineas.push(`${etiqueta.padEnd(anchoEtiquetas)}  ${valor.padStart(anchoValores)}`.padStart(anchoTotal));
+        }
+
+        return lineas.join('\n') + '\n';
+    }
+}
+
+/**
+ * Markdown con tablas, para wikis o tickets.
+ */
+export class ExportadorMarkdown implements ExportadorDocumento {
+    public readonly extension = 'md';
+
+    public exportar(documento: DocumentoPedido): string {
+        const escapar = (texto: string): string => texto.replace(/\\/g, '\\\\').replace(/\|/g, '\\|');
+        const fila = (celdas: string[]): string => `| ${celdas.map(escapar).join(' | ')} |`;
+
+        const lineas: string[] = [`# ${documento.titulo}`, ''];
+        for (const [etiqueta, valor] of documento.datos) {
+            lineas.push(`- **${etiqueta}:** ${escapar(valor)}`);
+        }
+
+        for (const seccion of documento.secciones) {
+            lineas.push('');
+            if (seccion.titulo) {
+                lineas.push(`## ${seccion.titulo}`, '');
+            }
+            lineas.push(
+                fila(documento.columnas.map(columna => columna.titulo)),
+                `|${documento.columnas.map(columna => columna.alineacion === 'derecha' ? ' ---: ' : ' --- ').join('|')}|`
+            );
+            for (const celdas of seccion.filas) {
+                lineas.push(fila(celdas));
+            }
+        }
+
+        lineas.push('', '## Totales', '', '| Concepto | Valor |', '| --- | ---: |');
+        for (const totales of documento.totales) {
+            lineas.push(fila(totales));
+        }
+
+        return lineas.join('\n') + '\n';
+    }
+}
+
+/**
+ * CSV (RFC 4180) para importar en hojas de cálculo. La primera columna indica
+ * la sección; los totales se agregan como filas de la sección "Totales".
+ */
+export class ExportadorCSV implements ExportadorDocumento {
+    public readonly extension = 'csv';
+
+    public exportar(documento: DocumentoPedido): string {
+        const campo = (valor: string): string => /[",\r\n]/.test(valor) ? `"${valor.replace(/"/g, '""')}"` : valor;
+        const fila = (celdas: string[]): string => celdas.map(campo).join(',');
+        const columnasVacias = documento.columnas.length - 2;
+
+        const lineas: string[] = [fila(['Sección', ...documento.columnas.map(columna => columna.titulo)])];
+        for (const seccion of documento.secciones) {
+            for (const celdas of seccion.filas) {
+                lineas.push(fila([seccion.titulo || '', ...celdas]));
+            }
+        }
+        for (const [etiqueta, valor] of documento.totales) {
+            lineas.push(fila(['Totales', etiqueta, ...new Array(Math.max(0, columnasVacias)).fill(''), valor]));
+        }
+
+        return lineas.join('\r\n') + '\r\n';
+    }
+}
+
+/**
+ * Página HTML autónoma (sin recursos externos), lista para imprimir o enviar.
+ */
+export class ExportadorHTML implements ExportadorDocumento {
+    public readonly extension = 'html';
+
+    public exportar(documento: DocumentoPedido): string {
+        const clase = (i: number): string => documento.columnas[i].alineacion === 'derecha' ? ' class="numero"' : '';
+        const columnas = documento.columnas.length;
+
+        let cuerpo = '';
+        for (const seccion of documento.secciones) {
+            if (seccion.titulo) {
+                cuerpo += `            <tr class="seccion"><th colspan="${columnas}">${escaparHTML(seccion.titulo)}</th></tr>\n`;
+            }
+            for (const celdas of seccion.filas) {
+                cuerpo += `            <tr>${celdas.map((celda, i) => `<td${clase(i)}>${escaparHTML(celda)}</td>`).join('')}</tr>\n`;
+            }
+        }
+
+        const totales = documento.totales
+            .map(([etiqueta, valor]) => `            <tr><th colspan="${columnas - 1}">${escaparHTML(etiqueta)}</th><td class="numero">${escaparHTML(valor)}</td></tr>`)
+            .join('\n');
+
+        return `<!DOCTYPE html>
+<html lang="es">
+<head>
+    <meta charset="UTF-8">
+    <title>${escaparHTML(`${documento.titulo} - ${documento.datos.map(([, valor]) => valor).join(' - ')}`)}</title>
+    <style>
+        body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 20px; color: #333; }
+        table { border-collapse: collapse; width: 100%; margin-top: 20px; }
+        th, td { border: 1px solid #ddd; padding: 6px 10px; text-align: left; }
+        thead th { background: #2196F3; color: white; }
+        tr.seccion th { background: #f5f5f5; }
+        tfoot th { text-align: right; }
+        .numero { text-align: right; font-variant-numeric: tabular-nums; }
+    </style>
+</head>
+<body>
+    <h1>${escaparHTML(documento.titulo)}</h1>
+    <dl>
+${documento.datos.map(([etiqueta, valor]) => `        <dt>${escaparHTML(etiqueta)}</dt><dd>${escaparHTML(valor)}</dd>`).join('\n')}
+    </dl>
+    <table>
+        <thead>
+            <tr>${documento.columnas.map((columna, i) => `<th${clase(i)}>${escaparHTML(columna.titulo)}</th>`).join('')}</tr>
+        </thead>
+        <tbody>
+${cuerpo}        </tbody>
+        <tfoot>
+${totales}
+        </tfoot>
+    </table>
+</body>
+</html>
+`;
+    }
+}
+
+const EXPORTADORES: Record<FormatoDocumento, ExportadorDocumento> = {
+    texto: new ExportadorTexto(),
+    markdown: new ExportadorMarkdown(),
+    csv: new ExportadorCSV(),
+    html: new ExportadorHTML()
+};
+
+/**
+ * Exporta un documento al formato indicado.
+ */
+export function exportarDocumento(documento: DocumentoPedido, formato: FormatoDocumento): string {
+    return EXPORTADORES[formato].exportar(documento);
+}
+
+/**
+ * Exporta un documento y lo guarda en disco; la extensión se agrega según el formato.
+ * Devuelve la ruta del archivo generado.
+ */
+export function guardarDocumento(documento: DocumentoPedido, formato: FormatoDocumento, nombreArchivo: string): string {
+    const exportador = EXPORTADORES[formato];
+    const ruta = `${nombreArchivo}.${exportador.extension}`;
+    fs.writeFileSync(ruta, exportador.exportar(documento), 'utf8');
+    return ruta;
+}
+
+// ============================================================================
+// EJEMPLO DE USO
+// ============================================================================
+
+/**
+ * Genera la lista de empaque y la factura del pedido de ejemplo.
+ */
+export function demostrarDocumentos(): void {
+    console.log('🗂️  DOCUMENTOS DEL PEDIDO\n');
+
+    const laptop = new Producto('Laptop Gaming', 1200.00, 'Electrónicos', 2.5);
+    const cajaPerifericos = new Caja('Caja Periféricos', 5.00, 'Acolchada', 5, 0.2);
+    cajaPerifericos.agregar(new Producto('Mouse Inalámbrico', 25.99, 'Periféricos', 0.1));
+    cajaPerifericos.agregar(new Producto('Teclado Mecánico', 89.99, 'Periféricos', 0.9));
+
+    const cajaElectronicos = new Caja('Caja Electrónicos', 15.00, 'Antiestática', 3, 0.5);
+    cajaElectronicos.agregar(laptop);
+
+    const cajaEnvio = new Caja('Caja Envío Completo', 10.00, 'Reforzada', 8, 1.5);
+    cajaEnvio.agregar(cajaPerifericos);
+    cajaEnvio.agregar(cajaElectronicos);
+    cajaEnvio.agregar(new Producto('Libro de Programación', 45.00, 'Libros', 0.8));
+
+    const gestor = new GestorPedidos('PED-2025-001', new Date('2025-03-14T10:00:00Z'));
+    gestor.agregarElemento(cajaEnvio);
+    gestor.agregarElemento(new Producto('Garantía Extendida', 99.99, 'Servicios'));
+
+    const pipeline = new PipelinePrecios({
+        tasasImpuestoPorCategoria: { 'Electrónicos': 0.13, 'Periféricos': 0.13, 'Servicios': 0.13, 'Libros': 0 },
+        tasaImpuestoEmpaque: 0.13
+    });
+    pipeline.agregarDescuento(laptop, { tipo: 'porcentaje', valor: 10, descripcion: 'Promoción laptops' });
+
+    const generador = new GeneradorDocumentos();
+    const listaEmpaque = generador.generarListaEmpaque(gestor);
+    const factura = generador.generarFactura(gestor, pipeline);
+
+    console.log('\n' + exportarDocumento(listaEmpaque, 'texto'));
+    console.log(exportarDocumento(factura, 'texto'));
+    console.log(exportarDocumento(listaEmpaque, 'markdown'));
+    console.log(exportarDocumento(factura, 'csv'));
+    console.log(`🌐 HTML de la factura: ${exportarDocumento(factura, 'html').length} caracteres (guardarDocumento(factura, 'html', 'factura'))`);
+}
+
+if (require.main === module) {
+    demostrarDocumentos();
+}
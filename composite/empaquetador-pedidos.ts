@@ -0,0 +1,260 @@
+/**
+ * EMPAQUETADO AUTOMÁTICO DE PRODUCTOS EN ÁRBOLES DE CAJAS
+ *
+ * Problema: En la demostración las cajas se arman a mano (cajaPerifericos,
+ * cajaElectronicos, cajaEnvioCompleto). Con muchos productos hace falta decidir
+ * automáticamente qué cajas usar y cómo anidarlas.
+ *
+ * Solución: Un empaquetador que recibe una lista plana de productos y un catálogo
+ * de tipos de caja, y construye la combinación anidada más barata que respete la
+ * capacidad de cada caja, sus dimensiones y las reglas por categoría
+ * (por ejemplo: "los electrónicos solo en cajas Antiestática").
+ *
+ * El empaquetado óptimo es un problema NP-difícil; se usa la heurística
+ * First-Fit Decreasing para cada tipo de caja y se elige el tipo más barato.
+ */
+
+import { ElementoPedido, Producto, Caja, Dimensiones, cabeEnDimensiones, calcularVolumenDimensiones } from './sistema-pedidos';
+
+/**
+ * Tipo de caja disponible en el catálogo del almacén.
+ */
+export interface TipoCaja {
+    nombre: string;
+    costo: number;
+    tipoEmpaque: string;
+    capacidadMaxima: number;
+    peso?: number;
+    dimensiones?: Dimensiones;
+}
+
+/**
+ * Restringe los tipos de empaque en los que puede ir una categoría de producto.
+ */
+export interface ReglaCategoria {
+    categoria: string;
+    tiposEmpaquePermitidos: string[];
+}
+
+/**
+ * Error lanzado cuando no existe una combinación válida de cajas.
+ */
+export class ErrorEmpaquetado extends Error {
+    constructor(mensaje: string) {
+        super(mensaje);
+        this.name = 'ErrorEmpaquetado';
+    }
+}
+
+/**
+ * Construye árboles de Caja a partir de listas planas de productos.
+ */
+export class EmpaquetadorPedidos {
+    private catalogo: TipoCaja[];
+    private reglas: ReglaCategoria[];
+    private contadorCajas: number = 0;
+
+    constructor(catalogo: TipoCaja[], reglas: ReglaCategoria[] = []) {
+        if (catalogo.length === 0) {
+            throw new ErrorEmpaquetado('El catálogo de cajas está vacío');
+        }
+        this.catalogo = catalogo;
+        this.reglas = reglas;
+    }
+
+    /**
+     * Empaqueta los productos y devuelve la caja raíz del envío.
+     *
+     * 1. Los productos con regla de categoría se agrupan y se empaquetan en el
+     *    tipo de caja permitido más barato.
+     * 2. Las cajas resultantes y los productos sin restricción se empaquetan en
+     *    contenedores exteriores, nivel por nivel, hasta que quede una sola caja.
+     */
+    public empaquetar(productos: Producto[]): Caja {
+        if (productos.length === 0) {
+            throw new ErrorEmpaquetado('No hay productos para empaquetar');
+        }
+        this.contadorCajas = 0;
+
+        const elementosSueltos: ElementoPedido[] = [];
+        const gruposRestringidos: Map<ReglaCategoria, Producto[]> = new Map();
+
+        for (const producto of productos) {
+            const regla = this.buscarRegla(producto.obtenerCategoria());
+            if (regla) {
+                const grupo = gruposRestringidos.get(regla) || [];
+                grupo.push(producto);
+                gruposRestringidos.set(regla, grupo);
+            } else {
+                elementosSueltos.push(producto);
+            }
+        }
+
+        let nivel: ElementoPedido[] = [...elementosSueltos];
+        for (const [regla, grupo] of gruposRestringidos) {
+            const tipos = this.catalogo.filter(tipo => regla.tiposEmpaquePermitidos.includes(tipo.tipoEmpaque));
+            nivel.push(...this.empaquetarNivel(grupo, tipos, `categoría '${regla.categoria}'`));
+        }
+
+        // Agregar niveles exteriores hasta obtener una única caja raíz
+        while (nivel.length > 1 || !(nivel[0] instanceof Caja)) {
+            const siguiente = this.empaquetarNivel(nivel, this.catalogo, 'el contenedor exterior');
+            if (siguiente.length >= nivel.length && nivel.length > 1) {
+                throw new ErrorEmpaquetado('Ningún tipo de caja puede agrupar los elementos en menos contenedores');
+            }
+            nivel = siguiente;
+        }
+
+        return nivel[0] as Caja;
+    }
+
+    /**
+     * Empaqueta los elementos en el tipo de caja más barato de los indicados.
+     */
+    private empaquetarNivel(elementos: ElementoPedido[], tipos: TipoCaja[], descripcion: string): Caja[] {
+        const ordenados = [...elementos].sort((a, b) => b.calcularVolumen() - a.calcularVolumen());
+
+        let mejorTipo: TipoCaja | null = null;
+        let mejorDistribucion: ElementoPedido[][] = [];
+        let mejorCosto = Infinity;
+
+        for (const tipo of tipos) {
+            const distribucion = this.simularFirstFit(ordenados, tipo);
+            if (!distribucion) {
+                continue;
+            }
+
+            const costo = distribucion.length * tipo.costo;
+            if (costo < mejorCosto) {
+                mejorCosto = costo;
+                mejorTipo = tipo;
+                mejorDistribucion = distribucion;
+            }
+        }
+
+        if (!mejorTipo) {
+            throw new ErrorEmpaquetado(`No hay un tipo de caja válido para ${descripcion}`);
+        }
+
+        const tipoElegido = mejorTipo;
+        return mejorDistribucion.map(grupo => {
+            const caja = new Caja(
+                `${tipoElegido.nombre} #${++this.contadorCajas}`,
+                tipoElegido.costo,
+                tipoElegido.tipoEmpaque,
+                tipoElegido.capacidadMaxima,
+                tipoElegido.peso || 0,
+                tipoElegido.dimensiones
+            );
+            for (const elemento of grupo) {
+                caja.agregar(elemento);
+            }
+            return caja;
+        });
+    }
+
+    /**
+     * Simula First-Fit sobre elementos ya ordenados de mayor a menor volumen.
+     * Devuelve los grupos de elementos por caja, o null si algún elemento
+     * no cabe ni siquiera en una caja vacía de este tipo.
+     */
+    private simularFirstFit(elementos: ElementoPedido[], tipo: TipoCaja): ElementoPedido[][] | null {
+        if (tipo.capacidadMaxima < 1) {
+            return null;
+        }
+
+        const volumenCaja = tipo.dimensiones ? calcularVolumenDimensiones(tipo.dimensiones) : Infinity;
+        const grupos: ElementoPedido[][] = [];
+        const volumenesOcupados: number[] = [];
+
+        for (const elemento of elementos) {
+            if (!this.permiteElemento(tipo, elemento)) {
+                return null;
+            }
+
+            const volumen = elemento.calcularVolumen();
+            let indice = grupos.findIndex((grupo, i) =>
+                grupo.length < tipo.capacidadMaxima && volumenesOcupados[i] + volumen <= volumenCaja
+            );
+
+            if (indice === -1) {
+                grupos.push([]);
+                volumenesOcupados.push(0);
+                indice = grupos.length - 1;
+            }
+
+            grupos[indice].push(elemento);
+            volumenesOcupados[indice] += volumen;
+        }
+
+        return grupos;
+    }
+
+    /**
+     * Verifica si un elemento, por sí solo, puede ir dentro de una caja vacía del tipo dado.
+     */
+    private permiteElemento(tipo: TipoCaja, elemento: ElementoPedido): boolean {
+        if (elemento instanceof Producto) {
+            const regla = this.buscarRegla(elemento.obtenerCategoria());
+            if (regla && !regla.tiposEmpaquePermitidos.includes(tipo.tipoEmpaque)) {
+                return false;
+            }
+        }
+
+        if (!tipo.dimensiones) {
+            return true;
+        }
+
+        const dimensiones = elemento.obtenerDimensiones();
+        if (dimensiones && !cabeEnDimensiones(dimensiones, tipo.dimensiones)) {
+            return false;
+        }
+        return elemento.calcularVolumen() <= calcularVolumenDimensiones(tipo.dimensiones);
+    }
+
+    private buscarRegla(categoria: string): ReglaCategoria | undefined {
+        return this.reglas.find(regla => regla.categoria === categoria);
+    }
+}
+
+// ============================================================================
+// EJEMPLO DE USO
+// ============================================================================
+
+/**
+ * Empaqueta automáticamente los productos de la demostración original.
+ */
+export function demostrarEmpaquetado(): void {
+    console.log('📦 EMPAQUETADO AUTOMÁTICO\n');
+
+    const productos = [
+        new Producto('Laptop Gaming', 1200.00, 'Electrónicos', 2.5, { largo: 40, ancho: 28, alto: 4 }),
+        new Producto('Monitor 24"', 299.99, 'Electrónicos', 4.2, { largo: 60, ancho: 40, alto: 12 }),
+        new Producto('Mouse Inalámbrico', 25.99, 'Periféricos', 0.1, { largo: 12, ancho: 7, alto: 4 }),
+        new Producto('Teclado Mecánico', 89.99, 'Periféricos', 0.9, { largo: 45, ancho: 15, alto: 4 }),
+        new Producto('Cable USB-C', 19.99, 'Accesorios', 0.05, { largo: 10, ancho: 10, alto: 2 }),
+        new Producto('Libro de Programación', 45.00, 'Libros', 0.8, { largo: 24, ancho: 17, alto: 3 })
+    ];
+
+    const catalogo: TipoCaja[] = [
+        { nombre: 'Caja Acolchada', costo: 5.00, tipoEmpaque: 'Acolchada', capacidadMaxima: 5, dimensiones: { largo: 50, ancho: 30, alto: 15 } },
+        { nombre: 'Caja Antiestática', costo: 15.00, tipoEmpaque: 'Antiestática', capacidadMaxima: 3, dimensiones: { largo: 65, ancho: 45, alto: 20 } },
+        { nombre: 'Caja Reforzada', costo: 10.00, tipoEmpaque: 'Reforzada', capacidadMaxima: 8, dimensiones: { largo: 90, ancho: 60, alto: 50 } }
+    ];
+
+    const reglas: ReglaCategoria[] = [
+        { categoria: 'Electrónicos', tiposEmpaquePermitidos: ['Antiestática'] },
+        { categoria: 'Periféricos', tiposEmpaquePermitidos: ['Acolchada', 'Antiestática'] }
+    ];
+
+    const empaquetador = new EmpaquetadorPedidos(catalogo, reglas);
+    const envio = empaquetador.empaquetar(productos);
+
+    console.log('\n📋 ESTRUCTURA GENERADA:');
+    console.log(envio.obtenerDescripcion());
+    console.log(`\n💰 Precio total: $${envio.calcularPrecio().toFixed(2)}`);
+}
+
+if (require.main === module) {
+    demostrarEmpaquetado();
+}
@@ -0,0 +1,147 @@
+/**
+ * COTIZACIÓN DE ENVÍO A PARTIR DEL PESO Y VOLUMEN DEL PEDIDO
+ *
+ * Problema: Para cotizar un envío se necesita el peso bruto del pedido completo
+ * (productos + cajas anidadas) y su volumen, ya que las transportadoras cobran
+ * por el mayor entre el peso real y el peso volumétrico.
+ *
+ * Solución: Calcular recursivamente peso y volumen con el patrón Composite y
+ * entregar el peso facturable a una calculadora de envío con la misma interfaz
+ * que la familia ShippingCalculatorTS de clase03.
+ */
+
+import { Producto, Caja, GestorPedidos } from './sistema-pedidos';
+
+/**
+ * Interfaz compatible con ShippingCalculatorTS (clase03): cualquier calculadora
+ * de esa familia (StandardShippingTS, ExpressShippingTS, FreeShippingTS) puede
+ * usarse directamente con el cotizador.
+ */
+export interface CalculadoraEnvio {
+    calculateShipping(weight: number, distance: number): number;
+}
+
+/**
+ * Tarifa estándar: misma fórmula que StandardShippingTS.
+ */
+export class EnvioEstandar implements CalculadoraEnvio {
+    public calculateShipping(weight: number, distance: number): number {
+        if (weight <= 0 || distance <= 0) {
+            throw new Error('Peso y distancia deben ser mayores a 0');
+        }
+        return weight * 0.5 + distance * 0.1;
+    }
+}
+
+/**
+ * Tarifa express: misma fórmula que ExpressShippingTS (estándar x 1.5).
+ */
+export class EnvioExpress implements CalculadoraEnvio {
+    private multiplicador: number = 1.5;
+
+    public calculateShipping(weight: number, distance: number): number {
+        return new EnvioEstandar().calculateShipping(weight, distance) * this.multiplicador;
+    }
+}
+
+/**
+ * Resultado de una cotización de envío.
+ */
+export interface CotizacionEnvio {
+    pesoBruto: number;
+    pesoVolumetrico: number;
+    pesoFacturable: number;
+    distancia: number;
+    costo: number;
+}
+
+/**
+ * Cotiza el envío de un pedido completo usando cualquier CalculadoraEnvio.
+ */
+export class CotizadorEnvio {
+    private calculadora: CalculadoraEnvio;
+    private divisorVolumetrico: number;
+
+    /**
+     * @param calculadora - Estrategia de tarifa a utilizar
+     * @param divisorVolumetrico - cm³ por kg usados para el peso volumétrico (estándar de la industria: 5000)
+     */
+    constructor(calculadora: CalculadoraEnvio, divisorVolumetrico: number = 5000) {
+        this.calculadora = calculadora;
+        this.divisorVolumetrico = divisorVolumetrico;
+    }
+
+    /**
+     * Calcula el volumen total del pedido en cm³.
+     */
+    public calcularVolumen(gestor: GestorPedidos): number {
+        let volumen = 0;
+        for (const elemento of gestor.obtenerElementos()) {
+            volumen += elemento.calcularVolumen();
+        }
+        return volumen;
+    }
+
+    /**
+     * Cotiza el envío del pedido a una distancia dada (km).
+     */
+    public cotizar(gestor: GestorPedidos, distancia: number): CotizacionEnvio {
+        const pesoBruto = gestor.calcularPesoTotal();
+        const pesoVolumetrico = this.calcularVolumen(gestor) / this.divisorVolumetrico;
+        const pesoFacturable = Math.max(pesoBruto, pesoVolumetrico);
+
+        return {
+            pesoBruto,
+            pesoVolumetrico,
+            pesoFacturable,
+            distancia,
+            costo: this.calculadora.calculateShipping(pesoFacturable, distancia)
+        };
+    }
+}
+
+// ============================================================================
+// EJEMPLO DE USO
+// ============================================================================
+
+/**
+ * Demuestra el control de capacidad volumétrica y la cotización de envío.
+ */
+export function demostrarEnvio(): void {
+    console.log('🚚 PESO, VOLUMEN Y COTIZACIÓN DE ENVÍO\n');
+
+    const laptop = new Producto('Laptop Gaming', 1200.00, 'Electrónicos', 2.5, { largo: 40, ancho: 28, alto: 4 });
+    const monitor = new Producto('Monitor 24"', 299.99, 'Electrónicos', 4.2, { largo: 60, ancho: 40, alto: 12 });
+    const mouse = new Producto('Mouse Inalámbrico', 25.99, 'Periféricos', 0.1, { largo: 12, ancho: 7, alto: 4 });
+    const libro = new Producto('Libro de Programación', 45.00, 'Libros', 0.8, { largo: 24, ancho: 17, alto: 3 });
+
+    const cajaPequena = new Caja('Caja Pequeña', 3.00, 'Acolchada', 5, 0.2, { largo: 30, ancho: 20, alto: 10 });
+    cajaPequena.agregar(mouse);
+    try {
+        cajaPequena.agregar(laptop); // No cabe: la laptop mide 40 cm de largo
+    } catch (error) {
+        console.log(`⚠️  ${(error as Error).message}`);
+    }
+
+    const cajaGrande = new Caja('Caja Envío Completo', 10.00, 'Reforzada', 8, 1.5, { largo: 70, ancho: 50, alto: 30 });
+    cajaGrande.agregar(laptop);
+    cajaGrande.agregar(monitor);
+    cajaGrande.agregar(cajaPequena);
+    cajaGrande.agregar(libro);
+
+    const gestor = new GestorPedidos('PED-2025-001');
+    gestor.agregarElemento(cajaGrande);
+
+    const distancia = 120;
+    for (const calculadora of [new EnvioEstandar(), new EnvioExpress()]) {
+        const cotizacion = new CotizadorEnvio(calculadora).cotizar(gestor, distancia);
+        console.log(`\n📦 ${calculadora.constructor.name}:`);
+        console.log(`   Peso bruto: ${cotizacion.pesoBruto.toFixed(2)} kg`);
+        console.log(`   Peso volumétrico: ${cotizacion.pesoVolumetrico.toFixed(2)} kg`);
+        console.log(`   Costo a ${distancia} km: $${cotizacion.costo.toFixed(2)}`);
+    }
+}
+
+if (require.main === module) {
+    demostrarEnvio();
+}
@@ -0,0 +1,104 @@
+/**
+ * JERARQUÍA DE ERRORES DEL SISTEMA DE PEDIDOS
+ *
+ * Reemplaza los mensajes por consola de Caja.agregar y Caja.remover por errores
+ * tipados, que el código cliente puede capturar y distinguir con instanceof
+ * o mediante su `codigo`.
+ */
+
+export type CodigoErrorPedido =
+    | 'CAPACIDAD_EXCEDIDA'
+    | 'ESPACIO_INSUFICIENTE'
+    | 'ELEMENTO_DUPLICADO'
+    | 'CICLO_DETECTADO'
+    | 'ELEMENTO_NO_ENCONTRADO'
+    | 'EDICION_BLOQUEADA';
+
+/**
+ * Clase base de todos los errores estructurales de un pedido.
+ */
+export abstract class ErrorPedido extends Error {
+    public abstract readonly codigo: CodigoErrorPedido;
+
+    constructor(mensaje: string) {
+        super(mensaje);
+        this.name = new.target.name;
+    }
+}
+
+/**
+ * La caja ya contiene su cantidad máxima de elementos.
+ */
+export class ErrorCapacidadExcedida extends ErrorPedido {
+    public readonly codigo = 'CAPACIDAD_EXCEDIDA';
+
+    constructor(nombreCaja: string, capacidadMaxima: number, nombreElemento: string) {
+        super(`La caja '${nombreCaja}' ha alcanzado su capacidad máxima (${capacidadMaxima} elementos); no se puede agregar '${nombreElemento}'`);
+    }
+}
+
+/**
+ * El elemento no cabe físicamente (medidas o volumen libre) en la caja.
+ */
+export class ErrorEspacioInsuficiente extends ErrorPedido {
+    public readonly codigo = 'ESPACIO_INSUFICIENTE';
+
+    constructor(nombreCaja: string, nombreElemento: string) {
+        super(`'${nombreElemento}' no cabe físicamente en la caja '${nombreCaja}'`);
+    }
+}
+
+/**
+ * El mismo elemento aparece más de una vez en el árbol del pedido.
+ */
+export class ErrorElementoDuplicado extends ErrorPedido {
+    public readonly codigo = 'ELEMENTO_DUPLICADO';
+
+    constructor(nombreElemento: string, nombreContenedor: string) {
+        super(`'${nombreElemento}' ya se encuentra en '${nombreContenedor}'`);
+    }
+}
+
+/**
+ * Se intentó meter una caja dentro de sí misma o de uno de sus descendientes.
+ */
+export class ErrorCicloDetectado extends ErrorPedido {
+    public readonly codigo = 'CICLO_DETECTADO';
+
+    constructor(nombreCaja: string, nombreDestino: string) {
+        super(`No se puede agregar la caja '${nombreCaja}' dentro de '${nombreDestino}': se formaría un ciclo`);
+    }
+}
+
+/**
+ * Se intentó remover un elemento que no está en la caja.
+ */
+export class ErrorElementoNoEncontrado extends ErrorPedido {
+    public readonly codigo = 'ELEMENTO_NO_ENCONTRADO';
+
+    constructor(nombreElemento: string, nombreContenedor: string) {
+        super(`No se encontró '${nombreElemento}' en '${nombreContenedor}'`);
+    }
+}
+
+/**
+ * Se intentó modificar una caja o un pedido cuya edición está bloqueada
+ * (por ejemplo, después de confirmar el pedido).
+ */
+export class ErrorEdicionBloqueada extends ErrorPedido {
+    public readonly codigo = 'EDICION_BLOQUEADA';
+
+    constructor(nombreContenedor: string) {
+        super(`'${nombreContenedor}' no se puede modificar: su edición está bloqueada`);
+    }
+}
+
+/**
+ * Problema encontrado por GestorPedidos.validar().
+ * La ruta usa los nombres de los elementos: "Caja Envío Completo > Caja Periféricos"
+ */
+export interface ProblemaValidacion {
+    codigo: CodigoErrorPedido;
+    mensaje: string;
+    ruta: string;
+}
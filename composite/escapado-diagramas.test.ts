@@ -0,0 +1,124 @@
+/**
+ * PRUEBAS DEL ESCAPADO DE ETIQUETAS MERMAID Y TEXTO HTML
+ *
+ * Usa los mismos nombres hostiles que demostrarEscapado() y comprueba que los
+ * diagramas generados con ellos siguen siendo Mermaid válido para interpretarMermaid.
+ *
+ * Ejecutar con `npm test` (compila a dist/ y corre node --test).
+ */
+
+import { describe, it } from 'node:test';
+import * as assert from 'assert';
+import { escaparEtiquetaMermaid, decodificarEntidadesMermaid, escaparHTML, ErrorEntidadMermaid } from './escapado-diagramas';
+import { interpretarMermaid, ErrorSintaxisMermaid } from './renderizador-svg';
+import { GeneradorDiagramaMermaid } from './generador-mermaid';
+import { crearGeneradorDiagrama } from './formatos-diagrama';
+import { Producto, Caja } from './sistema-pedidos';
+
+const NOMBRES_HOSTILES = [
+    'Monitor 24"',
+    'Soporte ]',
+    'Kit A|B',
+    '100% algodón %% no es comentario',
+    '<img src=x onerror=alert(1)>',
+    'Nombre\ncon salto"]:::caja'
+];
+
+/** Caracteres que no pueden quedar sin escapar dentro de nodo["..."] */
+const SINTAXIS_MERMAID = /["<>\[\]|%\n]/;
+
+function crearCajaHostil(): Caja {
+    const caja = new Caja('Caja "Hostil" [%%]', 5.00, 'Estándar', NOMBRES_HOSTILES.length);
+    NOMBRES_HOSTILES.forEach((nombre, i) => caja.agregar(new Producto(nombre, 10 + i, 'Pruebas')));
+    return caja;
+}
+
+/** Nombre tal como debe leerse de la etiqueta: sin icono y con los saltos de línea como espacios */
+function nombreEsperado(nombre: string): string {
+    return nombre.replace(/[\r\n\t]+/g, ' ');
+}
+
+describe('escaparEtiquetaMermaid', () => {
+    for (const nombre of NOMBRES_HOSTILES) {
+        it(`no deja sintaxis Mermaid en ${JSON.stringify(nombre)}`, () => {
+            const etiqueta = escaparEtiquetaMermaid(nombre);
+            assert.doesNotMatch(etiqueta, SINTAXIS_MERMAID);
+            assert.strictEqual(decodificarEntidadesMermaid(etiqueta), nombreEsperado(nombre));
+        });
+    }
+
+    it('usa los códigos de entidad de Mermaid', () => {
+        assert.strictEqual(escaparEtiquetaMermaid('Monitor 24"'), 'Monitor 24#quot;');
+        assert.strictEqual(escaparEtiquetaMermaid(']'), '#93;');
+        assert.strictEqual(escaparEtiquetaMermaid('|'), '#124;');
+        assert.strictEqual(escaparEtiquetaMermaid('%%'), '#37;#37;');
+        assert.strictEqual(escaparEtiquetaMermaid('<img onerror>'), '#lt;img onerror#gt;');
+    });
+
+    it('convierte los saltos de línea en espacios', () => {
+        assert.strictEqual(escaparEtiquetaMermaid('Nombre\ncon salto"]:::caja'), 'Nombre con salto#quot;#93;:::caja');
+    });
+
+    it('no vuelve a escapar un código ya presente en el nombre', () => {
+        const nombre = 'Caja #1 & #quot;especial#quot;';
+        assert.strictEqual(decodificarEntidadesMermaid(escaparEtiquetaMermaid(nombre)), nombre);
+    });
+});
+
+describe('decodificarEntidadesMermaid', () => {
+    it('decodifica entidades con nombre y numéricas', () => {
+        assert.strictEqual(decodificarEntidadesMermaid('#quot;#amp;#lt;#gt;#apos;'), '"&<>\'');
+        assert.strictEqual(decodificarEntidadesMermaid('#35;#91;#93;#124;#37;'), '#[]|%');
+    });
+
+    it('deja intactos los códigos desconocidos', () => {
+        assert.strictEqual(decodificarEntidadesMermaid('#desconocido; #1'), '#desconocido; #1');
+    });
+
+    it('rechaza códigos fuera del rango Unicode', () => {
+        assert.strictEqual(decodificarEntidadesMermaid('#1114111;'), String.fromCodePoint(0x10FFFF));
+        assert.throws(() => decodificarEntidadesMermaid('#99999999;'), ErrorEntidadMermaid);
+    });
+
+    it('interpretarMermaid informa el código inválido con su línea', () => {
+        const errores: ErrorSintaxisMermaid[] = [];
+        const diagrama = interpretarMermaid('graph TD\n    nodo0["Pila #99999999;"]\n    nodo1["Cable"]', errores);
+        assert.deepStrictEqual(errores.map(error => error.linea), [2]);
+        assert.deepStrictEqual(diagrama.nodos.map(nodo => nodo.id), ['nodo1']);
+    });
+});
+
+describe('escaparHTML', () => {
+    it('escapa etiquetas y atributos', () => {
+        assert.strictEqual(escaparHTML('<img onerror>'), '&lt;img onerror&gt;');
+        assert.strictEqual(escaparHTML('Monitor 24"'), 'Monitor 24&quot;');
+        assert.strictEqual(escaparHTML("O'Reilly"), 'O&#39;Reilly');
+    });
+
+    it('escapa & antes que el resto, sin dobles entidades', () => {
+        assert.strictEqual(escaparHTML('&lt;'), '&amp;lt;');
+        assert.strictEqual(escaparHTML('<script>alert("x")</script>'), '&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;');
+    });
+});
+
+describe('diagramas con nombres hostiles', () => {
+    const generadores: [string, (caja: Caja) => string][] = [
+        ['GeneradorDiagramaMermaid', caja => new GeneradorDiagramaMermaid().generarDiagrama(caja, 'Título "hostil" %% ]')],
+        ['GeneradorDiagramaMermaidPedido', caja => crearGeneradorDiagrama('mermaid').generar(caja, { titulo: 'Título "hostil" %% ]' })]
+    ];
+
+    for (const [nombreGenerador, generar] of generadores) {
+        it(`${nombreGenerador} genera Mermaid que interpretarMermaid acepta`, () => {
+            const caja = crearCajaHostil();
+            const diagrama = interpretarMermaid(generar(caja));
+
+            assert.strictEqual(diagrama.titulo, 'Título "hostil" %% ]');
+            assert.strictEqual(diagrama.nodos.length, NOMBRES_HOSTILES.length + 1);
+            assert.strictEqual(diagrama.conexiones.length, NOMBRES_HOSTILES.length);
+
+            const nombres = diagrama.nodos.map(nodo => nodo.lineas[0].replace(/^(?:📦|📁)\s*/, ''));
+            assert.deepStrictEqual(nombres, [caja.obtenerNombre(), ...NOMBRES_HOSTILES.map(nombreEsperado)]);
+            assert.ok(diagrama.nodos.slice(1).every(nodo => nodo.clase === 'producto'));
+        });
+    }
+});
@@ -0,0 +1,128 @@
+/**
+ * ESCAPADO DE ETIQUETAS MERMAID Y TEXTO HTML
+ *
+ * Problema: Los generadores insertan obtenerNombre() tal cual dentro de
+ * etiquetas ["..."] y en el HTML. Un nombre como `Monitor 24"` cierra la
+ * etiqueta antes de tiempo; `]`, `|` o `%%` rompen la sintaxis de Mermaid y
+ * `<script>` termina inyectado en la página generada.
+ *
+ * Solución: Una capa de escapado única para todos los generadores. Las
+ * etiquetas usan los códigos de entidad de Mermaid (#quot;, #91;), que el
+ * diagrama muestra como el carácter original; el texto HTML usa entidades HTML.
+ */
+
+/**
+ * Caracteres con significado en la sintaxis de Mermaid o en HTML, y su código
+ * de entidad Mermaid. "#" va primero para no volver a escapar los códigos generados.
+ */
+const CODIGOS_MERMAID: [RegExp, string][] = [
+    [/#/g, '#35;'],
+    [/"/g, '#quot;'],
+    [/&/g, '#amp;'],
+    [/</g, '#lt;'],
+    [/>/g, '#gt;'],
+    [/\[/g, '#91;'],
+    [/\]/g, '#93;'],
+    [/\(/g, '#40;'],
+    [/\)/g, '#41;'],
+    [/\{/g, '#123;'],
+    [/\}/g, '#125;'],
+    [/\|/g, '#124;'],
+    [/%/g, '#37;'],
+    [/`/g, '#96;']
+];
+
+const ENTIDADES_MERMAID: Record<string, string> = { quot: '"', amp: '&', lt: '<', gt: '>', apos: "'" };
+
+const MAXIMO_PUNTO_CODIGO = 0x10FFFF;
+
+/**
+ * Código de entidad numérico que no corresponde a ningún carácter (#99999999;).
+ */
+export class ErrorEntidadMermaid extends Error {
+    public readonly entidad: string;
+
+    constructor(entidad: string) {
+        super(`el código de entidad '${entidad}' está fuera del rango Unicode`);
+        this.name = 'ErrorEntidadMermaid';
+        this.entidad = entidad;
+    }
+}
+
+/**
+ * Escapa texto para usarlo dentro de una etiqueta Mermaid entre comillas
+ * (`nodo["..."]`) o en un comentario `%%`. Los saltos de línea se convierten
+ * en espacios para que el texto no pueda abrir una instrucción nueva.
+ */
+export function escaparEtiquetaMermaid(texto: string): string {
+    let resultado = texto.replace(/[\r\n\t]+/g, ' ');
+    for (const [patron, codigo] of CODIGOS_MERMAID) {
+        resultado = resultado.replace(patron, codigo);
+    }
+    return resultado;
+}
+
+/**
+ * Reemplaza los códigos de entidad de Mermaid (#quot;, #35;) por sus caracteres.
+ * Es la operación inversa de escaparEtiquetaMermaid.
+ *
+ * @throws ErrorEntidadMermaid si un código numérico supera U+10FFFF
+ */
+export function decodificarEntidadesMermaid(texto: string): string {
+    return texto.replace(/#(\w+);/g, (original, codigo: string) => {
+        if (/^\d+$/.test(codigo)) {
+            const puntoCodigo = Number(codigo);
+            if (puntoCodigo > MAXIMO_PUNTO_CODIGO) {
+                throw new ErrorEntidadMermaid(original);
+            }
+            return String.fromCodePoint(puntoCodigo);
+        }
+        return ENTIDADES_MERMAID[codigo] ?? original;
+    });
+}
+
+/**
+ * Escapa texto para incluirlo en HTML o SVG, tanto en contenido como en atributos.
+ */
+export function escaparHTML(texto: string): string {
+    return texto
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// ============================================================================
+// EJEMPLO DE USO
+// ============================================================================
+
+/**
+ * Escapa nombres hostiles y comprueba que al decodificarlos se recupera el original.
+ */
+export function demostrarEscapado(): void {
+    console.log('🛡️  ESCAPADO DE ETIQUETAS MERMAID\n');
+
+    const nombres = [
+        'Monitor 24"',
+        'Cable [HDMI] (2 m)',
+        'Kit A|B {oferta}',
+        '100% algodón %% no es comentario',
+        '<img src=x onerror=alert(1)>',
+        'Caja #1 & #quot;especial#quot;',
+        'Nombre\ncon salto"]:::caja'
+    ];
+
+    for (const nombre of nombres) {
+        const etiqueta = escaparEtiquetaMermaid(nombre);
+        const recuperado = decodificarEntidadesMermaid(etiqueta);
+        const seguro = !/["<>\[\]|%\n]/.test(etiqueta) && recuperado === nombre.replace(/[\r\n\t]+/g, ' ');
+        console.log(`${seguro ? '✅' : '❌'} ${JSON.stringify(nombre)} → nodo["${etiqueta}"]`);
+    }
+
+    console.log(`\n🌐 Título HTML: ${escaparHTML('Pedido <script>alert("x")</script>')}`);
+}
+
+if (require.main === module) {
+    demostrarEscapado();
+}
@@ -0,0 +1,301 @@
+/**
+ * MOTOR DE ESTADÍSTICAS DE PEDIDOS
+ *
+ * Problema: GestorPedidos.obtenerEstadisticas() devuelve solo cuatro números de
+ * un único pedido. Para analizar las ventas se necesita el gasto por categoría,
+ * cuánto del total se va en empaque, qué tan profundo se anidan las cajas, qué
+ * tan llenas viajan y cuáles son los productos más pedidos.
+ *
+ * Solución: Un motor que recorre uno o varios pedidos con los iteradores del
+ * árbol y devuelve cada métrica como un objeto tipado. Los montos se acumulan
+ * con Dinero para que la suma de muchos pedidos no arrastre errores de redondeo.
+ */
+
+import { Producto, Caja, GestorPedidos } from './sistema-pedidos';
+import { NodoRecorrido, recorrerEnProfundidad, formatearRuta } from './recorrido-pedidos';
+import { Dinero } from './moneda-pedidos';
+
+export interface GastoCategoria {
+    categoria: string;
+    unidades: number;
+    total: number;
+    /** Porcentaje sobre el gasto total en productos (0-100) */
+    porcentaje: number;
+}
+
+export interface SobrecostoEmpaque {
+    costoEmpaque: number;
+    total: number;
+    /** Porcentaje del total que corresponde a cajas (0-100) */
+    porcentaje: number;
+}
+
+export interface OcupacionCaja {
+    pedido: string;
+    ruta: string;
+    elementos: number;
+    capacidadMaxima: number;
+    /** Fracción de la capacidad usada (0-1) */
+    ocupacion: number;
+}
+
+export interface ResumenOcupacion {
+    cajas: number;
+    /** Ocupación promedio (0-1); 0 si no hay cajas */
+    promedio: number;
+    masVacia: OcupacionCaja | null;
+    detalle: OcupacionCaja[];
+}
+
+export interface FrecuenciaProducto {
+    nombre: string;
+    unidades: number;
+    /** Cantidad de pedidos distintos que incluyen el producto */
+    pedidos: number;
+}
+
+/**
+ * Resultado completo del análisis.
+ */
+export interface EstadisticasPedidos {
+    pedidos: number;
+    moneda: string;
+    totalProductos: number;
+    totalCajas: number;
+    total: number;
+    gastoPorCategoria: GastoCategoria[];
+    empaque: SobrecostoEmpaque;
+    profundidadMaxima: number;
+    ocupacion: ResumenOcupacion;
+    productosMasFrecuentes: FrecuenciaProducto[];
+}
+
+/**
+ * Calcula estadísticas sobre uno o varios pedidos expresados en la misma moneda.
+ */
+export class MotorEstadisticas {
+    private pedidos: GestorPedidos[];
+    private moneda: string;
+
+    constructor(pedidos: GestorPedidos | GestorPedidos[]) {
+        this.pedidos = Array.isArray(pedidos) ? pedidos : [pedidos];
+        if (this.pedidos.length === 0) {
+            throw new Error('Se necesita al menos un pedido para calcular estadísticas');
+        }
+
+        this.moneda = this.pedidos[0].obtenerMoneda();
+        const otraMoneda = this.pedidos.find(pedido => pedido.obtenerMoneda() !== this.moneda);
+        if (otraMoneda) {
+            throw new Error(`El pedido #${otraMoneda.obtenerNumeroPedido()} está en ${otraMoneda.obtenerMoneda()}, se esperaba ${this.moneda}`);
+        }
+    }
+
+    /**
+     * Gasto por categoría de producto (precio de lista), ordenado de mayor a menor.
+     */
+    public gastoPorCategoria(): GastoCategoria[] {
+        const gastos = new Map<string, { unidades: number; total: Dinero }>();
+        let totalProductos = Dinero.cero(this.moneda);
+
+        for (const nodo of this.productos()) {
+            const producto = nodo.elemento;
+            const precio = producto.calcularMonto(this.moneda);
+            const gasto = gastos.get(producto.obtenerCategoria()) || { unidades: 0, total: Dinero.cero(this.moneda) };
+
+            gastos.set(producto.obtenerCategoria(), { unidades: gasto.unidades + 1, total: gasto.total.sumar(precio) });
+            totalProductos = totalProductos.sumar(precio);
+        }
+
+        return Array.from(gastos.entries())
+            .map(([categoria, gasto]) => ({
+                categoria,
+                unidades: gasto.unidades,
+                total: gasto.total.obtenerMonto(),
+                porcentaje: this.porcentaje(gasto.total, totalProductos)
+            }))
+            .sort((a, b) => b.total - a.total || a.categoria.localeCompare(b.categoria));
+    }
+
+    /**
+     * Costo de las cajas como proporción del total de los pedidos.
+     */
+    public sobrecostoEmpaque(): SobrecostoEmpaque {
+        let costoEmpaque = Dinero.cero(this.moneda);
+        for (const nodo of this.cajas()) {
+            costoEmpaque = costoEmpaque.sumar(Dinero.desde(nodo.elemento.obtenerCostoCaja(), this.moneda));
+        }
+
+        const total = this.total();
+        return {
+            costoEmpaque: costoEmpaque.obtenerMonto(),
+            total: total.obtenerMonto(),
+            porcentaje: this.porcentaje(costoEmpaque, total)
+        };
+    }
+
+    /**
+     * Mayor cantidad de cajas anidadas una dentro de otra
+     * (0 sin cajas, 1 si ninguna caja contiene a otra).
+     */
+    public profundidadMaxima(): number {
+        return this.cajas().reduce((maxima, nodo) => Math.max(maxima, nodo.profundidad + 1), 0);
+    }
+
+    /**
+     * Ocupación de cada caja respecto a su capacidadMaxima y el promedio general.
+     */
+    public ocupacionCajas(): ResumenOcupacion {
+        const detalle: OcupacionCaja[] = [];
+
+        for (const pedido of this.pedidos) {
+            for (const nodo of recorrerEnProfundidad(pedido)) {
+                if (nodo.elemento instanceof Caja) {
+                    const caja = nodo.elemento;
+                    detalle.push({
+                        pedido: pedido.obtenerNumeroPedido(),
+                        ruta: formatearRuta(nodo),
+                        elementos: caja.obtenerCantidadElementos(),
+                        capacidadMaxima: caja.obtenerCapacidadMaxima(),
+                        ocupacion: caja.obtenerCapacidadMaxima() > 0 ? caja.obtenerCantidadElementos() / caja.obtenerCapacidadMaxima() : 1
+                    });
+                }
+            }
+        }
+
+        const suma = detalle.reduce((total, caja) => total + caja.ocupacion, 0);
+        const masVacia = detalle.reduce<OcupacionCaja | null>((menor, caja) => !menor || caja.ocupacion < menor.ocupacion ? caja : menor, null);
+
+        return {
+            cajas: detalle.length,
+            promedio: detalle.length > 0 ? suma / detalle.length : 0,
+            masVacia,
+            detalle
+        };
+    }
+
+    /**
+     * Productos más pedidos por unidades; en caso de empate, por cantidad de pedidos y nombre.
+     */
+    public productosMasFrecuentes(limite: number = 5): FrecuenciaProducto[] {
+        const frecuencias = new Map<string, { unidades: number; pedidos: Set<GestorPedidos> }>();
+
+        for (const pedido of this.pedidos) {
+            for (const nodo of recorrerEnProfundidad(pedido)) {
+                if (nodo.elemento instanceof Producto) {
+                    const nombre = nodo.elemento.obtenerNombre();
+                    const frecuencia = frecuencias.get(nombre) || { unidades: 0, pedidos: new Set<GestorPedidos>() };
+                    frecuencia.unidades++;
+                    frecuencia.pedidos.add(pedido);
+                    frecuencias.set(nombre, frecuencia);
+                }
+            }
+        }
+
+        return Array.from(frecuencias.entries())
+            .map(([nombre, frecuencia]) => ({ nombre, unidades: frecuencia.unidades, pedidos: frecuencia.pedidos.size }))
+            .sort((a, b) => b.unidades - a.unidades || b.pedidos - a.pedidos || a.nombre.localeCompare(b.nombre))
+            .slice(0, limite);
+    }
+
+    /**
+     * Calcula todas las métricas de una vez.
+     */
+    public calcular(limiteProductos: number = 5): EstadisticasPedidos {
+        return {
+            pedidos: this.pedidos.length,
+            moneda: this.moneda,
+            totalProductos: this.productos().length,
+            totalCajas: this.cajas().length,
+            total: this.total().obtenerMonto(),
+            gastoPorCategoria: this.gastoPorCategoria(),
+            empaque: this.sobrecostoEmpaque(),
+            profundidadMaxima: this.profundidadMaxima(),
+            ocupacion: this.ocupacionCajas(),
+            productosMasFrecuentes: this.productosMasFrecuentes(limiteProductos)
+        };
+    }
+
+    private total(): Dinero {
+        return this.pedidos.reduce((total, pedido) => total.sumar(pedido.calcularMontoTotal()), Dinero.cero(this.moneda));
+    }
+
+    private productos(): NodoRecorrido<Producto>[] {
+        return this.nodos().filter(nodo => nodo.elemento instanceof Producto) as NodoRecorrido<Producto>[];
+    }
+
+    private cajas(): NodoRecorrido<Caja>[] {
+        return this.nodos().filter(nodo => nodo.elemento instanceof Caja) as NodoRecorrido<Caja>[];
+    }
+
+    private nodos(): NodoRecorrido[] {
+        const nodos: NodoRecorrido[] = [];
+        for (const pedido of this.pedidos) {
+            nodos.push(...recorrerEnProfundidad(pedido));
+        }
+        return nodos;
+    }
+
+    private porcentaje(parte: Dinero, total: Dinero): number {
+        return total.esCero() ? 0 : Math.round(parte.obtenerUnidadesMinimas() / total.obtenerUnidadesMinimas() * 10000) / 100;
+    }
+}
+
+// ============================================================================
+// EJEMPLO DE USO
+// ============================================================================
+
+/**
+ * Analiza dos pedidos de ejemplo.
+ */
+export function demostrarEstadisticas(): void {
+    console.log('📈 ESTADÍSTICAS DE PEDIDOS\n');
+
+    const cajaPerifericos = new Caja('Caja Periféricos', 5.00, 'Acolchada', 5);
+    cajaPerifericos.agregar(new Producto('Mouse Inalámbrico', 25.99, 'Periféricos'));
+    cajaPerifericos.agregar(new Producto('Teclado Mecánico', 89.99, 'Periféricos'));
+
+    const cajaElectronicos = new Caja('Caja Electrónicos', 15.00, 'Antiestática', 3);
+    cajaElectronicos.agregar(new Producto('Laptop Gaming', 1200.00, 'Electrónicos'));
+
+    const cajaEnvio = new Caja('Caja Envío Completo', 10.00, 'Reforzada', 8);
+    cajaEnvio.agregar(cajaPerifericos);
+    cajaEnvio.agregar(cajaElectronicos);
+
+    const pedido1 = new GestorPedidos('PED-2025-001');
+    pedido1.agregarElemento(cajaEnvio);
+    pedido1.agregarElemento(new Producto('Libro de Programación', 45.00, 'Libros'));
+
+    const cajaRegalo = new Caja('Caja Regalo', 3.00, 'Decorada', 4);
+    cajaRegalo.agregar(new Producto('Mouse Inalámbrico', 25.99, 'Periféricos'));
+    cajaRegalo.agregar(new Producto('Mouse Inalámbrico', 25.99, 'Periféricos'));
+
+    const pedido2 = new GestorPedidos('PED-2025-002');
+    pedido2.agregarElemento(cajaRegalo);
+
+    const estadisticas = new MotorEstadisticas([pedido1, pedido2]).calcular(3);
+    const monto = (valor: number): string => Dinero.desde(valor, estadisticas.moneda).formatear();
+
+    console.log(`\n📊 ${estadisticas.pedidos} pedidos, ${estadisticas.totalProductos} productos, ${estadisticas.totalCajas} cajas, total ${monto(estadisticas.total)}`);
+
+    console.log('\n🏷️  Gasto por categoría:');
+    for (const gasto of estadisticas.gastoPorCategoria) {
+        console.log(`   ${gasto.categoria}: ${monto(gasto.total)} (${gasto.porcentaje}%, ${gasto.unidades} u.)`);
+    }
+
+    console.log(`\n📦 Empaque: ${monto(estadisticas.empaque.costoEmpaque)} (${estadisticas.empaque.porcentaje}% del total)`);
+    console.log(`🪆 Profundidad máxima de anidamiento: ${estadisticas.profundidadMaxima}`);
+    console.log(`📐 Ocupación promedio de cajas: ${(estadisticas.ocupacion.promedio * 100).toFixed(1)}%`);
+    if (estadisticas.ocupacion.masVacia) {
+        const caja = estadisticas.ocupacion.masVacia;
+        console.log(`   Caja más vacía: ${caja.ruta} en #${caja.pedido} (${caja.elementos}/${caja.capacidadMaxima})`);
+    }
+
+    console.log('\n🏆 Productos más pedidos:');
+    for (const producto of estadisticas.productosMasFrecuentes) {
+        console.log(`   ${producto.nombre}: ${producto.unidades} u. en ${producto.pedidos} pedido(s)`);
+    }
+}
+
+if (require.main === module) {
+    demostrarEstadisticas();
+}
@@ -0,0 +1,90 @@
+/**
+ * PRUEBAS DE LOS GENERADORES DE DIAGRAMA
+ *
+ * GeneradorDiagramaMermaid delega en GeneradorDiagramaMermaidPedido, las
+ * opciones de OpcionesDiagrama se aplican igual en todos los formatos y el
+ * tema de Mermaid se valida y llega también al SVG sin conexión.
+ */
+
+import { describe, it } from 'node:test';
+import * as assert from 'assert';
+import { asignarIdsDiagrama, crearGeneradorDiagrama, OpcionesDiagrama } from './formatos-diagrama';
+import { GeneradorDiagramaMermaid } from './generador-mermaid';
+import { interpretarMermaid, RenderizadorSVG, TemaMermaid, DireccionDiagrama } from './renderizador-svg';
+import { Producto, Caja } from './sistema-pedidos';
+
+function crearEnvio(): Caja {
+    const perifericos = new Caja('Caja Periféricos', 5.00, 'Acolchada');
+    perifericos.agregar(new Producto('Mouse Inalámbrico', 25.99, 'Periféricos'));
+    perifericos.agregar(new Producto('Teclado Mecánico', 89.99, 'Periféricos'));
+
+    const envio = new Caja('Envío Premium', 10.00, 'Reforzada');
+    envio.agregar(perifericos);
+    envio.agregar(new Producto('Libro TypeScript', 45.00, 'Libros'));
+    return envio;
+}
+
+describe('generadores Mermaid', () => {
+    it('GeneradorDiagramaMermaid escribe lo mismo que el generador del formato mermaid', () => {
+        const envio = crearEnvio();
+        const opciones: OpcionesDiagrama = { titulo: 'Envío', direccion: 'LR', mapaCalorPrecios: true };
+        assert.strictEqual(new GeneradorDiagramaMermaid().generar(envio, opciones), crearGeneradorDiagrama('mermaid').generar(envio, opciones));
+    });
+
+    it('aplica dirección, colores y cajas cerradas', () => {
+        const opciones: OpcionesDiagrama = { direccion: 'LR', coloresPorCategoria: { Libros: '#fff9c4' }, profundidadMaxima: 1 };
+        const diagrama = interpretarMermaid(new GeneradorDiagramaMermaid().generar(crearEnvio(), opciones));
+
+        assert.strictEqual(diagrama.direccion, 'LR');
+        assert.deepStrictEqual(diagrama.nodos.map(nodo => nodo.id), ['nodo0', 'nodo1', 'nodo2']);
+        assert.strictEqual(diagrama.nodos[1].estilo?.['stroke-dasharray'], '5 5');
+        assert.strictEqual(diagrama.nodos[2].estilo?.fill, '#fff9c4');
+    });
+});
+
+describe('asignarIdsDiagrama', () => {
+    it('omite el contenido de las cajas cerradas', () => {
+        const nodos = asignarIdsDiagrama(crearEnvio(), { profundidadMaxima: 1 });
+        assert.deepStrictEqual(nodos.map(nodo => [nodo.id, nodo.colapsada, nodo.hijos]), [
+            ['nodo0', false, ['nodo1', 'nodo2']],
+            ['nodo1', true, []],
+            ['nodo2', false, []]
+        ]);
+    });
+
+    it('rechaza colores inválidos', () => {
+        assert.throws(() => asignarIdsDiagrama(crearEnvio(), { coloresPorEmpaque: { Reforzada: 'red;stroke:blue' } }), /Color inválido para 'Reforzada'/);
+    });
+
+    it('rechaza direcciones y estilos que se escribirían tal cual', () => {
+        const direccion = 'TD\n</div><script>alert(1)</script>' as DireccionDiagrama;
+        assert.throws(() => asignarIdsDiagrama(crearEnvio(), { direccion }), /Dirección de diagrama inválida/);
+        assert.throws(() => new GeneradorDiagramaMermaid({ direccion }), /Dirección de diagrama inválida/);
+
+        const estilo = { relleno: '#fff', borde: '#000', grosorBorde: 1, texto: '#000' };
+        assert.throws(() => asignarIdsDiagrama(crearEnvio(), { estilos: { caja: { ...estilo, borde: '#000,color:red' } } }), /Color inválido para 'estilos.caja.borde'/);
+        assert.throws(() => asignarIdsDiagrama(crearEnvio(), { estilos: { producto: { ...estilo, grosorBorde: -1 } } }), /Grosor de borde inválido/);
+        assert.throws(() => asignarIdsDiagrama(crearEnvio(), { estilos: { producto: { ...estilo, grosorBorde: NaN } } }), /Grosor de borde inválido/);
+        assert.doesNotThrow(() => asignarIdsDiagrama(crearEnvio(), { direccion: 'RL', estilos: { producto: estilo } }));
+    });
+});
+
+describe('opciones de GeneradorDiagramaMermaid', () => {
+    it('aplica las opciones del constructor a cada diagrama', () => {
+        const generador = new GeneradorDiagramaMermaid({ direccion: 'LR', tema: 'forest' });
+        assert.strictEqual(interpretarMermaid(generador.generarDiagrama(crearEnvio())).direccion, 'LR');
+    });
+
+    it('rechaza un tema que no existe en Mermaid.js', () => {
+        const tema = "dark' }); alert(1); ({ a: '" as TemaMermaid;
+        assert.throws(() => new GeneradorDiagramaMermaid({ tema }), /Tema de Mermaid inválido/);
+        assert.throws(() => new RenderizadorSVG({ tema }), /Tema de Mermaid inválido/);
+    });
+
+    it('el SVG sin conexión usa la paleta del tema', () => {
+        const mermaid = new GeneradorDiagramaMermaid().generarDiagrama(crearEnvio());
+        assert.doesNotMatch(new RenderizadorSVG().renderizar(mermaid), /<rect width="100%" height="100%"/);
+        assert.match(new RenderizadorSVG({ tema: 'dark' }).renderizar(mermaid), /<rect width="100%" height="100%" fill="#333"\/>/);
+        assert.match(new RenderizadorSVG({ tema: 'forest' }).renderizar(mermaid), /stroke="#008000"/);
+    });
+});
@@ -0,0 +1,491 @@
+/**
+ * FORMATOS DE DIAGRAMA PARA EL ÁRBOL DE PEDIDOS: MERMAID, DOT, PLANTUML Y ASCII
+ *
+ * Problema: El único diagrama disponible es Mermaid `graph TD`. Quien documenta
+ * con Graphviz o PlantUML, o trabaja en la terminal, tiene que rehacer el
+ * recorrido del árbol, la numeración de nodos y los colores en cada formato.
+ *
+ * Solución: Una interfaz común GeneradorDiagrama con un generador por formato.
+ * Todos parten de la misma lista de nodos (asignarIdsDiagrama: nodo0, nodo1...
+ * en profundidad, igual que el generador Mermaid original) y de las mismas
+ * opciones de estilo; cada generador solo decide cómo escribirlos.
+ * GeneradorMermaid (sistema-con-diagramas.ts) y GeneradorDiagramaMermaid
+ * (generador-mermaid.ts) delegan en GeneradorDiagramaMermaidPedido.
+ */
+
+import { ElementoPedido, Producto, Caja } from './sistema-pedidos';
+import { recorrerEnProfundidad, OrigenRecorrido } from './recorrido-pedidos';
+import { escaparEtiquetaMermaid } from './escapado-diagramas';
+import { FormateadorMoneda } from './moneda-pedidos';
+import { DireccionDiagrama, DIRECCIONES_DIAGRAMA } from './renderizador-svg';
+
+export type FormatoDiagrama = 'mermaid' | 'dot' | 'plantuml' | 'ascii';
+
+/**
+ * Colores y borde de un tipo de nodo. Los colores son hexadecimales (#rrggbb o #rgb).
+ */
+export interface EstiloNodoPedido {
+    relleno: string;
+    borde: string;
+    /** Grosor del borde en píxeles */
+    grosorBorde: number;
+    texto: string;
+}
+
+export interface EstilosDiagrama {
+    producto: EstiloNodoPedido;
+    caja: EstiloNodoPedido;
+}
+
+/**
+ * Mismos colores que los diagramas Mermaid generados hasta ahora.
+ */
+export const ESTILOS_POR_DEFECTO: EstilosDiagrama = {
+    producto: { relleno: '#e1f5fe', borde: '#01579b', grosorBorde: 2, texto: '#000' },
+    caja: { relleno: '#f3e5f5', borde: '#4a148c', grosorBorde: 3, texto: '#000' }
+};
+
+export interface OpcionesDiagrama {
+    titulo?: string;
+    /** Incluir el precio de cada elemento (por defecto true) */
+    mostrarPrecios?: boolean;
+    /** Incluir la cantidad de elementos de cada caja (por defecto true) */
+    mostrarCantidad?: boolean;
+    /** Moneda y configuración regional de los precios (por defecto, USD en en-US) */
+    formateador?: FormateadorMoneda;
+    /** Reemplaza los estilos por defecto de productos, cajas o ambos */
+    estilos?: Partial<EstilosDiagrama>;
+    /** Dirección del árbol en Mermaid y DOT: de arriba hacia abajo (TD, por defecto), de izquierda a derecha (LR)... */
+    direccion?: DireccionDiagrama;
+    /** Relleno de los productos según su categoría (ej: { Libros: '#fff9c4' }) */
+    coloresPorCategoria?: Record<string, string>;
+    /** Relleno de las cajas según su tipo de empaque (ej: { Reforzada: '#ffe0b2' }) */
+    coloresPorEmpaque?: Record<string, string>;
+    /** Colorea cada nodo según su porcentaje del precio total (tiene prioridad sobre los colores anteriores) */
+    mapaCalorPrecios?: boolean;
+    /** Las cajas a esta profundidad (la raíz es 0) se muestran cerradas, sin su contenido */
+    profundidadMaxima?: number;
+}
+
+/**
+ * Colores aceptados en las opciones: hexadecimales (#rgb, #rrggbb) o nombres CSS.
+ * Se validan porque se escriben tal cual en cada formato.
+ */
+const PATRON_COLOR = /^(#[0-9a-fA-F]{3}|#[0-9a-fA-F]{6}|[a-zA-Z]+)$/;
+
+/**
+ * Comprueba las opciones antes de generar. Los generadores que guardan
+ * opciones por defecto pueden llamarla al recibirlas.
+ *
+ * @throws Error si la dirección no es una de DIRECCIONES_DIAGRAMA, si algún color
+ *         de las opciones no es un color válido o si un grosor de borde no es un
+ *         número finito mayor o igual a cero
+ */
+export function validarOpcionesDiagrama(opciones: OpcionesDiagrama): void {
+    if (opciones.direccion !== undefined && !DIRECCIONES_DIAGRAMA.includes(opciones.direccion)) {
+        throw new Error(`Dirección de diagrama inválida: '${opciones.direccion}' (válidas: ${DIRECCIONES_DIAGRAMA.join(', ')})`);
+    }
+
+    const colores = { ...opciones.coloresPorCategoria, ...opciones.coloresPorEmpaque };
+    for (const [tipo, estilo] of Object.entries(opciones.estilos || {})) {
+        if (!estilo) {
+            continue;
+        }
+        colores[`estilos.${tipo}.relleno`] = estilo.relleno;
+        colores[`estilos.${tipo}.borde`] = estilo.borde;
+        colores[`estilos.${tipo}.texto`] = estilo.texto;
+
+        const grosor = estilo.grosorBorde;
+        if (typeof grosor !== 'number' || !isFinite(grosor) || grosor < 0) {
+            throw new Error(`Grosor de borde inválido para 'estilos.${tipo}': ${grosor}`);
+        }
+    }
+
+    for (const [clave, color] of Object.entries(colores)) {
+        if (typeof color !== 'string' || !PATRON_COLOR.test(color)) {
+            throw new Error(`Color inválido para '${clave}': ${color}`);
+        }
+    }
+}
+
+/**
+ * Interpola entre un amarillo claro (0% del total) y un rojo (100%).
+ */
+function colorMapaCalor(proporcion: number): string {
+    const desde = [0xff, 0xf8, 0xe1];
+    const hasta = [0xe5, 0x39, 0x35];
+    const limitada = Math.min(1, Math.max(0, proporcion));
+    return '#' + desde
+        .map((canal, indice) => Math.round(canal + (hasta[indice] - canal) * limitada).toString(16).padStart(2, '0'))
+        .join('');
+}
+
+/**
+ * Nodo del diagrama, común a todos los formatos.
+ */
+export interface NodoDiagramaPedido {
+    id: string;
+    elemento: ElementoPedido;
+    tipo: 'producto' | 'caja';
+    /** Nombre, precio y cantidad de elementos según las opciones, sin escapar */
+    lineas: string[];
+    profundidad: number;
+    padre: string | null;
+    hijos: string[];
+    /** Relleno propio (por categoría, empaque o mapa de calor); si falta se usa el estilo del tipo */
+    relleno?: string;
+    /** Color del texto cuando el relleno propio lo requiere (mapa de calor) */
+    colorTexto?: string;
+    /** Caja con contenido que no se dibuja por superar profundidadMaxima */
+    colapsada: boolean;
+}
+
+/**
+ * Generador de diagramas en un formato concreto.
+ */
+export interface GeneradorDiagrama {
+    readonly formato: FormatoDiagrama;
+    /** Extensión habitual de los archivos de este formato, sin punto */
+    readonly extension: string;
+    generar(origen: OrigenRecorrido, opciones?: OpcionesDiagrama): string;
+}
+
+/**
+ * Recorre el árbol en profundidad y asigna a cada elemento un ID nodo0, nodo1...
+ * Los nodos se devuelven en ese mismo orden, con los IDs de su padre e hijos.
+ * El contenido de las cajas cerradas por profundidadMaxima no se incluye.
+ *
+ * @throws Error si las opciones no pasan validarOpcionesDiagrama
+ */
+export function asignarIdsDiagrama(origen: OrigenRecorrido, opciones: OpcionesDiagrama = {}): NodoDiagramaPedido[] {
+    validarOpcionesDiagrama(opciones);
+    const {
+        mostrarPrecios = true,
+        mostrarCantidad = true,
+        formateador = new FormateadorMoneda(),
+        coloresPorCategoria = {},
+        coloresPorEmpaque = {},
+        mapaCalorPrecios = false,
+        profundidadMaxima
+    } = opciones;
+
+    const recorrido = Array.from(recorrerEnProfundidad(origen));
+    const precioTotal = recorrido
+        .filter(({ profundidad }) => profundidad === 0)
+        .reduce((total, { elemento }) => total + elemento.calcularPrecio(), 0);
+
+    const nodosPorElemento = new Map<ElementoPedido, NodoDiagramaPedido>();
+    const nodos: NodoDiagramaPedido[] = [];
+
+    for (const { elemento, padre, profundidad } of recorrido) {
+        // El padre falta si quedó dentro de una caja cerrada
+        const nodoPadre = padre ? nodosPorElemento.get(padre) : null;
+        if (nodoPadre === undefined || nodoPadre?.colapsada) {
+            continue;
+        }
+
+        const id = `nodo${nodos.length}`;
+        const tipo = elemento instanceof Caja ? 'caja' : 'producto';
+        const lineas = [elemento.obtenerNombre().replace(/[\r\n\t]+/g, ' ')];
+        if (mostrarPrecios) {
+            lineas.push(formateador.formatear(elemento.calcularMonto()));
+        }
+        if (mostrarCantidad && elemento instanceof Caja) {
+            lineas.push(`(${elemento.obtenerCantidadElementos()} elementos)`);
+        }
+
+        const colapsada = elemento instanceof Caja && profundidadMaxima !== undefined &&
+            profundidad >= profundidadMaxima && elemento.obtenerCantidadElementos() > 0;
+        const nodo: NodoDiagramaPedido = { id, elemento, tipo, lineas, profundidad, padre: nodoPadre ? nodoPadre.id : null, hijos: [], colapsada };
+
+        const relleno = elemento instanceof Caja
+            ? coloresPorEmpaque[elemento.obtenerTipoEmpaque()]
+            : coloresPorCategoria[(elemento as Producto).obtenerCategoria()];
+        if (relleno) {
+            nodo.relleno = relleno;
+        }
+        if (mapaCalorPrecios && precioTotal > 0) {
+            const proporcion = elemento.calcularPrecio() / precioTotal;
+            nodo.relleno = colorMapaCalor(proporcion);
+            nodo.colorTexto = proporcion > 0.6 ? '#fff' : '#000';
+        }
+
+        nodoPadre?.hijos.push(id);
+        nodosPorElemento.set(elemento, nodo);
+        nodos.push(nodo);
+    }
+
+    return nodos;
+}
+
+/**
+ * Base común: arma la lista de nodos y los estilos, y delega la escritura.
+ */
+abstract class GeneradorDiagramaBase implements GeneradorDiagrama {
+    abstract readonly formato: FormatoDiagrama;
+    abstract readonly extension: string;
+
+    public generar(origen: OrigenRecorrido, opciones: OpcionesDiagrama = {}): string {
+        const estilos: EstilosDiagrama = { ...ESTILOS_POR_DEFECTO, ...opciones.estilos };
+        return this.escribir(asignarIdsDiagrama(origen, opciones), estilos, opciones);
+    }
+
+    protected abstract escribir(nodos: NodoDiagramaPedido[], estilos: EstilosDiagrama, opciones: OpcionesDiagrama): string;
+}
+
+/**
+ * Mermaid `graph TD` (o la dirección indicada). Es el único generador Mermaid:
+ * GeneradorMermaid y GeneradorDiagramaMermaid delegan en él, y LectorMermaid lo lee.
+ */
+export class GeneradorDiagramaMermaidPedido extends GeneradorDiagramaBase {
+    public readonly formato = 'mermaid';
+    public readonly extension = 'mmd';
+
+    protected escribir(nodos: NodoDiagramaPedido[], estilos: EstilosDiagrama, opciones: OpcionesDiagrama): string {
+        const { titulo = 'Estructura del Pedido', direccion = 'TD' } = opciones;
+        let mermaid = `graph ${direccion}\n`;
+        mermaid += `    %% ${escaparEtiquetaMermaid(titulo)}\n`;
+        mermaid += '    %% Generado automáticamente - Patrón Composite\n\n';
+
+        mermaid += '    %% Definición de nodos\n';
+        for (const nodo of nodos) {
+            const [nombre, ...detalle] = nodo.lineas;
+            const etiqueta = [`${nodo.tipo === 'caja' ? '📁' : '📦'} ${escaparEtiquetaMermaid(nombre)}`, ...detalle].join('<br/>');
+            mermaid += nodo.tipo === 'caja'
+                ? `    ${nodo.id}("${etiqueta}"):::caja\n`
+                : `    ${nodo.id}["${etiqueta}"]:::producto\n`;
+        }
+
+        mermaid += '\n    %% Conexiones\n';
+        for (const nodo of nodos) {
+            if (nodo.padre) {
+                mermaid += `    ${nodo.padre} --> ${nodo.id}\n`;
+            }
+        }
+
+        const claseDef = (clase: string, estilo: EstiloNodoPedido) =>
+            `    classDef ${clase} fill:${estilo.relleno},stroke:${estilo.borde},stroke-width:${estilo.grosorBorde}px,color:${estilo.texto}\n`;
+        mermaid += '\n    %% Estilos CSS\n';
+        mermaid += claseDef('producto', estilos.producto);
+        mermaid += claseDef('caja', estilos.caja);
+
+        // Mermaid solo conserva un `style` por nodo, así que relleno, texto y borde van en la misma línea
+        let estilosPorNodo = '';
+        for (const nodo of nodos) {
+            const propiedades: string[] = [];
+            if (nodo.relleno) {
+                propiedades.push(`fill:${nodo.relleno}`);
+            }
+            if (nodo.colorTexto) {
+                propiedades.push(`color:${nodo.colorTexto}`);
+            }
+            if (nodo.colapsada) {
+                propiedades.push('stroke-dasharray:5 5');
+            }
+            if (propiedades.length > 0) {
+                estilosPorNodo += `    style ${nodo.id} ${propiedades.join(',')}\n`;
+            }
+        }
+        if (estilosPorNodo) {
+            mermaid += `\n    %% Estilos por nodo\n${estilosPorNodo}`;
+        }
+        return mermaid;
+    }
+}
+
+/**
+ * Graphviz DOT (`dot -Tsvg pedido.dot -o pedido.svg`). Las cajas son rectángulos redondeados.
+ */
+export class GeneradorDiagramaDOT extends GeneradorDiagramaBase {
+    public readonly formato = 'dot';
+    public readonly extension = 'dot';
+
+    protected escribir(nodos: NodoDiagramaPedido[], estilos: EstilosDiagrama, opciones: OpcionesDiagrama): string {
+        const { titulo, direccion = 'TD' } = opciones;
+        const lineas = ['digraph pedido {'];
+        if (titulo) {
+            lineas.push(`    label="${this.escapar(titulo)}";`, '    labelloc=t;');
+        }
+        lineas.push(`    rankdir=${direccion === 'TD' ? 'TB' : direccion};`, '    node [shape=box, fontname="Helvetica"];', '');
+
+        for (const nodo of nodos) {
+            const estilo = estilos[nodo.tipo];
+            const etiqueta = nodo.lineas.map(linea => this.escapar(linea)).join('\\n');
+            const forma = [nodo.tipo === 'caja' ? 'rounded,filled' : 'filled', ...(nodo.colapsada ? ['dashed'] : [])].join(',');
+            lineas.push(`    ${nodo.id} [label="${etiqueta}", style="${forma}", ` +
+                `fillcolor="${nodo.relleno ?? estilo.relleno}", color="${estilo.borde}", penwidth=${estilo.grosorBorde}, ` +
+                `fontcolor="${nodo.colorTexto ?? estilo.texto}"];`);
+        }
+
+        lineas.push('');
+        for (const nodo of nodos) {
+            if (nodo.padre) {
+                lineas.push(`    ${nodo.padre} -> ${nodo.id};`);
+            }
+        }
+
+        lineas.push('}');
+        return lineas.join('\n') + '\n';
+    }
+
+    private escapar(texto: string): string {
+        return texto.replace(/[\r\n\t]+/g, ' ').replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+    }
+}
+
+/**
+ * PlantUML con rectángulos (`java -jar plantuml.jar pedido.puml`). El tipo de
+ * nodo se indica con los estereotipos <<producto>> y <<caja>>.
+ */
+export class GeneradorDiagramaPlantUML extends GeneradorDiagramaBase {
+    public readonly formato = 'plantuml';
+    public readonly extension = 'puml';
+
+    protected escribir(nodos: NodoDiagramaPedido[], estilos: EstilosDiagrama, { titulo }: OpcionesDiagrama): string {
+        const lineas = ['@startuml'];
+        if (titulo) {
+            lineas.push(`title ${this.escapar(titulo)}`);
+        }
+        lineas.push('hide stereotype', 'skinparam roundCorner 15');
+
+        for (const tipo of ['producto', 'caja'] as const) {
+            const estilo = estilos[tipo];
+            lineas.push(
+                `skinparam rectangle<<${tipo}>> {`,
+                `    BackgroundColor ${estilo.relleno}`,
+                `    BorderColor ${estilo.borde}`,
+                `    BorderThickness ${estilo.grosorBorde}`,
+                `    FontColor ${estilo.texto}`,
+                '}'
+            );
+        }
+
+        lineas.push('');
+        for (const nodo of nodos) {
+            const etiqueta = nodo.lineas.map(linea => this.escapar(linea)).join('\\n');
+            // Relleno propio y borde punteado con la sintaxis #relleno;line.dashed de PlantUML
+            const color = [...(nodo.relleno ? [nodo.relleno.replace(/^#/, '')] : []), ...(nodo.colapsada ? ['line.dashed'] : [])].join(';');
+            lineas.push(`rectangle "${etiqueta}" <<${nodo.tipo}>> as ${nodo.id}${color ? ` #${color}` : ''}`);
+        }
+
+        lineas.push('');
+        for (const nodo of nodos) {
+            if (nodo.padre) {
+                lineas.push(`${nodo.padre} --> ${nodo.id}`);
+            }
+        }
+
+        lineas.push('@enduml');
+        return lineas.join('\n') + '\n';
+    }
+
+    /**
+     * PlantUML no admite \" dentro de una cadena; las comillas y barras se
+     * escriben como entidades numéricas, que se muestran como el carácter original.
+     */
+    private escapar(texto: string): string {
+        return texto.replace(/[\r\n\t]+/g, ' ').replace(/\\/g, '&#92;').replace(/"/g, '&#34;');
+    }
+}
+
+/**
+ * Árbol de texto al estilo del comando `tree`, para la terminal. Los estilos no aplican.
+ */
+export class GeneradorDiagramaASCII extends GeneradorDiagramaBase {
+    public readonly formato = 'ascii';
+    public readonly extension = 'txt';
+
+    protected escribir(nodos: NodoDiagramaPedido[], _estilos: EstilosDiagrama, { titulo }: OpcionesDiagrama): string {
+        const porId = new Map(nodos.map(nodo => [nodo.id, nodo] as [string, NodoDiagramaPedido]));
+        const lineas: string[] = titulo ? [titulo, ''] : [];
+
+        const escribirHijos = (nodo: NodoDiagramaPedido, prefijo: string): void => {
+            nodo.hijos.forEach((id, indice) => {
+                const esUltimo = indice === nodo.hijos.length - 1;
+                const hijo = porId.get(id)!;
+                lineas.push(`${prefijo}${esUltimo ? '└── ' : '├── '}${this.etiqueta(hijo)}`);
+                escribirHijos(hijo, prefijo + (esUltimo ? '    ' : '│   '));
+            });
+        };
+
+        for (const raiz of nodos.filter(nodo => nodo.padre === null)) {
+            lineas.push(this.etiqueta(raiz));
+            escribirHijos(raiz, '');
+        }
+
+        return lineas.join('\n') + '\n';
+    }
+
+    private etiqueta(nodo: NodoDiagramaPedido): string {
+        const [nombre, ...detalle] = nodo.lineas;
+        const icono = nodo.tipo === 'caja' ? '📁' : '📦';
+        const resumen = detalle.map(linea => linea.replace(/^\((.*)\)$/, '$1')).join(', ');
+        return `${icono} ${nombre}${resumen ? ` (${resumen})` : ''}`;
+    }
+}
+
+/**
+ * Crea el generador de un formato.
+ */
+export function crearGeneradorDiagrama(formato: FormatoDiagrama): GeneradorDiagrama {
+    switch (formato) {
+        case 'mermaid':
+            return new GeneradorDiagramaMermaidPedido();
+        case 'dot':
+            return new GeneradorDiagramaDOT();
+        case 'plantuml':
+            return new GeneradorDiagramaPlantUML();
+        case 'ascii':
+            return new GeneradorDiagramaASCII();
+        default:
+            throw new Error(`Formato de diagrama no soportado: ${formato}`);
+    }
+}
+
+// ============================================================================
+// EJEMPLO DE USO
+// ============================================================================
+
+/**
+ * Dibuja el envío premium del sistema de pedidos en los cuatro formatos.
+ */
+export function demostrarFormatosDiagrama(): void {
+    console.log('🖼️  FORMATOS DE DIAGRAMA DEL PEDIDO\n');
+
+    const perifericos = new Caja('Caja Periféricos', 5.00);
+    perifericos.agregar(new Producto('Mouse Inalámbrico', 25.99, 'Periféricos'));
+    perifericos.agregar(new Producto('Teclado Mecánico', 89.99, 'Periféricos'));
+
+    const electronicos = new Caja('Caja Electrónicos', 15.00);
+    electronicos.agregar(new Producto('Laptop Gaming', 1200.00, 'Computadoras'));
+    electronicos.agregar(new Producto('Monitor 24"', 299.99, 'Pantallas'));
+
+    const envioPremium = new Caja('Envío Premium', 10.00, 'Premium');
+    envioPremium.agregar(perifericos);
+    envioPremium.agregar(electronicos);
+    envioPremium.agregar(new Producto('Libro TypeScript', 45.00, 'Libros'));
+
+    const opciones: OpcionesDiagrama = { titulo: 'Envío Premium' };
+    for (const formato of ['mermaid', 'dot', 'plantuml', 'ascii'] as FormatoDiagrama[]) {
+        const generador = crearGeneradorDiagrama(formato);
+        console.log(`\n===== ${formato.toUpperCase()} (.${generador.extension}) =====`);
+        console.log(generador.generar(envioPremium, opciones));
+    }
+
+    // Las opciones de estilo son las mismas para todos los formatos
+    const monocromo: OpcionesDiagrama = {
+        mostrarCantidad: false,
+        estilos: { caja: { relleno: '#ffffff', borde: '#000000', grosorBorde: 1, texto: '#000000' } }
+    };
+    console.log('===== DOT con estilo propio para cajas y sin cantidades =====');
+    console.log(crearGeneradorDiagrama('dot').generar(perifericos, monocromo));
+
+    // Dirección, colores por categoría y cajas cerradas: las mismas opciones que acepta GeneradorMermaid
+    const resumen: OpcionesDiagrama = { direccion: 'LR', coloresPorCategoria: { Libros: '#fff9c4' }, profundidadMaxima: 1 };
+    console.log('===== DOT horizontal, con colores por categoría y cajas internas cerradas =====');
+    console.log(crearGeneradorDiagrama('dot').generar(envioPremium, resumen));
+}
+
+if (require.main === module) {
+    demostrarFormatosDiagrama();
+}
@@ -7,183 +7,66 @@
 
 import * as fs from 'fs';
 import * as path from 'path';
+import { RenderizadorSVG, TemaMermaid, validarTemaMermaid } from './renderizador-svg';
+import { escaparHTML } from './escapado-diagramas';
+import { GeneradorDiagrama, GeneradorDiagramaMermaidPedido, OpcionesDiagrama, validarOpcionesDiagrama } from './formatos-diagrama';
+import { OrigenRecorrido } from './recorrido-pedidos';
+import { Producto, Caja } from './sistema-pedidos';
 
 /**
- * Clase para generar diagramas Mermaid del árbol de productos
+ * Cómo se dibuja el diagrama en el HTML: con Mermaid.js desde el CDN al abrir
+ * la página, o como SVG incluido en el archivo (no requiere Internet).
  */
-class GeneradorDiagramaMermaid {
-    private contadorNodos: number = 0;
-    private nodos: Map<any, string> = new Map();
+export type ModoHTML = 'cdn' | 'sin-conexion';
 
-    /**
-     * Genera un diagrama Mermaid para un elemento del pedido
-     */
-    public generarDiagrama(elemento: any, titulo: string = 'Estructura del Pedido'): string {
-        this.contadorNodos = 0;
-        this.nodos.clear();
-
-        let mermaid = `graph TD\n`;
-        mermaid += `    %% ${titulo}\n`;
-        mermaid += `    %% Generado automáticamente por el sistema de pedidos\n\n`;
-
-        // Generar nodos y conexiones
-        const nodoRaiz = this.procesarElemento(elemento);
-        mermaid += this.generarNodos();
-        mermaid += this.generarConexiones(elemento, nodoRaiz);
-
-        // Agregar estilos
-        mermaid += this.generarEstilos();
-
-        return mermaid;
-    }
-
-    /**
-     * Procesa un elemento y genera su representación en el árbol
-     */
-    private procesarElemento(elemento: any): string {
-        if (this.nodos.has(elemento)) {
-            return this.nodos.get(elemento)!;
-        }
-
-        const idNodo = `nodo${this.contadorNodos++}`;
-        this.nodos.set(elemento, idNodo);
-
-        // Si es una caja, procesar recursivamente sus hijos
-        if (elemento.contenido && Array.isArray(elemento.contenido)) {
-            for (const hijo of elemento.contenido) {
-                this.procesarElemento(hijo);
-            }
-        }
+/**
+ * Opciones de GeneradorDiagramaMermaid y GeneradorMermaid: las de cualquier
+ * diagrama (dirección, colores, profundidad...) más el tema de las páginas HTML.
+ */
+export interface OpcionesGeneradorMermaid extends OpcionesDiagrama {
+    /** Tema de mermaid.initialize; en modo 'sin-conexion', la paleta equivalente del SVG */
+    tema?: TemaMermaid;
+}
 
-        return idNodo;
-    }
+/**
+ * Generador de diagramas Mermaid con archivos .mmd y páginas HTML. El diagrama
+ * lo escribe GeneradorDiagramaMermaidPedido (formatos-diagrama.ts), el mismo
+ * que usan los demás formatos y GeneradorMermaid.
+ */
+class GeneradorDiagramaMermaid implements GeneradorDiagrama {
+    public readonly formato = 'mermaid';
+    public readonly extension = 'mmd';
+    protected opciones: OpcionesGeneradorMermaid;
+    private mermaid = new GeneradorDiagramaMermaidPedido();
 
     /**
-     * Genera la definición de todos los nodos
+     * @param opciones - Se aplican a todos los diagramas y páginas que genere
+     * @throws Error si algún color o el tema de las opciones no es válido
      */
-    private generarNodos(): string {
-        let nodos = '\n    %% Definición de nodos\n';
-        
-        for (const [elemento, idNodo] of this.nodos) {
-            const esProducto = !elemento.contenido;
-            const nombre = elemento.obtenerNombre ? elemento.obtenerNombre() : elemento.nombre;
-            const precio = elemento.calcularPrecio ? `$${elemento.calcularPrecio().toFixed(2)}` : '';
-            
-            if (esProducto) {
-                // Producto (nodo rectangular)
-                nodos += `    ${idNodo}["📦 ${nombre}<br/>${precio}"]:::producto\n`;
-            } else {
-                // Caja (nodo con bordes redondeados)
-                const cantidadElementos = elemento.obtenerCantidadElementos ? elemento.obtenerCantidadElementos() : 0;
-                nodos += `    ${idNodo}("📁 ${nombre}<br/>${precio}<br/>(${cantidadElementos} elementos)"):::caja\n`;
-            }
+    constructor(opciones: OpcionesGeneradorMermaid = {}) {
+        validarOpcionesDiagrama(opciones);
+        if (opciones.tema !== undefined) {
+            validarTemaMermaid(opciones.tema);
         }
-
-        return nodos + '\n';
+        this.opciones = opciones;
     }
 
-    /**
-     * Genera las conexiones entre nodos
-     */
-    private generarConexiones(elemento: any, idNodoPadre: string): string {
-        let conexiones = '    %% Conexiones\n';
-
-        if (elemento.contenido && Array.isArray(elemento.contenido)) {
-            for (const hijo of elemento.contenido) {
-                const idNodoHijo = this.nodos.get(hijo)!;
-                const esProducto = !hijo.contenido;
-                
-                if (esProducto) {
-                    conexiones += `    ${idNodoPadre} --> ${idNodoHijo}\n`;
-                } else {
-                    conexiones += `    ${idNodoPadre} --> ${idNodoHijo}\n`;
-                    conexiones += this.generarConexiones(hijo, idNodoHijo);
-                }
-            }
-        }
-
-        return conexiones;
+    public generar(origen: OrigenRecorrido, opciones: OpcionesDiagrama = {}): string {
+        return this.mermaid.generar(origen, { ...this.opciones, ...opciones });
     }
 
     /**
-     * Genera los estilos CSS para el diagrama
+     * Genera un diagrama Mermaid para un elemento del pedido
      */
-    private generarEstilos(): string {
-        return `
-    %% Estilos
-    classDef producto fill:#e1f5fe,stroke:#01579b,stroke-width:2px,color:#000
-    classDef caja fill:#f3e5f5,stroke:#4a148c,stroke-width:3px,color:#000
-    classDef default fill:#f9f9f9,stroke:#333,stroke-width:1px
-`;
+    public generarDiagrama(origen: OrigenRecorrido, titulo: string = 'Estructura del Pedido'): string {
+        return this.generar(origen, { titulo });
     }
 
     /**
      * Genera un diagrama simplificado solo con nombres
      */
-    public generarDiagramaSimplificado(elemento: any, titulo: string = 'Vista Simplificada'): string {
-        this.contadorNodos = 0;
-        this.nodos.clear();
-
-        let mermaid = `graph TD\n`;
-        mermaid += `    %% ${titulo}\n\n`;
-
-        const nodoRaiz = this.procesarElementoSimplificado(elemento);
-        mermaid += this.generarNodosSimplificados();
-        mermaid += this.generarConexionesSimplificadas(elemento, nodoRaiz);
-        mermaid += this.generarEstilos();
-
-        return mermaid;
-    }
-
-    private procesarElementoSimplificado(elemento: any): string {
-        if (this.nodos.has(elemento)) {
-            return this.nodos.get(elemento)!;
-        }
-
-        const idNodo = `nodo${this.contadorNodos++}`;
-        this.nodos.set(elemento, idNodo);
-
-        if (elemento.contenido && Array.isArray(elemento.contenido)) {
-            for (const hijo of elemento.contenido) {
-                this.procesarElementoSimplificado(hijo);
-            }
-        }
-
-        return idNodo;
-    }
-
-    private generarNodosSimplificados(): string {
-        let nodos = '    %% Nodos simplificados\n';
-        
-        for (const [elemento, idNodo] of this.nodos) {
-            const esProducto = !elemento.contenido;
-            const nombre = elemento.obtenerNombre ? elemento.obtenerNombre() : elemento.nombre;
-            
-            if (esProducto) {
-                nodos += `    ${idNodo}["${nombre}"]:::producto\n`;
-            } else {
-                nodos += `    ${idNodo}("${nombre}"):::caja\n`;
-            }
-        }
-
-        return nodos + '\n';
-    }
-
-    private generarConexionesSimplificadas(elemento: any, idNodoPadre: string): string {
-        let conexiones = '    %% Conexiones\n';
-
-        if (elemento.contenido && Array.isArray(elemento.contenido)) {
-            for (const hijo of elemento.contenido) {
-                const idNodoHijo = this.nodos.get(hijo)!;
-                conexiones += `    ${idNodoPadre} --> ${idNodoHijo}\n`;
-                
-                if (hijo.contenido) {
-                    conexiones += this.generarConexionesSimplificadas(hijo, idNodoHijo);
-                }
-            }
-        }
-
-        return conexiones;
+    public generarDiagramaSimplificado(origen: OrigenRecorrido, titulo: string = 'Vista Simplificada'): string {
+        return this.generar(origen, { titulo, mostrarPrecios: false, mostrarCantidad: false });
     }
 
     /**
@@ -196,16 +79,19 @@ class GeneradorDiagramaMermaid {
     }
 
     /**
-     * Genera un archivo HTML con el diagrama renderizado
+     * Genera un archivo HTML con el diagrama renderizado.
+     * En modo 'sin-conexion' el diagrama se dibuja como SVG al generar el
+     * archivo y la página no carga scripts externos.
      */
-    public generarHTML(mermaid: string, nombreArchivo: string, titulo: string = 'Diagrama del Pedido'): void {
+    public generarHTML(mermaid: string, nombreArchivo: string, titulo: string = 'Diagrama del Pedido', modo: ModoHTML = 'cdn'): void {
+        const { scriptMermaid, diagrama, inicializacion } = this.prepararHTML(mermaid, modo);
+
         const html = `<!DOCTYPE html>
 <html lang="es">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${titulo}</title>
-    <script src="https://cdn.jsdelivr.net/npm/mermaid/dist/mermaid.min.js"></script>
+    <title>${escaparHTML(titulo)}</title>${scriptMermaid}
     <style>
         body {
             font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
@@ -229,6 +115,10 @@ class GeneradorDiagramaMermaid {
             text-align: center;
             margin: 20px 0;
         }
+        .diagram-container svg {
+            max-width: 100%;
+            height: auto;
+        }
         .info {
             background: #e3f2fd;
             padding: 15px;
@@ -262,7 +152,7 @@ class GeneradorDiagramaMermaid {
 </head>
 <body>
     <div class="container">
-        <h1>🎯 ${titulo}</h1>
+        <h1>🎯 ${escaparHTML(titulo)}</h1>
         
         <div class="info">
             <strong>📋 Patrón Composite:</strong> Este diagrama muestra la estructura jerárquica del pedido,
@@ -281,9 +171,7 @@ class GeneradorDiagramaMermaid {
         </div>
 
         <div class="diagram-container">
-            <div class="mermaid">
-${mermaid}
-            </div>
+            ${diagrama}
         </div>
 
         <div class="info">
@@ -295,18 +183,7 @@ ${mermaid}
                 <li>El precio se calcula recursivamente: caja + contenido</li>
             </ul>
         </div>
-    </div>
-
-    <script>
-        mermaid.initialize({ 
-            startOnLoad: true,
-            theme: 'default',
-            flowchart: {
-                useMaxWidth: true,
-                htmlLabels: true
-            }
-        });
-    </script>
+    </div>${inicializacion}
 </body>
 </html>`;
 
@@ -314,6 +191,26 @@ ${mermaid}
         fs.writeFileSync(rutaArchivo, html, 'utf8');
         console.log(`🌐 Archivo HTML generado: ${rutaArchivo}`);
     }
+
+    /**
+     * Partes de la página que dependen del modo y del tema: el script de
+     * Mermaid.js, el diagrama (texto Mermaid o SVG) y la inicialización.
+     * La configuración de mermaid.initialize se escribe con JSON.stringify.
+     */
+    protected prepararHTML(mermaid: string, modo: ModoHTML, flowchart: Record<string, unknown> = {}): { scriptMermaid: string; diagrama: string; inicializacion: string } {
+        const tema = this.opciones.tema ?? 'default';
+        if (modo === 'sin-conexion') {
+            return { scriptMermaid: '', diagrama: new RenderizadorSVG({ tema }).renderizar(mermaid), inicializacion: '' };
+        }
+
+        const configuracion = { startOnLoad: true, theme: tema, flowchart: { useMaxWidth: true, htmlLabels: true, ...flowchart } };
+        const json = JSON.stringify(configuracion, null, 4).replace(/</g, '\\u003c').replace(/\n/g, '\n        ');
+        return {
+            scriptMermaid: '\n    <script src="https://cdn.jsdelivr.net/npm/mermaid/dist/mermaid.min.js"></script>',
+            diagrama: `<div class="mermaid">\n${mermaid}\n            </div>`,
+            inicializacion: `\n\n    <script>\n        mermaid.initialize(${json});\n    </script>`
+        };
+    }
 }
 
 // ============================================================================
@@ -334,36 +231,18 @@ export function demostrarDiagramas() {
     console.log('🎨 GENERACIÓN DE DIAGRAMAS MERMAID');
     console.log('📊 Creando representaciones visuales del árbol de productos\n');
 
-    // Crear la misma estructura del ejemplo anterior
-    // (Aquí reutilizaríamos las clases del sistema-pedidos.ts)
-    
+    // Estructura de ejemplo con las clases de sistema-pedidos.ts
     const generador = new GeneradorDiagramaMermaid();
-    
-    // Ejemplo de estructura simple para demostración
-    const estructuraEjemplo = {
-        obtenerNombre: () => 'Pedido Principal',
-        calcularPrecio: () => 1500.00,
-        contenido: [
-            {
-                obtenerNombre: () => 'Caja Electrónicos',
-                calcularPrecio: () => 1200.00,
-                contenido: [
-                    {
-                        obtenerNombre: () => 'Laptop',
-                        calcularPrecio: () => 1000.00
-                    },
-                    {
-                        obtenerNombre: () => 'Mouse',
-                        calcularPrecio: () => 50.00
-                    }
-                ]
-            },
-            {
-                obtenerNombre: () => 'Libro',
-                calcularPrecio: () => 30.00
-            }
-        ]
-    };
+
+    const cajaElectronicos = new Caja('Caja Electrónicos', 150.00);
+    cajaElectronicos.agregar(new Producto('Laptop', 1000.00, 'Electrónicos'));
+    cajaElectronicos.agregar(new Producto('Mouse', 50.00, 'Periféricos'));
+
+    const estructuraEjemplo = new Caja('Pedido Principal', 10.00);
+    estructuraEjemplo.agregar(cajaElectronicos);
+    estructuraEjemplo.agregar(new Producto('Libro', 30.00, 'Libros'));
+    // Los caracteres especiales se escapan en el diagrama y en el HTML
+    estructuraEjemplo.agregar(new Producto('Monitor 24" [HDMI] | <b>4K</b> %% oferta', 299.99, 'Electrónicos'));
 
     // Generar diagrama completo
     const diagramaCompleto = generador.generarDiagrama(
@@ -385,11 +264,28 @@ export function demostrarDiagramas() {
     generador.generarHTML(diagramaCompleto, 'pedido-completo', 'Pedido - Vista Completa');
     generador.generarHTML(diagramaSimplificado, 'pedido-simple', 'Pedido - Vista Simplificada');
 
+    // Versión autónoma para equipos sin acceso al CDN de Mermaid
+    generador.generarHTML(diagramaCompleto, 'pedido-completo-sin-conexion', 'Pedido - Vista Completa', 'sin-conexion');
+
+    // Mismas opciones que GeneradorMermaid; el tema también se aplica al SVG sin conexión
+    const generadorOscuro = new GeneradorDiagramaMermaid({ direccion: 'LR', tema: 'dark' });
+    const diagramaOscuro = generadorOscuro.generarDiagrama(estructuraEjemplo, 'Sistema de Pedidos - Tema oscuro');
+    generadorOscuro.generarHTML(diagramaOscuro, 'pedido-oscuro-sin-conexion', 'Pedido - Tema oscuro', 'sin-conexion');
+
+    try {
+        // Un tema leído de una configuración externa se valida antes de llegar al <script>
+        new GeneradorDiagramaMermaid({ tema: "dark' }); alert(1); ({ a: '" as TemaMermaid });
+    } catch (error) {
+        console.log(`❌ ${(error as Error).message}`);
+    }
+
     console.log('\n📁 Archivos generados:');
     console.log('   • diagrama-pedido-completo.mmd');
     console.log('   • diagrama-pedido-simple.mmd');
     console.log('   • pedido-completo.html');
     console.log('   • pedido-simple.html');
+    console.log('   • pedido-completo-sin-conexion.html (SVG incluido, sin Internet)');
+    console.log('   • pedido-oscuro-sin-conexion.html (horizontal, tema oscuro)');
     
     console.log('\n🌐 Para ver los diagramas:');
     console.log('   1. Abrir los archivos .html en un navegador');
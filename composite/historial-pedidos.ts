@@ -0,0 +1,438 @@
+/**
+ * HISTORIAL DE CAMBIOS CON DESHACER/REHACER (PATRÓN COMMAND)
+ *
+ * Problema: Un pedido anidado se arma con una serie de llamadas a agregar,
+ * remover y agregarElemento, sin forma de revertir un error.
+ *
+ * Solución: Cada cambio estructural se encapsula en un comando que sabe
+ * ejecutarse y deshacerse. El historial guarda los comandos para deshacer/rehacer,
+ * los registra en un log de auditoría con fecha y permite reproducirlos sobre
+ * un pedido nuevo.
+ */
+
+import { ElementoPedido, Producto, Caja, GestorPedidos } from './sistema-pedidos';
+import { SerializadorPedidos, ElementoSerializado } from './serializador-pedidos';
+import { recorrerEnProfundidad } from './recorrido-pedidos';
+
+export type TipoOperacion = 'agregarACaja' | 'removerDeCaja' | 'agregarAlPedido' | 'removerDelPedido';
+
+/**
+ * Un cambio estructural reversible sobre un pedido o una de sus cajas.
+ */
+export interface ComandoPedido {
+    readonly tipo: TipoOperacion;
+    readonly elemento: ElementoPedido;
+    readonly caja: Caja | null;
+    readonly descripcion: string;
+    /** Índice que ocupa (o ocupaba) el elemento en su contenedor */
+    readonly posicion: number;
+    ejecutar(): void;
+    deshacer(): void;
+}
+
+/**
+ * Agrega un elemento a una caja; deshacer lo vuelve a quitar.
+ */
+export class ComandoAgregarACaja implements ComandoPedido {
+    public readonly tipo = 'agregarACaja';
+    public readonly posicion: number;
+
+    constructor(public readonly caja: Caja, public readonly elemento: ElementoPedido, posicion?: number) {
+        this.posicion = posicion !== undefined ? posicion : caja.obtenerCantidadElementos();
+    }
+
+    get descripcion(): string {
+        return `Agregar '${this.elemento.obtenerNombre()}' a la caja '${this.caja.obtenerNombre()}'`;
+    }
+
+    public ejecutar(): void {
+        this.caja.agregar(this.elemento, this.posicion);
+    }
+
+    public deshacer(): void {
+        this.caja.remover(this.elemento);
+    }
+}
+
+/**
+ * Quita un elemento de una caja; deshacer lo reinserta en la misma posición.
+ */
+export class ComandoRemoverDeCaja implements ComandoPedido {
+    public readonly tipo = 'removerDeCaja';
+    public readonly posicion: number;
+
+    constructor(public readonly caja: Caja, public readonly elemento: ElementoPedido) {
+        this.posicion = caja.obtenerContenido().indexOf(elemento);
+    }
+
+    get descripcion(): string {
+        return `Remover '${this.elemento.obtenerNombre()}' de la caja '${this.caja.obtenerNombre()}'`;
+    }
+
+    public ejecutar(): void {
+        this.caja.remover(this.elemento);
+    }
+
+    public deshacer(): void {
+        this.caja.agregar(this.elemento, this.posicion);
+    }
+}
+
+/**
+ * Agrega un elemento principal al pedido.
+ */
+export class ComandoAgregarAlPedido implements ComandoPedido {
+    public readonly tipo = 'agregarAlPedido';
+    public readonly caja = null;
+    public readonly posicion: number;
+
+    constructor(private gestor: GestorPedidos, public readonly elemento: ElementoPedido, posicion?: number) {
+        this.posicion = posicion !== undefined ? posicion : gestor.obtenerElementos().length;
+    }
+
+    get descripcion(): string {
+        return `Agregar '${this.elemento.obtenerNombre()}' al pedido #${this.gestor.obtenerNumeroPedido()}`;
+    }
+
+    public ejecutar(): void {
+        this.gestor.agregarElemento(this.elemento, this.posicion);
+    }
+
+    public deshacer(): void {
+        this.gestor.removerElemento(this.elemento);
+    }
+}
+
+/**
+ * Quita un elemento principal del pedido.
+ */
+export class ComandoRemoverDelPedido implements ComandoPedido {
+    public readonly tipo = 'removerDelPedido';
+    public readonly caja = null;
+    public readonly posicion: number;
+
+    constructor(private gestor: GestorPedidos, public readonly elemento: ElementoPedido) {
+        this.posicion = gestor.obtenerElementos().indexOf(elemento);
+    }
+
+    get descripcion(): string {
+        return `Remover '${this.elemento.obtenerNombre()}' del pedido #${this.gestor.obtenerNumeroPedido()}`;
+    }
+
+    public ejecutar(): void {
+        this.gestor.removerElemento(this.elemento);
+    }
+
+    public deshacer(): void {
+        this.gestor.agregarElemento(this.elemento, this.posicion);
+    }
+}
+
+/**
+ * Forma serializable de un comando, usada para auditoría y reproducción.
+ *
+ * Cada elemento tocado por el historial recibe un identificador numérico.
+ * Las instantáneas (`elemento`, `cajaInicial`) incluyen los identificadores de
+ * todo su subárbol en preorden (`idsElemento`, `idsCaja`), para que las
+ * operaciones posteriores puedan referirse a cualquier nodo.
+ */
+export interface OperacionRegistrada {
+    tipo: TipoOperacion;
+    posicion: number;
+    idElemento: number;
+    elemento: ElementoSerializado;
+    idsElemento: number[];
+    idCaja?: number;
+    cajaInicial?: ElementoSerializado;
+    idsCaja?: number[];
+}
+
+export type AccionAuditoria = 'ejecutar' | 'deshacer' | 'rehacer';
+
+export interface EntradaAuditoria {
+    fecha: string;
+    accion: AccionAuditoria;
+    descripcion: string;
+    operacion: OperacionRegistrada;
+}
+
+/**
+ * Historial de comandos de un pedido con soporte de deshacer/rehacer.
+ */
+export class HistorialPedido {
+    private gestor: GestorPedidos;
+    private pilaDeshacer: ComandoPedido[] = [];
+    private pilaRehacer: ComandoPedido[] = [];
+    private auditoria: EntradaAuditoria[] = [];
+    private registros: Map<ComandoPedido, OperacionRegistrada> = new Map();
+    private identificadores: Map<ElementoPedido, number> = new Map();
+    private serializador = new SerializadorPedidos();
+
+    constructor(gestor: GestorPedidos) {
+        this.gestor = gestor;
+    }
+
+    // ------------------------------------------------------------------------
+    // Atajos para los cambios más comunes
+    // ------------------------------------------------------------------------
+
+    public agregarACaja(caja: Caja, elemento: ElementoPedido): void {
+        this.ejecutar(new ComandoAgregarACaja(caja, elemento));
+    }
+
+    public removerDeCaja(caja: Caja, elemento: ElementoPedido): void {
+        this.ejecutar(new ComandoRemoverDeCaja(caja, elemento));
+    }
+
+    public agregarElemento(elemento: ElementoPedido): void {
+        this.ejecutar(new ComandoAgregarAlPedido(this.gestor, elemento));
+    }
+
+    public removerElemento(elemento: ElementoPedido): void {
+        this.ejecutar(new ComandoRemoverDelPedido(this.gestor, elemento));
+    }
+
+    // ------------------------------------------------------------------------
+    // Ejecución, deshacer y rehacer
+    // ------------------------------------------------------------------------
+
+    /**
+     * Ejecuta un comando y lo guarda en el historial.
+     * Si el comando falla (por ejemplo, caja llena), no se registra nada.
+     */
+    public ejecutar(comando: ComandoPedido): void {
+        // La instantánea se toma antes de ejecutar, con el estado previo de la caja.
+        // Los identificadores nuevos se confirman solo si el comando tiene éxito.
+        const identificadores = new Map(this.identificadores);
+        const registro = this.registrar(comando, identificadores);
+        comando.ejecutar();
+
+        this.identificadores = identificadores;
+        this.registros.set(comando, registro);
+        this.pilaDeshacer.push(comando);
+        this.pilaRehacer = [];
+        this.anotar('ejecutar', comando);
+    }
+
+    /**
+     * Deshace el último comando. Devuelve false si no había nada que deshacer.
+     */
+    public deshacer(): boolean {
+        const comando = this.pilaDeshacer.pop();
+        if (!comando) {
+            return false;
+        }
+
+        comando.deshacer();
+        this.pilaRehacer.push(comando);
+        this.anotar('deshacer', comando);
+        return true;
+    }
+
+    /**
+     * Vuelve a ejecutar el último comando deshecho. Devuelve false si no había ninguno.
+     */
+    public rehacer(): boolean {
+        const comando = this.pilaRehacer.pop();
+        if (!comando) {
+            return false;
+        }
+
+        comando.ejecutar();
+        this.pilaDeshacer.push(comando);
+        this.anotar('rehacer', comando);
+        return true;
+    }
+
+    public puedeDeshacer(): boolean {
+        return this.pilaDeshacer.length > 0;
+    }
+
+    public puedeRehacer(): boolean {
+        return this.pilaRehacer.length > 0;
+    }
+
+    // ------------------------------------------------------------------------
+    // Auditoría y reproducción
+    // ------------------------------------------------------------------------
+
+    /**
+     * Operaciones vigentes (las ejecutadas y no deshechas), en orden.
+     */
+    public obtenerOperaciones(): OperacionRegistrada[] {
+        return this.pilaDeshacer.map(comando => this.registros.get(comando)!);
+    }
+
+    /**
+     * Copia del log de auditoría completo, incluidas las acciones deshechas.
+     */
+    public obtenerAuditoria(): EntradaAuditoria[] {
+        return [...this.auditoria];
+    }
+
+    /**
+     * Exporta el log de auditoría y las operaciones vigentes como JSON.
+     */
+    public exportarAuditoria(espacios: number = 2): string {
+        return JSON.stringify({
+            numeroPedido: this.gestor.obtenerNumeroPedido(),
+            auditoria: this.auditoria,
+            operaciones: this.obtenerOperaciones()
+        }, null, espacios);
+    }
+
+    /**
+     * Reproduce las operaciones vigentes sobre otro pedido (normalmente vacío).
+     */
+    public reproducirEn(destino: GestorPedidos): GestorPedidos {
+        return reproducirOperaciones(this.obtenerOperaciones(), destino);
+    }
+
+    private anotar(accion: AccionAuditoria, comando: ComandoPedido): void {
+        this.auditoria.push({
+            fecha: new Date().toISOString(),
+            accion,
+            descripcion: comando.descripcion,
+            operacion: this.registros.get(comando)!
+        });
+    }
+
+    private registrar(comando: ComandoPedido, identificadores: Map<ElementoPedido, number>): OperacionRegistrada {
+        const idsElemento = this.asignarIdentificadores(comando.elemento, identificadores);
+        const registro: OperacionRegistrada = {
+            tipo: comando.tipo,
+            posicion: comando.posicion,
+            idElemento: idsElemento[0],
+            elemento: this.serializador.serializarElemento(comando.elemento),
+            idsElemento
+        };
+
+        if (comando.caja) {
+            const cajaNueva = !identificadores.has(comando.caja);
+            const idsCaja = this.asignarIdentificadores(comando.caja, identificadores);
+            registro.idCaja = idsCaja[0];
+            if (cajaNueva) {
+                registro.cajaInicial = this.serializador.serializarElemento(comando.caja);
+                registro.idsCaja = idsCaja;
+            }
+        }
+
+        return registro;
+    }
+
+    /**
+     * Asigna identificadores a todo el subárbol en `identificadores` y los devuelve en preorden.
+     */
+    private asignarIdentificadores(elemento: ElementoPedido, identificadores: Map<ElementoPedido, number>): number[] {
+        const ids: number[] = [];
+        for (const nodo of recorrerEnProfundidad(elemento)) {
+            if (!identificadores.has(nodo.elemento)) {
+                identificadores.set(nodo.elemento, identificadores.size + 1);
+            }
+            ids.push(identificadores.get(nodo.elemento)!);
+        }
+        return ids;
+    }
+}
+
+/**
+ * Reproduce una lista de operaciones registradas (por ejemplo, leídas de un log
+ * exportado) sobre un pedido destino.
+ */
+export function reproducirOperaciones(operaciones: OperacionRegistrada[], destino: GestorPedidos): GestorPedidos {
+    const serializador = new SerializadorPedidos();
+    const elementos: Map<number, ElementoPedido> = new Map();
+
+    const reconstruir = (id: number, instantanea: ElementoSerializado, ids: number[]): ElementoPedido => {
+        const existente = elementos.get(id);
+        if (existente) {
+            return existente;
+        }
+
+        const elemento = serializador.deserializarElemento(instantanea);
+        let indice = 0;
+        for (const nodo of recorrerEnProfundidad(elemento)) {
+            if (indice < ids.length) {
+                elementos.set(ids[indice++], nodo.elemento);
+            }
+        }
+        return elemento;
+    };
+
+    for (const operacion of operaciones) {
+        // La caja se reconstruye primero: si su instantánea ya contiene al
+        // elemento (por ejemplo, al removerlo), se usa esa misma instancia
+        const caja = operacion.idCaja !== undefined
+            ? reconstruir(operacion.idCaja, operacion.cajaInicial!, operacion.idsCaja || [])
+            : null;
+        const elemento = reconstruir(operacion.idElemento, operacion.elemento, operacion.idsElemento);
+
+        switch (operacion.tipo) {
+            case 'agregarAlPedido':
+                destino.agregarElemento(elemento, operacion.posicion);
+                break;
+            case 'removerDelPedido':
+                destino.removerElemento(elemento);
+                break;
+            case 'agregarACaja':
+            case 'removerDeCaja': {
+                if (!(caja instanceof Caja)) {
+                    throw new Error(`La operación '${operacion.tipo}' no apunta a una caja`);
+                }
+                if (operacion.tipo === 'agregarACaja') {
+                    caja.agregar(elemento, operacion.posicion);
+                } else {
+                    caja.remover(elemento);
+                }
+                break;
+            }
+        }
+    }
+
+    return destino;
+}
+
+// ============================================================================
+// EJEMPLO DE USO
+// ============================================================================
+
+/**
+ * Arma un pedido con el historial, deshace un error y lo reproduce en otro pedido.
+ */
+export function demostrarHistorial(): void {
+    console.log('↩️  HISTORIAL DE CAMBIOS CON DESHACER/REHACER\n');
+
+    const gestor = new GestorPedidos('PED-2025-001');
+    const historial = new HistorialPedido(gestor);
+
+    const cajaPerifericos = new Caja('Caja Periféricos', 5.00, 'Acolchada', 5);
+    const cajaEnvio = new Caja('Caja Envío Completo', 10.00, 'Reforzada', 8);
+
+    historial.agregarACaja(cajaPerifericos, new Producto('Mouse Inalámbrico', 25.99, 'Periféricos'));
+    historial.agregarACaja(cajaPerifericos, new Producto('Teclado Mecánico', 89.99, 'Periféricos'));
+    historial.agregarACaja(cajaEnvio, cajaPerifericos);
+    historial.agregarElemento(cajaEnvio);
+
+    // Error: se agrega un producto equivocado y luego se deshace
+    historial.agregarACaja(cajaPerifericos, new Producto('Monitor 24"', 299.99, 'Electrónicos'));
+    console.log(`\n💰 Con el error: $${gestor.calcularPrecioTotal().toFixed(2)}`);
+
+    historial.deshacer();
+    console.log(`↩️  Después de deshacer: $${gestor.calcularPrecioTotal().toFixed(2)}`);
+
+    historial.rehacer();
+    historial.deshacer();
+
+    console.log('\n📜 Log de auditoría:');
+    for (const entrada of historial.obtenerAuditoria()) {
+        console.log(`   ${entrada.fecha} [${entrada.accion}] ${entrada.descripcion}`);
+    }
+
+    console.log('\n🔁 Reproduciendo las operaciones vigentes en un pedido nuevo:');
+    const copia = historial.reproducirEn(new GestorPedidos('PED-2025-001-COPIA'));
+    console.log(`\n💰 Original: $${gestor.calcularPrecioTotal().toFixed(2)} | Copia: $${copia.calcularPrecioTotal().toFixed(2)}`);
+}
+
+if (require.main === module) {
+    demostrarHistorial();
+}
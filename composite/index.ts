@@ -8,13 +8,25 @@
  * CASO DE USO: Sistema de archivos donde tenemos archivos (hojas) y carpetas (composites)
  */
 
+/**
+ * Error lanzado al intentar agregar un componente dentro de sí mismo o de uno
+ * de sus descendientes, lo que formaría un ciclo y haría que operation()
+ * se llamara recursivamente sin fin.
+ */
+export class CompositeCycleError extends Error {
+    constructor(parentName: string, childName: string) {
+        super(`No se puede agregar '${childName}' a '${parentName}': '${childName}' la contiene`);
+        this.name = 'CompositeCycleError';
+    }
+}
+
 /**
  * La clase base Component declara operaciones comunes tanto para objetos simples
  * como complejos de una composición. Esta clase actúa como la interfaz común
  * para todos los elementos del árbol.
  */
-abstract class Component {
-    protected parent!: Component | null;
+export abstract class Component {
+    protected parent: Component | null = null;
 
     /**
      * Establece el componente padre en la estructura de árbol.
@@ -35,6 +47,85 @@ abstract class Component {
         return this.parent;
     }
 
+    /**
+     * Obtiene la raíz del árbol subiendo por los padres.
+     */
+    public getRoot(): Component {
+        let current: Component = this;
+        while (current.parent) {
+            current = current.parent;
+        }
+        return current;
+    }
+
+    /**
+     * Profundidad en el árbol: 0 para la raíz, 1 para sus hijos, etc.
+     */
+    public getDepth(): number {
+        let depth = 0;
+        for (let current = this.parent; current; current = current.parent) {
+            depth++;
+        }
+        return depth;
+    }
+
+    /**
+     * Ruta absoluta desde la raíz ("/Sistema/Proyectos/index.ts").
+     * Una raíz sin nombre se representa como "/".
+     */
+    public getPath(): string {
+        const names: string[] = [];
+        for (let current: Component | null = this; current; current = current.parent) {
+            names.unshift(current.getName());
+        }
+
+        const path = names.join('/');
+        return path.startsWith('/') ? path : `/${path}`;
+    }
+
+    /**
+     * Indica si este componente contiene (directa o indirectamente) al indicado.
+     */
+    public isAncestorOf(component: Component): boolean {
+        for (let current = component.parent; current; current = current.parent) {
+            if (current === this) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Los demás hijos del mismo padre, en orden (vacío para la raíz).
+     */
+    public getSiblings(): Component[] {
+        return this.parent instanceof Composite
+            ? this.parent.getChildren().filter(child => child !== this)
+            : [];
+    }
+
+    /**
+     * El hermano siguiente, o null si es el último o no tiene padre.
+     */
+    public getNextSibling(): Component | null {
+        return this.siblingAt(1);
+    }
+
+    /**
+     * El hermano anterior, o null si es el primero o no tiene padre.
+     */
+    public getPreviousSibling(): Component | null {
+        return this.siblingAt(-1);
+    }
+
+    private siblingAt(offset: number): Component | null {
+        if (!(this.parent instanceof Composite)) {
+            return null;
+        }
+        const siblings = this.parent.getChildren();
+        return siblings[siblings.indexOf(this) + offset] || null;
+    }
+
     /**
      * Operaciones de gestión de hijos definidas en la clase base.
      * Ventaja: El código cliente no necesita conocer las clases concretas.
@@ -58,6 +149,21 @@ abstract class Component {
         return false; // Por defecto, los componentes son hojas
     }
 
+    /**
+     * Nombre del componente (nombre del archivo o de la carpeta).
+     */
+    public abstract getName(): string;
+
+    /**
+     * Cambia el nombre del componente.
+     */
+    public abstract setName(name: string): void;
+
+    /**
+     * Tamaño en bytes: el contenido de un archivo o la suma recursiva de una carpeta.
+     */
+    public abstract getSize(): number;
+
     /**
      * Operación principal que debe ser implementada por todas las clases concretas.
      * Esta operación se ejecutará de forma recursiva en todo el árbol.
@@ -74,12 +180,43 @@ abstract class Component {
  * Las hojas suelen realizar el trabajo real, mientras que los Composite
  * simplemente delegan el trabajo a sus sub-componentes.
  */
-class Leaf extends Component {
+export class Leaf extends Component {
     private name: string;
+    private content: string;
 
-    constructor(name: string) {
+    constructor(name: string, content: string = '') {
         super();
         this.name = name;
+        this.content = content;
+    }
+
+    public getName(): string {
+        return this.name;
+    }
+
+    public setName(name: string): void {
+        this.name = name;
+    }
+
+    /**
+     * Obtiene el contenido del archivo.
+     */
+    public getContent(): string {
+        return this.content;
+    }
+
+    /**
+     * Reemplaza el contenido del archivo.
+     */
+    public setContent(content: string): void {
+        this.content = content;
+    }
+
+    /**
+     * Tamaño del contenido en bytes (UTF-8).
+     */
+    public getSize(): number {
+        return new TextEncoder().encode(this.content).length;
     }
 
     /**
@@ -102,7 +239,7 @@ class Leaf extends Component {
  * Los objetos Composite delegan el trabajo real a sus hijos y luego
  * "suman" o procesan el resultado de todos ellos.
  */
-class Composite extends Component {
+export class Composite extends Component {
     protected children: Component[] = [];
     private name: string;
 
@@ -115,12 +252,24 @@ class Composite extends Component {
      * Un objeto composite puede agregar o remover otros componentes
      * (tanto simples como complejos) de su lista de hijos.
      * 
+     * Si el componente ya tenía un padre, se desprende de él primero: agregar
+     * equivale a mover, y un componente nunca queda en dos carpetas a la vez.
+     * 
      * @param component - El componente a agregar como hijo
+     * @throws CompositeCycleError si el componente es esta carpeta o la contiene
      */
     public add(component: Component): void {
+        if (component === this || component.isAncestorOf(this)) {
+            throw new CompositeCycleError(this.name, component.getName());
+        }
+
+        const previousParent = component.getParent();
+        if (previousParent) {
+            previousParent.remove(component);
+        }
+
         this.children.push(component);
         component.setParent(this);
-        console.log(`➕ Agregado '${component.operation()}' a la carpeta '${this.name}'`);
     }
 
     /**
@@ -133,7 +282,6 @@ class Composite extends Component {
         if (componentIndex !== -1) {
             this.children.splice(componentIndex, 1);
             component.setParent(null);
-            console.log(`➖ Removido componente de la carpeta '${this.name}'`);
         }
     }
 
@@ -146,6 +294,29 @@ class Composite extends Component {
         return true;
     }
 
+    /**
+     * Obtiene una copia de la lista de hijos.
+     */
+    public getChildren(): Component[] {
+        return [...this.children];
+    }
+
+    /**
+     * Busca un hijo directo por nombre.
+     *
+     * @returns El hijo o null si no existe
+     */
+    public getChild(name: string): Component | null {
+        return this.children.find(child => child.getName() === name) || null;
+    }
+
+    /**
+     * Tamaño total de la carpeta: suma recursiva del tamaño de sus hijos.
+     */
+    public getSize(): number {
+        return this.children.reduce((total, child) => total + child.getSize(), 0);
+    }
+
     /**
      * El Composite ejecuta su lógica principal de una manera particular.
      * Recorre recursivamente todos sus hijos, recolectando y procesando sus resultados.
@@ -180,6 +351,10 @@ class Composite extends Component {
     public getName(): string {
         return this.name;
     }
+
+    public setName(name: string): void {
+        this.name = name;
+    }
 }
 
 // ============================================================================
@@ -193,7 +368,7 @@ class Composite extends Component {
  * 
  * @param component - Cualquier componente (hoja o composite)
  */
-function mostrarEstructura(component: Component): void {
+export function mostrarEstructura(component: Component): void {
     console.log(`📋 RESULTADO: ${component.operation()}`);
 }
 
@@ -205,12 +380,13 @@ function mostrarEstructura(component: Component): void {
  * @param component1 - Primer componente
  * @param component2 - Segundo componente a agregar al primero (si es posible)
  */
-function gestionarArbol(component1: Component, component2: Component): void {
+export function gestionarArbol(component1: Component, component2: Component): void {
     console.log('\n🔧 Gestión dinámica del árbol:');
     
     if (component1.isComposite()) {
         console.log('   → El primer componente puede tener hijos, agregando el segundo...');
         component1.add(component2);
+        console.log(`➕ Agregado '${component2.getName()}' a la carpeta '${component1.getName()}'`);
     } else {
         console.log('   → El primer componente es una hoja, no puede tener hijos');
     }
@@ -222,108 +398,144 @@ function gestionarArbol(component1: Component, component2: Component): void {
 // DEMOSTRACIÓN PRÁCTICA DEL PATRÓN
 // ============================================================================
 
-console.log('🎯 DEMOSTRACIÓN DEL PATRÓN COMPOSITE');
-console.log('💡 Simulando un sistema de archivos con carpetas y archivos\n');
-
 /**
- * CASO 1: Trabajando con un componente simple (archivo)
+ * Ejecuta la demostración completa del patrón con el sistema de archivos de ejemplo.
  */
-console.log('📄 CASO 1: Componente simple (archivo)');
-const archivoSimple = new Leaf('documento.txt');
-console.log('Cliente: Tengo un archivo simple:');
-mostrarEstructura(archivoSimple);
+export function demostrarComposite(): void {
+    console.log('🎯 DEMOSTRACIÓN DEL PATRÓN COMPOSITE');
+    console.log('💡 Simulando un sistema de archivos con carpetas y archivos\n');
 
-console.log('\n' + '='.repeat(60) + '\n');
+    /**
+     * CASO 1: Trabajando con un componente simple (archivo)
+     */
+    console.log('📄 CASO 1: Componente simple (archivo)');
+    const archivoSimple = new Leaf('documento.txt');
+    console.log('Cliente: Tengo un archivo simple:');
+    mostrarEstructura(archivoSimple);
 
-/**
- * CASO 2: Trabajando con una estructura compleja (carpetas y archivos)
- */
-console.log('📁 CASO 2: Estructura compleja (sistema de carpetas)');
+    console.log('\n' + '='.repeat(60) + '\n');
 
-// Crear la estructura de carpetas
-const sistemaArchivos = new Composite('Sistema');
-const carpetaDocumentos = new Composite('Documentos');
-const carpetaImagenes = new Composite('Imágenes');
-const carpetaProyectos = new Composite('Proyectos');
+    /**
+     * CASO 2: Trabajando con una estructura compleja (carpetas y archivos)
+     */
+    console.log('📁 CASO 2: Estructura compleja (sistema de carpetas)');
 
-// Agregar archivos a las carpetas
-carpetaDocumentos.add(new Leaf('manual.pdf'));
-carpetaDocumentos.add(new Leaf('notas.txt'));
+    const agregarEnCarpeta = (carpeta: Composite, componente: Component): void => {
+        carpeta.add(componente);
+        console.log(`➕ Agregado '${componente.getName()}' a la carpeta '${carpeta.getName()}'`);
+    };
 
-carpetaImagenes.add(new Leaf('foto1.jpg'));
-carpetaImagenes.add(new Leaf('logo.png'));
+    // Crear la estructura de carpetas
+    const sistemaArchivos = new Composite('Sistema');
+    const carpetaDocumentos = new Composite('Documentos');
+    const carpetaImagenes = new Composite('Imágenes');
+    const carpetaProyectos = new Composite('Proyectos');
 
-carpetaProyectos.add(new Leaf('proyecto.zip'));
+    // Agregar archivos a las carpetas
+    agregarEnCarpeta(carpetaDocumentos, new Leaf('manual.pdf'));
+    agregarEnCarpeta(carpetaDocumentos, new Leaf('notas.txt'));
 
-// Crear estructura anidada
-const subcarpetaTS = new Composite('TypeScript');
-subcarpetaTS.add(new Leaf('index.ts'));
-subcarpetaTS.add(new Leaf('types.d.ts'));
-carpetaProyectos.add(subcarpetaTS);
+    agregarEnCarpeta(carpetaImagenes, new Leaf('foto1.jpg'));
+    agregarEnCarpeta(carpetaImagenes, new Leaf('logo.png'));
 
-// Agregar todo al sistema principal
-sistemaArchivos.add(carpetaDocumentos);
-sistemaArchivos.add(carpetaImagenes);
-sistemaArchivos.add(carpetaProyectos);
+    agregarEnCarpeta(carpetaProyectos, new Leaf('proyecto.zip'));
 
-console.log('\nCliente: Ahora tengo un sistema de archivos completo:');
-mostrarEstructura(sistemaArchivos);
+    // Crear estructura anidada
+    const subcarpetaTS = new Composite('TypeScript');
+    agregarEnCarpeta(subcarpetaTS, new Leaf('index.ts'));
+    agregarEnCarpeta(subcarpetaTS, new Leaf('types.d.ts'));
+    agregarEnCarpeta(carpetaProyectos, subcarpetaTS);
 
-console.log('\n' + '='.repeat(60) + '\n');
+    // Agregar todo al sistema principal
+    agregarEnCarpeta(sistemaArchivos, carpetaDocumentos);
+    agregarEnCarpeta(sistemaArchivos, carpetaImagenes);
+    agregarEnCarpeta(sistemaArchivos, carpetaProyectos);
 
-/**
- * CASO 3: Gestión dinámica - El poder del patrón Composite
- */
-console.log('⚡ CASO 3: Gestión dinámica del árbol');
-console.log('Gracias a que las operaciones de gestión están en la clase base,');
-console.log('el cliente puede trabajar con cualquier componente sin conocer su tipo concreto.');
+    console.log('\nCliente: Ahora tengo un sistema de archivos completo:');
+    mostrarEstructura(sistemaArchivos);
 
-gestionarArbol(sistemaArchivos, archivoSimple);
+    console.log('\n' + '='.repeat(60) + '\n');
 
-console.log('\n' + '='.repeat(60) + '\n');
+    /**
+     * CASO 3: Gestión dinámica - El poder del patrón Composite
+     */
+    console.log('⚡ CASO 3: Gestión dinámica del árbol');
+    console.log('Gracias a que las operaciones de gestión están en la clase base,');
+    console.log('el cliente puede trabajar con cualquier componente sin conocer su tipo concreto.');
 
-/**
- * CASO 4: Intentando agregar a una hoja (para mostrar el comportamiento)
- */
-console.log('🚫 CASO 4: Intentando agregar a una hoja');
-const otroArchivo = new Leaf('backup.txt');
-gestionarArbol(archivoSimple, otroArchivo);
+    gestionarArbol(sistemaArchivos, archivoSimple);
 
-// ============================================================================
-// RESUMEN DEL PATRÓN COMPOSITE
-// ============================================================================
+    console.log('\n' + '='.repeat(60) + '\n');
+
+    /**
+     * CASO 4: Intentando agregar a una hoja (para mostrar el comportamiento)
+     */
+    console.log('🚫 CASO 4: Intentando agregar a una hoja');
+    const otroArchivo = new Leaf('backup.txt');
+    gestionarArbol(archivoSimple, otroArchivo);
+
+    console.log('\n' + '='.repeat(60) + '\n');
 
-console.log('\n' + '='.repeat(60));
-console.log('📚 RESUMEN DEL PATRÓN COMPOSITE');
-console.log('='.repeat(60));
-
-console.log('\n🎯 PROPÓSITO:');
-console.log('   Permite componer objetos en estructuras de árbol para representar');
-console.log('   jerarquías parte-todo. Trata objetos individuales y composiciones');
-console.log('   de manera uniforme.');
-
-console.log('\n🏗️ ESTRUCTURA:');
-console.log('   • Component: Interfaz común para objetos simples y compuestos');
-console.log('   • Leaf: Representa objetos finales (sin hijos)');
-console.log('   • Composite: Representa objetos complejos (con hijos)');
-
-console.log('\n✅ VENTAJAS:');
-console.log('   • Facilita agregar nuevos tipos de componentes');
-console.log('   • El cliente no distingue entre objetos simples y compuestos');
-console.log('   • Estructura recursiva natural para jerarquías');
-
-console.log('\n⚠️ DESVENTAJAS:');
-console.log('   • Puede hacer el diseño demasiado general');
-console.log('   • Algunos métodos pueden no tener sentido en las hojas');
-
-console.log('\n🌍 CASOS DE USO REALES:');
-console.log('   • Sistemas de archivos (carpetas y archivos)');
-console.log('   • Interfaces gráficas (contenedores y widgets)');
-console.log('   • Estructuras organizacionales (departamentos y empleados)');
-console.log('   • Menús de aplicaciones (menús y elementos)');
-console.log('   • Documentos (secciones, párrafos, texto)');
-
-console.log('\n' + '='.repeat(60));
+    /**
+     * CASO 5: Navegación por los padres, mover y evitar ciclos
+     */
+    console.log('🧭 CASO 5: Navegación, mover y ciclos');
+    const indexTs = subcarpetaTS.getChild('index.ts')!;
+    console.log(`📍 Ruta: ${indexTs.getPath()} (profundidad ${indexTs.getDepth()}, raíz '${indexTs.getRoot().getName()}')`);
+    console.log(`👥 Hermanos de '${carpetaImagenes.getName()}': ${carpetaImagenes.getSiblings().map(c => c.getName()).join(', ')}`);
+
+    // Agregar un componente que ya tiene padre lo mueve
+    const carpetaAnterior = subcarpetaTS.getParent()!;
+    carpetaDocumentos.add(subcarpetaTS);
+    console.log(`🔀 Movido '${subcarpetaTS.getName()}' de '${carpetaAnterior.getName()}' a '${carpetaDocumentos.getName()}'`);
+    console.log(`📍 Nueva ruta: ${indexTs.getPath()}`);
+
+    try {
+        subcarpetaTS.add(sistemaArchivos);
+    } catch (error) {
+        console.log(`❌ ${(error as Error).message}`);
+    }
+
+    // ============================================================================
+    // RESUMEN DEL PATRÓN COMPOSITE
+    // ============================================================================
+
+    console.log('\n' + '='.repeat(60));
+    console.log('📚 RESUMEN DEL PATRÓN COMPOSITE');
+    console.log('='.repeat(60));
+
+    console.log('\n🎯 PROPÓSITO:');
+    console.log('   Permite componer objetos en estructuras de árbol para representar');
+    console.log('   jerarquías parte-todo. Trata objetos individuales y composiciones');
+    console.log('   de manera uniforme.');
+
+    console.log('\n🏗️ ESTRUCTURA:');
+    console.log('   • Component: Interfaz común para objetos simples y compuestos');
+    console.log('   • Leaf: Representa objetos finales (sin hijos)');
+    console.log('   • Composite: Representa objetos complejos (con hijos)');
+
+    console.log('\n✅ VENTAJAS:');
+    console.log('   • Facilita agregar nuevos tipos de componentes');
+    console.log('   • El cliente no distingue entre objetos simples y compuestos');
+    console.log('   • Estructura recursiva natural para jerarquías');
+
+    console.log('\n⚠️ DESVENTAJAS:');
+    console.log('   • Puede hacer el diseño demasiado general');
+    console.log('   • Algunos métodos pueden no tener sentido en las hojas');
+
+    console.log('\n🌍 CASOS DE USO REALES:');
+    console.log('   • Sistemas de archivos (carpetas y archivos)');
+    console.log('   • Interfaces gráficas (contenedores y widgets)');
+    console.log('   • Estructuras organizacionales (departamentos y empleados)');
+    console.log('   • Menús de aplicaciones (menús y elementos)');
+    console.log('   • Documentos (secciones, párrafos, texto)');
+
+    console.log('\n' + '='.repeat(60));
+}
+
+if (require.main === module) {
+    demostrarComposite();
+}
 
 /*
 ============================================================================
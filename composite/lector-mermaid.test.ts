@@ -0,0 +1,77 @@
+/**
+ * PRUEBAS DEL LECTOR DE DIAGRAMAS MERMAID
+ *
+ * Precios válidos e inválidos en la segunda línea de la etiqueta, nodos sin nombre,
+ * diagramas generados en otra configuración regional y cajas cerradas.
+ */
+
+import { describe, it } from 'node:test';
+import * as assert from 'assert';
+import { LectorMermaid } from './lector-mermaid';
+import { crearGeneradorDiagrama } from './formatos-diagrama';
+import { FormateadorMoneda } from './moneda-pedidos';
+import { Producto, Caja } from './sistema-pedidos';
+
+function diagramaConProducto(etiqueta: string): string {
+    return `graph TD\n    nodo0["${etiqueta}"]:::producto\n`;
+}
+
+describe('LectorMermaid', () => {
+    const lector = new LectorMermaid();
+
+    it('acepta precios con y sin separadores de miles', () => {
+        for (const [precio, esperado] of [['$1,690.97', 1690.97], ['$1690.97', 1690.97], ['$1,234,567', 1234567], ['45 €', 45]] as [string, number][]) {
+            const resultado = lector.leer(diagramaConProducto(`📦 Laptop<br/>${precio}`));
+            assert.deepStrictEqual(resultado.errores, []);
+            assert.strictEqual(resultado.elementos[0].calcularPrecio(), esperado);
+        }
+    });
+
+    const invalidos: [string, string, RegExp][] = [
+        ['precio negativo', '📦 Reembolso<br/>$-5.00', /Línea 2: .*'\$-5\.00' es negativo/],
+        ['miles mal agrupados', '📦 Funda<br/>$1,2,3', /Línea 2: .*'\$1,2,3' tiene los separadores de miles mal agrupados/],
+        ['nombre vacío', '📦 <br/>$3.00', /Línea 2: el nodo 'nodo0' no tiene nombre/],
+        ['código de entidad fuera de rango', '📦 Pila #99999999;<br/>$1.00', /Línea 2: .*fuera del rango Unicode/]
+    ];
+
+    for (const [caso, etiqueta, mensaje] of invalidos) {
+        it(`rechaza un ${caso} con el número de línea`, () => {
+            const resultado = lector.leer(diagramaConProducto(etiqueta));
+            assert.strictEqual(resultado.elementos.length, 0);
+            assert.strictEqual(resultado.errores.length, 1);
+            assert.match(resultado.errores[0].message, mensaje);
+        });
+    }
+
+    it('lee los precios con la configuración regional del generador', () => {
+        const caja = new Caja('Caja Oficina', 5.00, 'Estándar', 3);
+        caja.agregar(new Producto('Escritorio', 1234.50, 'Muebles'));
+        caja.agregar(new Producto('Lámpara', 0.99, 'Iluminación'));
+
+        for (const locale of ['es-ES', 'de-DE', 'fr-FR', 'de-CH']) {
+            const formateador = new FormateadorMoneda('USD', { locale });
+            const diagrama = crearGeneradorDiagrama('mermaid').generar(caja, { formateador });
+            const resultado = new LectorMermaid(formateador).leer(diagrama);
+            assert.deepStrictEqual(resultado.errores, [], locale);
+            assert.strictEqual(resultado.elementos[0].calcularPrecio(), caja.calcularPrecio(), locale);
+        }
+
+        const enEspanol = crearGeneradorDiagrama('mermaid').generar(caja, { formateador: new FormateadorMoneda('USD', { locale: 'es-ES' }) });
+        assert.notDeepStrictEqual(lector.leer(enEspanol).errores, []);
+    });
+
+    it('informa las cajas cerradas por profundidadMaxima', () => {
+        const interior = new Caja('Caja Interior', 2.00, 'Estándar', 2);
+        interior.agregar(new Producto('Cable', 10.00, 'Accesorios'));
+        const exterior = new Caja('Caja Exterior', 3.00, 'Estándar', 2);
+        exterior.agregar(interior);
+
+        const diagrama = crearGeneradorDiagrama('mermaid').generar(exterior, { profundidadMaxima: 1 });
+        const resultado = lector.leer(diagrama);
+        assert.strictEqual(resultado.errores.length, 1);
+        assert.match(resultado.errores[0].message, /la caja 'Caja Interior' está cerrada/);
+
+        const sinEstilos = diagrama.replace(/^\s*style .*$/gm, '');
+        assert.match(lector.leer(sinEstilos).errores[0].message, /la caja 'Caja Interior' está cerrada/);
+    });
+});
@@ -0,0 +1,322 @@
+/**
+ * LECTOR DE DIAGRAMAS MERMAID: DE UN ARCHIVO .mmd AL ÁRBOL DEL PEDIDO
+ *
+ * Problema: Los generadores escriben archivos .mmd (como
+ * elemento-1-envío-premium.mmd) pero no hay forma de volver del diagrama a
+ * los objetos Caja y Producto.
+ *
+ * Solución: Interpretar el diagrama con interpretarMermaid y reconstruir la
+ * jerarquía: la clase (:::producto / :::caja) o, si falta, la forma del nodo
+ * indica el tipo; la etiqueta aporta el nombre y el precio (segunda línea
+ * después de <br/>); las conexiones --> indican qué contiene cada caja. El
+ * costo propio de una caja es su precio menos el de su contenido. Las líneas
+ * que no se pueden interpretar se informan con su número de línea.
+ *
+ * Los precios se leen con la configuración regional del FormateadorMoneda que
+ * usó el generador (por defecto en-US, "$1,690.97"); una caja cerrada por
+ * profundidadMaxima no trae su contenido y se informa como error.
+ */
+
+import * as fs from 'fs';
+import { ElementoPedido, Producto, Caja, GestorPedidos } from './sistema-pedidos';
+import { interpretarMermaid, ErrorSintaxisMermaid, NodoDiagrama } from './renderizador-svg';
+import { GeneradorDiagramaMermaid } from './generador-mermaid';
+import { FormateadorMoneda, SeparadoresNumericos } from './moneda-pedidos';
+
+/**
+ * Resultado de leer un diagrama. Los elementos se reconstruyen aunque haya
+ * errores; los nodos o conexiones con problemas se omiten.
+ */
+export interface ResultadoLecturaMermaid {
+    titulo?: string;
+    /** Elementos raíz del diagrama, en el orden en que se definieron */
+    elementos: ElementoPedido[];
+    errores: ErrorSintaxisMermaid[];
+}
+
+/**
+ * Error lanzado cuando se exige un diagrama sin errores.
+ */
+export class ErrorLecturaMermaid extends Error {
+    public readonly errores: ErrorSintaxisMermaid[];
+
+    constructor(origen: string, errores: ErrorSintaxisMermaid[]) {
+        super(`No se pudo leer ${origen}:\n${errores.map(error => `  - ${error.message}`).join('\n')}`);
+        this.name = 'ErrorLecturaMermaid';
+        this.errores = errores;
+    }
+}
+
+/**
+ * Datos extraídos de la etiqueta de un nodo.
+ */
+interface NodoLeido {
+    nodo: NodoDiagrama;
+    tipo: 'producto' | 'caja';
+    nombre: string;
+    precio: number;
+    hijos: string[];
+}
+
+const ICONOS = /^(?:📦|📁)\s*/;
+
+/** "(3 elementos)": cantidad de elementos que el generador escribe en las cajas */
+const CANTIDAD_ELEMENTOS = /^\((\d+) elementos\)$/;
+
+function escaparRegExp(texto: string): string {
+    return texto.replace(/[\\^$.*+?()[\]{}|\-]/g, '\\$&');
+}
+
+/**
+ * Convierte "$1,690.97" (o "1.690,97 US$" con los separadores de es-ES) en 1690.97.
+ * Devuelve null si el texto no contiene un número, o el motivo del rechazo si
+ * el precio es negativo o está mal escrito.
+ */
+function leerPrecio(texto: string, { miles, decimal }: SeparadoresNumericos): number | string | null {
+    const limpio = texto.trim();
+    if (!/\d/.test(limpio)) {
+        return null;
+    }
+
+    const coincidencia = new RegExp(`^([^\\d]*?)(\\d[\\d${escaparRegExp(miles)}]*)(?:${escaparRegExp(decimal)}(\\d+))?([^\\d]*)$`).exec(limpio);
+    if (!coincidencia) {
+        return `'${limpio}' no es un número válido`;
+    }
+
+    const [, prefijo, entero, decimales, sufijo] = coincidencia;
+    if (/[-\u2212]/.test(prefijo + sufijo)) {
+        return `'${limpio}' es negativo`;
+    }
+    if (entero.includes(miles) && !new RegExp(`^\\d{1,3}(?:${escaparRegExp(miles)}\\d{3})+$`).test(entero)) {
+        return `'${limpio}' tiene los separadores de miles mal agrupados`;
+    }
+    return Number(entero.split(miles).join('') + (decimales ? `.${decimales}` : ''));
+}
+
+/**
+ * Reconstruye cajas y productos desde diagramas Mermaid generados por el sistema.
+ */
+export class LectorMermaid {
+    private separadores: SeparadoresNumericos;
+
+    /**
+     * @param formateador - El mismo que recibió el generador en OpcionesDiagrama.formateador.
+     *        Los precios se leen en su moneda de destino y con los separadores de su configuración regional
+     */
+    constructor(formateador: FormateadorMoneda = new FormateadorMoneda()) {
+        this.separadores = formateador.obtenerSeparadores();
+    }
+
+    /**
+     * Lee el texto de un diagrama.
+     */
+    public leer(texto: string): ResultadoLecturaMermaid {
+        const errores: ErrorSintaxisMermaid[] = [];
+        const diagrama = interpretarMermaid(texto, errores);
+
+        // 1. Tipo, nombre y precio de cada nodo
+        const leidos = new Map<string, NodoLeido>();
+        for (const nodo of diagrama.nodos) {
+            const tipo = nodo.clase === 'producto' || nodo.clase === 'caja'
+                ? nodo.clase
+                : nodo.forma === 'redondeado' ? 'caja' : 'producto';
+            const nombre = nodo.lineas[0].replace(ICONOS, '').trim();
+            const precio = nodo.lineas.length > 1 ? leerPrecio(nodo.lineas[1], this.separadores) : null;
+
+            if (nombre === '') {
+                errores.push(new ErrorSintaxisMermaid(nodo.linea, `el nodo '${nodo.id}' no tiene nombre`));
+                continue;
+            }
+            if (precio === null) {
+                errores.push(new ErrorSintaxisMermaid(nodo.linea, `el nodo '${nodo.id}' no tiene precio en la segunda línea de su etiqueta`));
+                continue;
+            }
+            if (typeof precio === 'string') {
+                errores.push(new ErrorSintaxisMermaid(nodo.linea, `el precio del nodo '${nodo.id}' no es válido: ${precio}`));
+                continue;
+            }
+            leidos.set(nodo.id, { nodo, tipo, nombre, precio, hijos: [] });
+        }
+
+        // 2. Conexiones: cada elemento tiene un solo contenedor y solo las cajas contienen
+        const padres = new Map<string, string>();
+        for (const conexion of diagrama.conexiones) {
+            const padre = leidos.get(conexion.desde);
+            const hijo = leidos.get(conexion.hacia);
+            if (!padre || !hijo) {
+                continue; // El nodo ya se informó como inválido
+            }
+
+            if (padre.tipo === 'producto') {
+                errores.push(new ErrorSintaxisMermaid(conexion.linea, `'${padre.nombre}' es un producto y no puede contener a '${hijo.nombre}'`));
+            } else if (padres.has(conexion.hacia)) {
+                const anterior = leidos.get(padres.get(conexion.hacia)!)!;
+                errores.push(new ErrorSintaxisMermaid(conexion.linea, `'${hijo.nombre}' ya está dentro de '${anterior.nombre}'`));
+            } else if (this.esAncestro(conexion.hacia, conexion.desde, padres)) {
+                errores.push(new ErrorSintaxisMermaid(conexion.linea, `la conexión ${conexion.desde} --> ${conexion.hacia} forma un ciclo`));
+            } else {
+                padres.set(conexion.hacia, conexion.desde);
+                padre.hijos.push(conexion.hacia);
+            }
+        }
+
+        // 3. Una caja cerrada por profundidadMaxima (borde punteado, o con elementos pero sin
+        //    conexiones) tiene en su precio el de un contenido que no está en el diagrama
+        for (const leido of leidos.values()) {
+            const cantidad = leido.tipo === 'caja' ? CANTIDAD_ELEMENTOS.exec(leido.nodo.lineas[2] || '') : null;
+            const cerrada = leido.nodo.estilo?.['stroke-dasharray'] !== undefined ||
+                (cantidad !== null && Number(cantidad[1]) > 0 && leido.hijos.length === 0);
+            if (leido.tipo === 'caja' && cerrada) {
+                errores.push(new ErrorSintaxisMermaid(leido.nodo.linea,
+                    `la caja '${leido.nombre}' está cerrada (profundidadMaxima): su contenido no está en el diagrama y su costo propio no se puede calcular`));
+            }
+        }
+
+        // 4. Construcción de los objetos, de las hojas hacia la raíz
+        const construidos = new Map<string, ElementoPedido>();
+        const construir = (id: string): ElementoPedido => {
+            const leido = leidos.get(id)!;
+            if (leido.tipo === 'producto') {
+                return new Producto(leido.nombre, leido.precio);
+            }
+
+            const contenido = leido.hijos.map(hijo => construidos.get(hijo) || construir(hijo));
+            const precioContenido = leido.hijos.reduce((total, hijo) => total + leidos.get(hijo)!.precio, 0);
+            const costoCaja = Math.round((leido.precio - precioContenido) * 100) / 100;
+            if (costoCaja < 0) {
+                errores.push(new ErrorSintaxisMermaid(leido.nodo.linea,
+                    `el precio de '${leido.nombre}' (${leido.precio.toFixed(2)}) es menor que el de su contenido (${precioContenido.toFixed(2)})`));
+            }
+
+            const caja = new Caja(leido.nombre, Math.max(0, costoCaja), 'Estándar', Math.max(10, contenido.length));
+            contenido.forEach(elemento => caja.agregar(elemento));
+            construidos.set(id, caja);
+            return caja;
+        };
+
+        const elementos = Array.from(leidos.keys())
+            .filter(id => !padres.has(id))
+            .map(id => construidos.get(id) || construir(id));
+
+        errores.sort((a, b) => a.linea - b.linea);
+        return { titulo: diagrama.titulo, elementos, errores };
+    }
+
+    /**
+     * Lee un archivo .mmd.
+     */
+    public leerArchivo(ruta: string): ResultadoLecturaMermaid {
+        return this.leer(fs.readFileSync(ruta, 'utf8'));
+    }
+
+    /**
+     * Reconstruye un pedido completo. A diferencia de leer(), exige un diagrama sin errores.
+     *
+     * @throws ErrorLecturaMermaid con todas las líneas que no se pudieron interpretar
+     */
+    public reconstruirPedido(texto: string, numeroPedido: string): GestorPedidos {
+        const resultado = this.leer(texto);
+        if (resultado.errores.length > 0) {
+            throw new ErrorLecturaMermaid(`el diagrama del pedido #${numeroPedido}`, resultado.errores);
+        }
+
+        const gestor = new GestorPedidos(numeroPedido);
+        resultado.elementos.forEach(elemento => gestor.agregarElemento(elemento));
+        return gestor;
+    }
+
+    private esAncestro(posibleAncestro: string, id: string, padres: Map<string, string>): boolean {
+        for (let actual: string | undefined = id; actual !== undefined; actual = padres.get(actual)) {
+            if (actual === posibleAncestro) {
+                return true;
+            }
+        }
+        return false;
+    }
+}
+
+// ============================================================================
+// EJEMPLO DE USO
+// ============================================================================
+
+/**
+ * Lee el diagrama de elemento-1-envío-premium.mmd, hace un viaje de ida y
+ * vuelta con GeneradorDiagramaMermaid y muestra los errores de un diagrama dañado.
+ */
+export function demostrarLectorMermaid(): void {
+    console.log('📖 LECTOR DE DIAGRAMAS MERMAID\n');
+
+    const envioPremium = `graph TD
+    %% Elemento 1: Envío Premium
+    %% Generado automáticamente - Patrón Composite
+
+    %% Definición de nodos
+    nodo0("📁 Envío Premium<br/>$1690.97<br/>(3 elementos)"):::caja
+    nodo1("📁 Caja Periféricos<br/>$120.98<br/>(2 elementos)"):::caja
+    nodo2["📦 Mouse Inalámbrico<br/>$25.99"]:::producto
+    nodo3["📦 Teclado Mecánico<br/>$89.99"]:::producto
+    nodo4("📁 Caja Electrónicos<br/>$1514.99<br/>(2 elementos)"):::caja
+    nodo5["📦 Laptop Gaming<br/>$1200.00"]:::producto
+    nodo6["📦 Monitor 24#quot;<br/>$299.99"]:::producto
+    nodo7["📦 Libro TypeScript<br/>$45.00"]:::producto
+
+    %% Conexiones
+    nodo0 --> nodo1
+    nodo1 --> nodo2
+    nodo1 --> nodo3
+    nodo0 --> nodo4
+    nodo4 --> nodo5
+    nodo4 --> nodo6
+    nodo0 --> nodo7
+
+    %% Estilos CSS
+    classDef producto fill:#e1f5fe,stroke:#01579b,stroke-width:2px,color:#000
+    classDef caja fill:#f3e5f5,stroke:#4a148c,stroke-width:3px,color:#000
+    classDef default fill:#f9f9f9,stroke:#333,stroke-width:1px
+`;
+
+    const lector = new LectorMermaid();
+    const pedido = lector.reconstruirPedido(envioPremium, 'PED-2025-001');
+    console.log(`\n📋 Pedido reconstruido #${pedido.obtenerNumeroPedido()}:`);
+    for (const elemento of pedido.obtenerElementos()) {
+        console.log(elemento.obtenerDescripcion(1));
+    }
+    console.log(`💰 Total: ${pedido.calcularMontoTotal().formatear()} (el diagrama indica $1690.97)`);
+
+    // Ida y vuelta: diagrama generado → lectura → mismo precio total
+    const caja = pedido.obtenerElementos()[0];
+    const regenerado = new GeneradorDiagramaMermaid().generarDiagrama(caja, 'Envío Premium regenerado');
+    const releido = lector.leer(regenerado);
+    console.log(`\n🔁 Ida y vuelta: '${releido.titulo}', ${releido.errores.length} errores, ` +
+        `total ${releido.elementos[0].calcularPrecio().toFixed(2)} = ${caja.calcularPrecio().toFixed(2)}`);
+
+    // Un diagrama en es-ES se lee con el mismo formateador que lo generó
+    const formateadorES = new FormateadorMoneda('USD', { locale: 'es-ES' });
+    const enEspanol = new GeneradorDiagramaMermaid({ formateador: formateadorES }).generarDiagrama(caja);
+    const releidoES = new LectorMermaid(formateadorES).leer(enEspanol);
+    console.log(`🇪🇸 En es-ES: ${releidoES.errores.length} errores, total ${formateadorES.formatear(releidoES.elementos[0].calcularPrecio())}`);
+
+    const danado = `graph TD
+    nodo0("📁 Caja Principal<br/>$50.00"):::caja
+    nodo1["📦 Cable USB<br/>$10.00"]:::producto
+    nodo2["📦 Adaptador<br/>gratis"]:::producto
+    nodo0 ==> nodo1
+    nodo1 --> nodo0
+    nodo3["📦 Cargador<br/>$60.00"]:::producto
+    nodo0 --> nodo3
+    nodo4["📦 Reembolso<br/>$-5.00"]:::producto
+    nodo5["📦 Funda<br/>$1,2,3"]:::producto
+    nodo6["📦 <br/>$3.00"]:::producto
+    nodo7["📦 Pila #99999999;<br/>$1.00"]:::producto
+`;
+
+    try {
+        lector.reconstruirPedido(danado, 'PED-2025-002');
+    } catch (error) {
+        console.log(`\n❌ ${(error as Error).message}`);
+    }
+}
+
+if (require.main === module) {
+    demostrarLectorMermaid();
+}
@@ -0,0 +1,333 @@
+/**
+ * DINERO Y MONEDAS DEL SISTEMA DE PEDIDOS
+ *
+ * Problema: Todos los precios se imprimían con un `$` fijo y `toFixed(2)`, y las
+ * sumas anidadas de números de punto flotante acumulan errores de redondeo
+ * (0.1 + 0.2 !== 0.3). Además se vende en varias monedas.
+ *
+ * Solución: Un valor `Dinero` que guarda el monto en unidades mínimas enteras
+ * (centavos, o yenes para JPY) junto con su código de moneda ISO 4217, un
+ * proveedor de tasas de cambio intercambiable y un formateador que presenta los
+ * montos en la moneda y configuración regional del cliente usando Intl.NumberFormat.
+ */
+
+/**
+ * Moneda en la que se expresan los precios cuando no se indica otra.
+ */
+export const MONEDA_POR_DEFECTO = 'USD';
+
+/**
+ * Configuración regional usada para formatear cuando no se indica otra.
+ */
+export const LOCALE_POR_DEFECTO = 'en-US';
+
+/**
+ * Error de operaciones monetarias: monedas distintas, códigos inválidos o tasas desconocidas.
+ */
+export class ErrorMoneda extends Error {
+    constructor(mensaje: string) {
+        super(mensaje);
+        this.name = 'ErrorMoneda';
+    }
+}
+
+const decimalesPorMoneda = new Map<string, number>();
+
+/**
+ * Cantidad de decimales de una moneda según ISO 4217 (USD: 2, JPY: 0, ...).
+ */
+export function obtenerDecimalesMoneda(moneda: string): number {
+    let decimales = decimalesPorMoneda.get(moneda);
+
+    if (decimales === undefined) {
+        try {
+            decimales = new Intl.NumberFormat('en-US', { style: 'currency', currency: moneda })
+                .resolvedOptions().maximumFractionDigits ?? 2;
+        } catch (error) {
+            throw new ErrorMoneda(`Código de moneda inválido: '${moneda}'`);
+        }
+        decimalesPorMoneda.set(moneda, decimales);
+    }
+
+    return decimales;
+}
+
+/**
+ * Redondea al entero más cercano alejándose de cero en los empates (2.5 → 3, -2.5 → -3).
+ */
+function redondear(valor: number): number {
+    return Math.sign(valor) * Math.round(Math.abs(valor));
+}
+
+/**
+ * Convierte un monto decimal a unidades mínimas sin pasar por una multiplicación
+ * binaria (1.005 * 100 = 100.49999...), desplazando el exponente en la representación decimal.
+ * Los montos cuyas unidades mínimas no son un entero seguro se rechazan: además de
+ * perder precisión, toFixed pasa a notación exponencial desde 1e21 y el resultado sería NaN.
+ *
+ * @throws ErrorMoneda si el monto no es finito o está fuera de rango
+ */
+function aUnidadesMinimas(monto: number, decimales: number): number {
+    if (!isFinite(monto)) {
+        throw new ErrorMoneda(`Monto inválido: ${monto}`);
+    }
+    const unidadesMinimas = redondear(Number(`${monto.toFixed(10)}e${decimales}`));
+    if (!Number.isSafeInteger(unidadesMinimas)) {
+        throw new ErrorMoneda(`Monto fuera de rango: ${monto}`);
+    }
+    return unidadesMinimas;
+}
+
+/**
+ * Valor monetario inmutable. El monto se guarda en unidades mínimas enteras,
+ * por lo que sumar y restar es exacto sin importar la profundidad del pedido.
+ */
+export class Dinero {
+    private readonly unidadesMinimas: number;
+    private readonly moneda: string;
+
+    private constructor(unidadesMinimas: number, moneda: string) {
+        this.unidadesMinimas = unidadesMinimas;
+        this.moneda = moneda;
+    }
+
+    /**
+     * Crea un valor a partir de un monto decimal (por ejemplo 25.99).
+     */
+    public static desde(monto: number, moneda: string = MONEDA_POR_DEFECTO): Dinero {
+        return new Dinero(aUnidadesMinimas(monto, obtenerDecimalesMoneda(moneda)), moneda);
+    }
+
+    /**
+     * Crea un valor a partir de unidades mínimas enteras (por ejemplo 2599 centavos).
+     */
+    public static desdeUnidadesMinimas(unidadesMinimas: number, moneda: string = MONEDA_POR_DEFECTO): Dinero {
+        obtenerDecimalesMoneda(moneda);
+        if (!Number.isSafeInteger(unidadesMinimas)) {
+            throw new ErrorMoneda(`Las unidades mínimas deben ser un entero: ${unidadesMinimas}`);
+        }
+        return new Dinero(unidadesMinimas, moneda);
+    }
+
+    public static cero(moneda: string = MONEDA_POR_DEFECTO): Dinero {
+        return Dinero.desdeUnidadesMinimas(0, moneda);
+    }
+
+    public obtenerMoneda(): string {
+        return this.moneda;
+    }
+
+    public obtenerUnidadesMinimas(): number {
+        return this.unidadesMinimas;
+    }
+
+    /**
+     * Monto decimal, para interoperar con el código que trabaja con `number`.
+     */
+    public obtenerMonto(): number {
+        return Number(`${this.unidadesMinimas}e-${obtenerDecimalesMoneda(this.moneda)}`);
+    }
+
+    public sumar(otro: Dinero): Dinero {
+        this.exigirMismaMoneda(otro);
+        return new Dinero(this.unidadesMinimas + otro.unidadesMinimas, this.moneda);
+    }
+
+    public restar(otro: Dinero): Dinero {
+        this.exigirMismaMoneda(otro);
+        return new Dinero(this.unidadesMinimas - otro.unidadesMinimas, this.moneda);
+    }
+
+    /**
+     * Multiplica por un factor (cantidad, tasa de impuesto...) redondeando a la unidad mínima.
+     */
+    public multiplicar(factor: number): Dinero {
+        return new Dinero(redondear(this.unidadesMinimas * factor), this.moneda);
+    }
+
+    /**
+     * Convierte el valor a otra moneda con la tasa que entregue el proveedor.
+     */
+    public convertir(hacia: string, proveedor: ProveedorTasasCambio): Dinero {
+        if (hacia === this.moneda) {
+            return this;
+        }
+        return Dinero.desde(this.obtenerMonto() * proveedor.obtenerTasa(this.moneda, hacia), hacia);
+    }
+
+    public esIgualA(otro: Dinero): boolean {
+        return this.moneda === otro.moneda && this.unidadesMinimas === otro.unidadesMinimas;
+    }
+
+    public esCero(): boolean {
+        return this.unidadesMinimas === 0;
+    }
+
+    /**
+     * Formatea el valor según la configuración regional: "$1,200.00", "1.200,00 €", "￥1,200".
+     */
+    public formatear(locale: string = LOCALE_POR_DEFECTO): string {
+        return new Intl.NumberFormat(locale, { style: 'currency', currency: this.moneda }).format(this.obtenerMonto());
+    }
+
+    public toString(): string {
+        return `${this.obtenerMonto().toFixed(obtenerDecimalesMoneda(this.moneda))} ${this.moneda}`;
+    }
+
+    private exigirMismaMoneda(otro: Dinero): void {
+        if (otro.moneda !== this.moneda) {
+            throw new ErrorMoneda(`No se pueden operar montos en ${this.moneda} y ${otro.moneda} sin convertirlos`);
+        }
+    }
+}
+
+/**
+ * Fuente de tasas de cambio. Puede implementarse sobre una API externa,
+ * una base de datos o, para pruebas y uso sin conexión, una tabla fija.
+ */
+export interface ProveedorTasasCambio {
+    /**
+     * Devuelve cuántas unidades de `hacia` equivalen a una unidad de `desde`.
+     */
+    obtenerTasa(desde: string, hacia: string): number;
+}
+
+/**
+ * Proveedor sin conexión con una tabla de tasas respecto a una moneda base.
+ * Las tasas cruzadas se calculan a través de la moneda base.
+ */
+export class ProveedorTasasFijas implements ProveedorTasasCambio {
+    private tasas: Map<string, number>;
+    private monedaBase: string;
+
+    /**
+     * @param tasas - Unidades de cada moneda por una unidad de la moneda base ({ EUR: 0.92, MXN: 17.1 })
+     * @param monedaBase - Moneda de referencia de la tabla
+     */
+    constructor(tasas: Record<string, number>, monedaBase: string = MONEDA_POR_DEFECTO) {
+        this.monedaBase = monedaBase;
+        this.tasas = new Map(Object.keys(tasas).map(moneda => [moneda, tasas[moneda]] as [string, number]));
+        this.tasas.set(monedaBase, 1);
+    }
+
+    public obtenerTasa(desde: string, hacia: string): number {
+        return this.tasaDesdeBase(hacia) / this.tasaDesdeBase(desde);
+    }
+
+    private tasaDesdeBase(moneda: string): number {
+        const tasa = this.tasas.get(moneda);
+        if (tasa === undefined || tasa <= 0) {
+            throw new ErrorMoneda(`No hay tasa de cambio entre ${this.monedaBase} y ${moneda}`);
+        }
+        return tasa;
+    }
+}
+
+/**
+ * Opciones de presentación de montos para el cliente.
+ */
+export interface OpcionesMoneda {
+    /** Moneda en la que se muestran los montos (por defecto, la de origen) */
+    moneda?: string;
+    /** Configuración regional del cliente, por ejemplo 'es-MX' o 'de-DE' */
+    locale?: string;
+    /** Necesario cuando la moneda de presentación es distinta de la de origen */
+    proveedorTasas?: ProveedorTasasCambio;
+}
+
+/**
+ * Separadores de miles y de decimales de una configuración regional.
+ */
+export interface SeparadoresNumericos {
+    miles: string;
+    decimal: string;
+}
+
+/**
+ * Convierte y formatea montos expresados en la moneda de origen del pedido.
+ */
+export class FormateadorMoneda {
+    private monedaOrigen: string;
+    private monedaDestino: string;
+    private locale: string;
+    private proveedorTasas?: ProveedorTasasCambio;
+
+    constructor(monedaOrigen: string = MONEDA_POR_DEFECTO, opciones: OpcionesMoneda = {}) {
+        this.monedaOrigen = monedaOrigen;
+        this.monedaDestino = opciones.moneda || monedaOrigen;
+        this.locale = opciones.locale || LOCALE_POR_DEFECTO;
+        this.proveedorTasas = opciones.proveedorTasas;
+
+        if (this.monedaDestino !== this.monedaOrigen && !this.proveedorTasas) {
+            throw new ErrorMoneda(`Se necesita un proveedor de tasas para mostrar ${this.monedaOrigen} en ${this.monedaDestino}`);
+        }
+    }
+
+    public obtenerMonedaDestino(): string {
+        return this.monedaDestino;
+    }
+
+    public obtenerLocale(): string {
+        return this.locale;
+    }
+
+    /**
+     * Separadores que usa la configuración regional: { miles: ',', decimal: '.' } en
+     * en-US, { miles: '.', decimal: ',' } en es-ES. Sirven para volver a leer montos formateados.
+     */
+    public obtenerSeparadores(): SeparadoresNumericos {
+        const simbolos = new Intl.NumberFormat(this.locale, { useGrouping: true }).format(1234567.5).replace(/\d/g, '');
+        return { miles: simbolos.charAt(0), decimal: simbolos.charAt(simbolos.length - 1) };
+    }
+
+    /**
+     * Convierte a la moneda de destino. Los números se interpretan en la moneda de origen.
+     */
+    public convertir(monto: number | Dinero): Dinero {
+        const dinero = typeof monto === 'number' ? Dinero.desde(monto, this.monedaOrigen) : monto;
+        return this.proveedorTasas ? dinero.convertir(this.monedaDestino, this.proveedorTasas) : dinero;
+    }
+
+    public formatear(monto: number | Dinero): string {
+        return this.convertir(monto).formatear(this.locale);
+    }
+}
+
+// ============================================================================
+// EJEMPLO DE USO
+// ============================================================================
+
+/**
+ * Demuestra la aritmética exacta, la conversión y el formateo por configuración regional.
+ */
+export function demostrarMonedas(): void {
+    console.log('💱 DINERO Y MONEDAS\n');
+
+    let sumaFlotante = 0;
+    let sumaExacta = Dinero.cero('USD');
+    for (let i = 0; i < 10; i++) {
+        sumaFlotante += 0.1;
+        sumaExacta = sumaExacta.sumar(Dinero.desde(0.1, 'USD'));
+    }
+    console.log(`   10 x 0.10 con number: ${sumaFlotante}`);
+    console.log(`   10 x 0.10 con Dinero: ${sumaExacta}`);
+
+    const tasas = new ProveedorTasasFijas({ EUR: 0.92, MXN: 17.1, JPY: 149.5 });
+    const precio = Dinero.desde(1200, 'USD');
+
+    console.log('\n🌍 Laptop Gaming en distintas monedas:');
+    console.log(`   en-US: ${precio.formatear('en-US')}`);
+    console.log(`   de-DE: ${precio.convertir('EUR', tasas).formatear('de-DE')}`);
+    console.log(`   es-MX: ${precio.convertir('MXN', tasas).formatear('es-MX')}`);
+    console.log(`   ja-JP: ${precio.convertir('JPY', tasas).formatear('ja-JP')}`);
+
+    try {
+        precio.sumar(Dinero.desde(10, 'EUR'));
+    } catch (error) {
+        console.log(`\n❌ ${(error as Error).message}`);
+    }
+}
+
+if (require.main === module) {
+    demostrarMonedas();
+}
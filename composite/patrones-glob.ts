@@ -0,0 +1,91 @@
+/**
+ * PATRONES GLOB PARA RUTAS DEL ÁRBOL DE ARCHIVOS
+ *
+ * Problema: Importar directorios reales o buscar dentro del árbol Composite
+ * requiere expresar conjuntos de rutas ("node_modules", "**\/*.ts") sin
+ * depender de paquetes externos.
+ *
+ * Solución: Traducir patrones glob a expresiones regulares. Se admiten
+ * `*` (cualquier texto sin "/"), `**` (cualquier cantidad de carpetas),
+ * `?` (un carácter), clases `[abc]` / `[!abc]` y alternativas `{ts,js}`.
+ */
+
+/**
+ * Convierte un patrón glob en una expresión regular que valida la ruta completa.
+ * Las rutas se comparan con "/" como separador y sin "/" inicial.
+ */
+export function globToRegExp(pattern: string): RegExp {
+    let source = '';
+    let groupDepth = 0;
+    let i = 0;
+
+    while (i < pattern.length) {
+        const char = pattern[i];
+
+        if (char === '*') {
+            const isDoubleStar = pattern[i + 1] === '*';
+            const atSegmentStart = i === 0 || pattern[i - 1] === '/';
+
+            if (isDoubleStar && atSegmentStart && pattern[i + 2] === '/') {
+                // "**/" también coincide con cero carpetas
+                source += '(?:.*/)?';
+                i += 3;
+            } else if (isDoubleStar) {
+                source += '.*';
+                i += 2;
+            } else {
+                source += '[^/]*';
+                i += 1;
+            }
+            continue;
+        }
+
+        if (char === '[') {
+            const end = pattern.indexOf(']', i + 2);
+            if (end !== -1) {
+                let content = pattern.slice(i + 1, end).replace(/\\/g, '\\\\');
+                if (content.startsWith('!')) {
+                    content = '^' + content.slice(1);
+                }
+                source += `[${content}]`;
+                i = end + 1;
+                continue;
+            }
+        }
+
+        if (char === '?') {
+            source += '[^/]';
+        } else if (char === '{') {
+            source += '(?:';
+            groupDepth++;
+        } else if (char === '}' && groupDepth > 0) {
+            source += ')';
+            groupDepth--;
+        } else if (char === ',' && groupDepth > 0) {
+            source += '|';
+        } else {
+            source += char.replace(/[.+^$()|[\]{}\\]/g, '\\$&');
+        }
+        i++;
+    }
+
+    if (groupDepth > 0) {
+        throw new SyntaxError(`Patrón glob inválido, falta '}': ${pattern}`);
+    }
+
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Indica si una ruta coincide con un patrón glob.
+ * Un patrón sin "/" se compara solo con el último segmento de la ruta
+ * (así "*.log" coincide en cualquier carpeta, como en .gitignore).
+ */
+export function matchesGlob(path: string, pattern: string): boolean {
+    const normalized = path.replace(/^\/+/, '');
+    const target = pattern.includes('/')
+        ? normalized
+        : normalized.slice(normalized.lastIndexOf('/') + 1);
+
+    return globToRegExp(pattern.replace(/^\/+/, '')).test(target);
+}
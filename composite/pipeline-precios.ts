@@ -0,0 +1,308 @@
+/**
+ * PIPELINE DE PRECIOS - IMPUESTOS, DESCUENTOS Y RECARGOS DE EMPAQUE
+ *
+ * Problema: Caja.calcularPrecio() y GestorPedidos.calcularPrecioTotal() solo suman
+ * precios brutos. En un pedido real hay impuestos por categoría, descuentos
+ * (porcentuales o fijos) y recargos según el tipo de empaque.
+ *
+ * Solución: Un pipeline que recorre el árbol Composite y, en cada nodo, aplica
+ * las reglas configuradas, devolviendo un desglose por nodo con
+ * base, descuento, impuesto y total.
+ */
+
+import { ElementoPedido, Producto, Caja, GestorPedidos } from './sistema-pedidos';
+import { FormateadorMoneda } from './moneda-pedidos';
+
+export type TipoDescuento = 'porcentaje' | 'fijo';
+
+/**
+ * Descuento aplicable a cualquier nodo del árbol.
+ * - porcentaje: valor entre 0 y 100
+ * - fijo: monto a restar (nunca mayor al precio)
+ */
+export interface Descuento {
+    tipo: TipoDescuento;
+    valor: number;
+    descripcion?: string;
+}
+
+/**
+ * Configuración del pipeline. Las tasas se expresan como fracción (0.13 = 13%).
+ */
+export interface ConfiguracionPrecios {
+    tasasImpuestoPorCategoria?: Record<string, number>;
+    tasaImpuestoPorDefecto?: number;
+    tasaImpuestoEmpaque?: number;
+    recargosPorEmpaque?: Record<string, number>;
+}
+
+/**
+ * Desglose del precio de un nodo del árbol (y de sus hijos).
+ */
+export interface DesglosePrecio {
+    nombre: string;
+    tipo: 'producto' | 'caja' | 'pedido';
+    base: number;
+    descuento: number;
+    impuesto: number;
+    total: number;
+    hijos: DesglosePrecio[];
+}
+
+/**
+ * Cálculos de descuentos, siguiendo la misma lógica que DiscountCalculatorTS (clase03)
+ * y CalculadorDescuentos (clase08).
+ */
+export class CalculadoraDescuentos {
+    /**
+     * Calcula un descuento por porcentaje (0-100).
+     */
+    static calcularDescuentoPorcentaje(precio: number, porcentaje: number): number {
+        if (porcentaje < 0 || porcentaje > 100) {
+            throw new Error('El porcentaje debe estar entre 0 y 100');
+        }
+        return precio * (porcentaje / 100);
+    }
+
+    /**
+     * Calcula un descuento de monto fijo (nunca mayor al precio ni negativo).
+     */
+    static calcularDescuentoFijo(precio: number, monto: number): number {
+        return Math.min(precio, Math.max(0, monto));
+    }
+
+    /**
+     * Aplica una lista de descuentos en cadena: cada descuento se calcula
+     * sobre el precio que dejó el anterior.
+     */
+    static calcularDescuentoTotal(precio: number, descuentos: Descuento[]): number {
+        let restante = precio;
+        for (const descuento of descuentos) {
+            const monto = descuento.tipo === 'porcentaje'
+                ? this.calcularDescuentoPorcentaje(restante, descuento.valor)
+                : this.calcularDescuentoFijo(restante, descuento.valor);
+            restante -= monto;
+        }
+        return precio - restante;
+    }
+}
+
+/**
+ * Redondea un monto a centavos.
+ */
+function redondear(monto: number): number {
+    return Math.round(monto * 100) / 100;
+}
+
+/**
+ * Pipeline de precios aplicable a cualquier nodo del árbol de pedido.
+ */
+export class PipelinePrecios {
+    private configuracion: Required<ConfiguracionPrecios>;
+    private descuentos: Map<ElementoPedido, Descuento[]> = new Map();
+    private descuentosPedido: Descuento[] = [];
+
+    constructor(configuracion: ConfiguracionPrecios = {}) {
+        this.configuracion = {
+            tasasImpuestoPorCategoria: configuracion.tasasImpuestoPorCategoria || {},
+            tasaImpuestoPorDefecto: configuracion.tasaImpuestoPorDefecto || 0,
+            tasaImpuestoEmpaque: configuracion.tasaImpuestoEmpaque || 0,
+            recargosPorEmpaque: configuracion.recargosPorEmpaque || {}
+        };
+    }
+
+    /**
+     * Registra un descuento sobre un producto o una caja.
+     * En una caja, el descuento afecta a todo su contenido.
+     */
+    public agregarDescuento(elemento: ElementoPedido, descuento: Descuento): this {
+        const lista = this.descuentos.get(elemento) || [];
+        lista.push(descuento);
+        this.descuentos.set(elemento, lista);
+        return this;
+    }
+
+    /**
+     * Registra un descuento sobre el pedido completo.
+     */
+    public agregarDescuentoPedido(descuento: Descuento): this {
+        this.descuentosPedido.push(descuento);
+        return this;
+    }
+
+    /**
+     * Obtiene la tasa de impuesto de una categoría de producto.
+     */
+    public obtenerTasaImpuesto(categoria: string): number {
+        const tasa = this.configuracion.tasasImpuestoPorCategoria[categoria];
+        return tasa !== undefined ? tasa : this.configuracion.tasaImpuestoPorDefecto;
+    }
+
+    /**
+     * Obtiene el recargo fijo asociado a un tipo de empaque.
+     */
+    public obtenerRecargoEmpaque(tipoEmpaque: string): number {
+        return this.configuracion.recargosPorEmpaque[tipoEmpaque] || 0;
+    }
+
+    /**
+     * Calcula el desglose de un elemento del árbol (recursivo para cajas).
+     */
+    public calcular(elemento: ElementoPedido): DesglosePrecio {
+        const descuentos = this.descuentos.get(elemento) || [];
+
+        if (elemento instanceof Producto) {
+            const base = elemento.obtenerPrecioBase();
+            const descuento = redondear(CalculadoraDescuentos.calcularDescuentoTotal(base, descuentos));
+            const impuesto = redondear((base - descuento) * this.obtenerTasaImpuesto(elemento.obtenerCategoria()));
+
+            return {
+                nombre: elemento.obtenerNombre(),
+                tipo: 'producto',
+                base,
+                descuento,
+                impuesto,
+                total: redondear(base - descuento + impuesto),
+                hijos: []
+            };
+        }
+
+        if (elemento instanceof Caja) {
+            const costoPropio = elemento.obtenerCostoCaja() + this.obtenerRecargoEmpaque(elemento.obtenerTipoEmpaque());
+            const hijos = elemento.obtenerContenido().map(hijo => this.calcular(hijo));
+
+            // Una regla de paquete se refleja como un descuento fijo sobre el contenido de la caja
+            // o, si el paquete cuesta más que la suma de su contenido, como un recargo de la caja
+            const paquete = elemento.aplicarReglaPaquete();
+            if (paquete) {
+                const precioLista = elemento.obtenerContenido().reduce((total, hijo) => total + hijo.calcularPrecio(), 0);
+                const ahorro = redondear(precioLista - paquete.precio);
+                if (ahorro > 0) {
+                    return this.combinar(elemento.obtenerNombre(), 'caja', costoPropio, hijos,
+                        [{ tipo: 'fijo', valor: ahorro, descripcion: paquete.descripcion }, ...descuentos]);
+                }
+                if (ahorro < 0) {
+                    return this.combinar(elemento.obtenerNombre(), 'caja', costoPropio - ahorro, hijos, descuentos);
+                }
+            }
+
+            return this.combinar(elemento.obtenerNombre(), 'caja', costoPropio, hijos, descuentos);
+        }
+
+        throw new Error(`Tipo de elemento no soportado: ${elemento.obtenerNombre()}`);
+    }
+
+    /**
+     * Calcula el desglose del pedido completo.
+     */
+    public calcularPedido(gestor: GestorPedidos): DesglosePrecio {
+        const hijos = gestor.obtenerElementos().map(elemento => this.calcular(elemento));
+        return this.combinar(`Pedido #${gestor.obtenerNumeroPedido()}`, 'pedido', 0, hijos, this.descuentosPedido);
+    }
+
+    /**
+     * Combina el desglose de los hijos con el costo propio de un nodo compuesto.
+     *
+     * Los descuentos del nodo se aplican sobre el subtotal neto (antes de impuestos),
+     * por lo que el impuesto acumulado se reduce en la misma proporción.
+     */
+    private combinar(
+        nombre: string,
+        tipo: 'caja' | 'pedido',
+        costoPropio: number,
+        hijos: DesglosePrecio[],
+        descuentos: Descuento[]
+    ): DesglosePrecio {
+        let base = costoPropio;
+        let descuentoHijos = 0;
+        let impuestoHijos = 0;
+
+        for (const hijo of hijos) {
+            base += hijo.base;
+            descuentoHijos += hijo.descuento;
+            impuestoHijos += hijo.impuesto;
+        }
+
+        const neto = base - descuentoHijos;
+        const descuentoPropio = CalculadoraDescuentos.calcularDescuentoTotal(neto, descuentos);
+        const proporcion = neto > 0 ? (neto - descuentoPropio) / neto : 0;
+        const impuestoPropio = costoPropio * this.configuracion.tasaImpuestoEmpaque;
+
+        const descuento = redondear(descuentoHijos + descuentoPropio);
+        const impuesto = redondear((impuestoHijos + impuestoPropio) * proporcion);
+
+        return {
+            nombre,
+            tipo,
+            base: redondear(base),
+            descuento,
+            impuesto,
+            total: redondear(base - descuento + impuesto),
+            hijos
+        };
+    }
+
+    /**
+     * Genera una representación en texto del desglose, con indentación por nivel.
+     * Los montos se muestran con `formateador` (moneda y configuración regional del cliente).
+     */
+    public formatearDesglose(desglose: DesglosePrecio, nivel: number = 0, formateador: FormateadorMoneda = new FormateadorMoneda()): string {
+        const indentacion = '  '.repeat(nivel);
+        let texto = `${indentacion}${desglose.nombre}: base ${formateador.formatear(desglose.base)}` +
+            ` | descuento -${formateador.formatear(desglose.descuento)}` +
+            ` | impuesto +${formateador.formatear(desglose.impuesto)}` +
+            ` | total ${formateador.formatear(desglose.total)}`;
+
+        for (const hijo of desglose.hijos) {
+            texto += '\n' + this.formatearDesglose(hijo, nivel + 1, formateador);
+        }
+
+        return texto;
+    }
+}
+
+// ============================================================================
+// EJEMPLO DE USO
+// ============================================================================
+
+/**
+ * Demuestra impuestos por categoría, descuentos en distintos niveles y recargos de empaque.
+ */
+export function demostrarPipelinePrecios(): void {
+    console.log('🧾 PIPELINE DE PRECIOS\n');
+
+    const laptop = new Producto('Laptop Gaming', 1200.00, 'Electrónicos');
+    const mouse = new Producto('Mouse Inalámbrico', 25.99, 'Periféricos');
+    const libro = new Producto('Libro de Programación', 45.00, 'Libros');
+
+    const cajaElectronicos = new Caja('Caja Electrónicos', 15.00, 'Antiestática', 3);
+    cajaElectronicos.agregar(laptop);
+    cajaElectronicos.agregar(mouse);
+
+    const cajaEnvio = new Caja('Caja Envío Completo', 10.00, 'Reforzada', 8);
+    cajaEnvio.agregar(cajaElectronicos);
+    cajaEnvio.agregar(libro);
+
+    const gestor = new GestorPedidos('PED-2025-001');
+    gestor.agregarElemento(cajaEnvio);
+
+    const pipeline = new PipelinePrecios({
+        tasasImpuestoPorCategoria: { 'Electrónicos': 0.13, 'Periféricos': 0.13, 'Libros': 0 },
+        tasaImpuestoEmpaque: 0.13,
+        recargosPorEmpaque: { 'Antiestática': 3.50 }
+    });
+
+    pipeline
+        .agregarDescuento(laptop, { tipo: 'porcentaje', valor: 10, descripcion: 'Promoción laptops' })
+        .agregarDescuento(cajaEnvio, { tipo: 'fijo', valor: 20, descripcion: 'Cupón envío' });
+
+    const desglose = pipeline.calcularPedido(gestor);
+    console.log('\n' + pipeline.formatearDesglose(desglose));
+    const formateador = new FormateadorMoneda(gestor.obtenerMoneda());
+    console.log(`\n💰 Total con impuestos y descuentos: ${formateador.formatear(desglose.total)} ` +
+        `(precio bruto: ${formateador.formatear(gestor.calcularPrecioTotal())})`);
+}
+
+if (require.main === module) {
+    demostrarPipelinePrecios();
+}
@@ -0,0 +1,265 @@
+/**
+ * RECORRIDO Y CONSULTAS SOBRE EL ÁRBOL DE PEDIDOS
+ *
+ * Problema: Cada operación nueva (obtenerTodosLosProductos, obtenerEstadisticas,
+ * el generador Mermaid...) reimplementa su propia recursión con `instanceof`.
+ *
+ * Solución: Iteradores genéricos en profundidad y en anchura que entregan cada
+ * nodo con su ruta, profundidad y padre, más consultas frecuentes ya resueltas.
+ * La distinción entre Producto y Caja se hace con el patrón Visitor (aceptar),
+ * por lo que los reportes nuevos no necesitan tocar esas clases.
+ */
+
+import { ElementoPedido, Producto, Caja, GestorPedidos, VisitanteElementoPedido } from './sistema-pedidos';
+
+/**
+ * Nodo entregado por los recorridos.
+ */
+export interface NodoRecorrido<T extends ElementoPedido = ElementoPedido> {
+    elemento: T;
+    padre: Caja | null;
+    ruta: string[];
+    indices: number[];
+    profundidad: number;
+}
+
+/**
+ * Cualquier punto de partida válido para un recorrido.
+ */
+export type OrigenRecorrido = ElementoPedido | ElementoPedido[] | GestorPedidos;
+
+export type OrdenRecorrido = 'profundidad' | 'anchura';
+
+/**
+ * Visitante con información de posición. Ambos métodos son opcionales.
+ */
+export interface VisitanteRecorrido {
+    visitarProducto?(producto: Producto, nodo: NodoRecorrido<Producto>): void;
+    visitarCaja?(caja: Caja, nodo: NodoRecorrido<Caja>): void;
+}
+
+const visitanteHijos: VisitanteElementoPedido<ElementoPedido[]> = {
+    visitarProducto: () => [],
+    visitarCaja: caja => caja.obtenerContenido()
+};
+
+/**
+ * Obtiene los hijos directos de un elemento (vacío para productos).
+ */
+export function obtenerHijos(elemento: ElementoPedido): ElementoPedido[] {
+    return elemento.aceptar(visitanteHijos);
+}
+
+function obtenerRaices(origen: OrigenRecorrido): ElementoPedido[] {
+    if (origen instanceof GestorPedidos) {
+        return origen.obtenerElementos();
+    }
+    return Array.isArray(origen) ? origen : [origen];
+}
+
+function crearNodosHijos(nodo: NodoRecorrido): NodoRecorrido[] {
+    const padre = nodo.elemento instanceof Caja ? nodo.elemento : null;
+    return obtenerHijos(nodo.elemento).map((hijo, indice) => ({
+        elemento: hijo,
+        padre,
+        ruta: [...nodo.ruta, hijo.obtenerNombre()],
+        indices: [...nodo.indices, indice],
+        profundidad: nodo.profundidad + 1
+    }));
+}
+
+function crearNodosRaiz(origen: OrigenRecorrido): NodoRecorrido[] {
+    return obtenerRaices(origen).map((elemento, indice) => ({
+        elemento,
+        padre: null,
+        ruta: [elemento.obtenerNombre()],
+        indices: [indice],
+        profundidad: 0
+    }));
+}
+
+/**
+ * Recorre el árbol en profundidad (preorden): cada caja antes que su contenido.
+ */
+export function* recorrerEnProfundidad(origen: OrigenRecorrido): IterableIterator<NodoRecorrido> {
+    const pila = crearNodosRaiz(origen).reverse();
+
+    while (pila.length > 0) {
+        const nodo = pila.pop()!;
+        yield nodo;
+        pila.push(...crearNodosHijos(nodo).reverse());
+    }
+}
+
+/**
+ * Recorre el árbol en anchura: primero todos los elementos de un nivel, luego el siguiente.
+ */
+export function* recorrerEnAnchura(origen: OrigenRecorrido): IterableIterator<NodoRecorrido> {
+    const cola = crearNodosRaiz(origen);
+
+    while (cola.length > 0) {
+        const nodo = cola.shift()!;
+        yield nodo;
+        cola.push(...crearNodosHijos(nodo));
+    }
+}
+
+/**
+ * Recorre el árbol aplicando un visitante con información de posición.
+ */
+export function visitarArbol(origen: OrigenRecorrido, visitante: VisitanteRecorrido, orden: OrdenRecorrido = 'profundidad'): void {
+    const recorrido = orden === 'profundidad' ? recorrerEnProfundidad(origen) : recorrerEnAnchura(origen);
+
+    for (const nodo of recorrido) {
+        nodo.elemento.aceptar<void>({
+            visitarProducto: producto => visitante.visitarProducto?.(producto, nodo as NodoRecorrido<Producto>),
+            visitarCaja: caja => visitante.visitarCaja?.(caja, nodo as NodoRecorrido<Caja>)
+        });
+    }
+}
+
+/**
+ * Formatea la ruta de un nodo: "Caja Envío Completo > Caja Periféricos > Mouse"
+ */
+export function formatearRuta(nodo: NodoRecorrido, separador: string = ' > '): string {
+    return nodo.ruta.join(separador);
+}
+
+/**
+ * Consultas frecuentes sobre un pedido, construidas sobre los recorridos genéricos.
+ */
+export class ConsultaPedido {
+    private origen: OrigenRecorrido;
+
+    constructor(origen: OrigenRecorrido) {
+        this.origen = origen;
+    }
+
+    /**
+     * Devuelve todos los nodos en el orden indicado.
+     */
+    public nodos(orden: OrdenRecorrido = 'profundidad'): NodoRecorrido[] {
+        return Array.from(orden === 'profundidad' ? recorrerEnProfundidad(this.origen) : recorrerEnAnchura(this.origen));
+    }
+
+    /**
+     * Filtra los nodos con un predicado arbitrario.
+     */
+    public filtrar(predicado: (nodo: NodoRecorrido) => boolean): NodoRecorrido[] {
+        return this.nodos().filter(predicado);
+    }
+
+    /**
+     * Devuelve los nodos de todos los productos.
+     */
+    public productos(): NodoRecorrido<Producto>[] {
+        return this.filtrar(nodo => nodo.elemento instanceof Producto) as NodoRecorrido<Producto>[];
+    }
+
+    /**
+     * Devuelve los nodos de todas las cajas.
+     */
+    public cajas(): NodoRecorrido<Caja>[] {
+        return this.filtrar(nodo => nodo.elemento instanceof Caja) as NodoRecorrido<Caja>[];
+    }
+
+    /**
+     * Busca elementos por nombre exacto o por expresión regular.
+     */
+    public buscarPorNombre(nombre: string | RegExp): NodoRecorrido[] {
+        // Sin las banderas g/y, test() no guarda lastIndex entre un nodo y el siguiente
+        const patron = typeof nombre === 'string' ? null : new RegExp(nombre.source, nombre.flags.replace(/[gy]/g, ''));
+        return this.filtrar(nodo => patron === null
+            ? nodo.elemento.obtenerNombre() === nombre
+            : patron.test(nodo.elemento.obtenerNombre()));
+    }
+
+    /**
+     * Devuelve los productos de una categoría.
+     */
+    public filtrarPorCategoria(categoria: string): NodoRecorrido<Producto>[] {
+        return this.productos().filter(nodo => nodo.elemento.obtenerCategoria() === categoria);
+    }
+
+    /**
+     * Devuelve los productos cuyo precio supera el monto indicado.
+     */
+    public productosConPrecioMayorA(precio: number): NodoRecorrido<Producto>[] {
+        return this.productos().filter(nodo => nodo.elemento.calcularPrecio() > precio);
+    }
+
+    /**
+     * Devuelve la caja más profunda del árbol (la primera encontrada en caso de empate),
+     * o null si el pedido no tiene cajas.
+     */
+    public cajaMasProfunda(): NodoRecorrido<Caja> | null {
+        let masProfunda: NodoRecorrido<Caja> | null = null;
+
+        for (const nodo of this.cajas()) {
+            if (!masProfunda || nodo.profundidad > masProfunda.profundidad) {
+                masProfunda = nodo;
+            }
+        }
+
+        return masProfunda;
+    }
+}
+
+// ============================================================================
+// EJEMPLO DE USO
+// ============================================================================
+
+/**
+ * Demuestra los recorridos y consultas sobre el pedido de ejemplo.
+ */
+export function demostrarRecorrido(): void {
+    console.log('🧭 RECORRIDOS Y CONSULTAS SOBRE EL PEDIDO\n');
+
+    const cajaPerifericos = new Caja('Caja Periféricos', 5.00, 'Acolchada', 5);
+    cajaPerifericos.agregar(new Producto('Mouse Inalámbrico', 25.99, 'Periféricos'));
+    cajaPerifericos.agregar(new Producto('Teclado Mecánico', 89.99, 'Periféricos'));
+
+    const cajaElectronicos = new Caja('Caja Electrónicos', 15.00, 'Antiestática', 3);
+    cajaElectronicos.agregar(new Producto('Laptop Gaming', 1200.00, 'Electrónicos'));
+    cajaElectronicos.agregar(new Producto('Monitor 24"', 299.99, 'Electrónicos'));
+
+    const cajaEnvio = new Caja('Caja Envío Completo', 10.00, 'Reforzada', 8);
+    cajaEnvio.agregar(cajaPerifericos);
+    cajaEnvio.agregar(cajaElectronicos);
+    cajaEnvio.agregar(new Producto('Libro de Programación', 45.00, 'Libros'));
+
+    const gestor = new GestorPedidos('PED-2025-001');
+    gestor.agregarElemento(cajaEnvio);
+
+    console.log('\n🔽 Recorrido en profundidad:');
+    for (const nodo of recorrerEnProfundidad(gestor)) {
+        console.log(`   ${'  '.repeat(nodo.profundidad)}${nodo.elemento.obtenerNombre()}`);
+    }
+
+    console.log('\n↔️  Recorrido en anchura:');
+    for (const nodo of recorrerEnAnchura(gestor)) {
+        console.log(`   [nivel ${nodo.profundidad}] ${nodo.elemento.obtenerNombre()}`);
+    }
+
+    // Un reporte nuevo sin modificar Producto ni Caja
+    let costoEmpaque = 0;
+    visitarArbol(gestor, {
+        visitarCaja: caja => { costoEmpaque += caja.obtenerCostoCaja(); }
+    });
+    console.log(`\n📦 Costo total de empaque: $${costoEmpaque.toFixed(2)}`);
+
+    const consulta = new ConsultaPedido(gestor);
+    console.log('\n🔍 Consultas:');
+    console.log(`   Periféricos: ${consulta.filtrarPorCategoria('Periféricos').map(nodo => formatearRuta(nodo)).join(' | ')}`);
+    console.log(`   Más de $200: ${consulta.productosConPrecioMayorA(200).map(nodo => nodo.elemento.obtenerNombre()).join(', ')}`);
+    console.log(`   Buscar /Monitor/: ${consulta.buscarPorNombre(/Monitor/).map(nodo => formatearRuta(nodo)).join(' | ')}`);
+
+    const masProfunda = consulta.cajaMasProfunda();
+    if (masProfunda) {
+        console.log(`   Caja más profunda: ${formatearRuta(masProfunda)} (nivel ${masProfunda.profundidad})`);
+    }
+}
+
+if (require.main === module) {
+    demostrarRecorrido();
+}
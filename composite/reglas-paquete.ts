@@ -0,0 +1,188 @@
+/**
+ * REGLAS DE PRECIO PARA PAQUETES Y KITS
+ *
+ * Problema: Una Caja cuesta `costoCaja` más la suma de su contenido, pero
+ * comercialmente algunas cajas son paquetes: "el kit laptop + mouse + teclado
+ * con 10% de descuento", paquetes a precio fijo o "el artículo más barato gratis".
+ *
+ * Solución: Cada promoción es una estrategia que implementa ReglaPaquete y se
+ * asigna a una caja con `establecerReglaPaquete`. La caja la aplica al calcular
+ * su precio; como el precio de cada hijo ya incluye su propia regla, los
+ * paquetes anidados se valoran de forma recursiva.
+ */
+
+import { ElementoPedido, Producto, Caja, GestorPedidos, ReglaPaquete, ResultadoReglaPaquete } from './sistema-pedidos';
+
+/**
+ * Suma el precio de los elementos (cada uno con sus propias reglas aplicadas).
+ */
+function sumarPrecios(contenido: ElementoPedido[]): number {
+    return contenido.reduce((total, elemento) => total + elemento.calcularPrecio(), 0);
+}
+
+/**
+ * Redondea a centavos, igual que el pipeline de precios.
+ */
+function redondear(valor: number): number {
+    return Math.round(valor * 100) / 100;
+}
+
+/**
+ * Kit: si la caja contiene todos los artículos requeridos, el contenido
+ * completo recibe un descuento porcentual.
+ */
+export class ReglaDescuentoKit implements ReglaPaquete {
+    private nombreKit: string;
+    private articulosRequeridos: string[];
+    private porcentaje: number;
+
+    /**
+     * @param nombreKit - Nombre comercial del kit, usado en la descripción
+     * @param articulosRequeridos - Nombres de los elementos que deben estar en la caja
+     * @param porcentaje - Descuento sobre el contenido (0-100)
+     */
+    constructor(nombreKit: string, articulosRequeridos: string[], porcentaje: number) {
+        if (porcentaje < 0 || porcentaje > 100) {
+            throw new Error('El porcentaje debe estar entre 0 y 100');
+        }
+        this.nombreKit = nombreKit;
+        this.articulosRequeridos = articulosRequeridos;
+        this.porcentaje = porcentaje;
+    }
+
+    public obtenerNombreKit(): string {
+        return this.nombreKit;
+    }
+
+    public obtenerArticulosRequeridos(): string[] {
+        return [...this.articulosRequeridos];
+    }
+
+    public obtenerPorcentaje(): number {
+        return this.porcentaje;
+    }
+
+    public aplicar(contenido: ElementoPedido[]): ResultadoReglaPaquete | null {
+        const nombres = contenido.map(elemento => elemento.obtenerNombre());
+        if (!this.articulosRequeridos.every(nombre => nombres.includes(nombre))) {
+            return null;
+        }
+
+        return {
+            precio: redondear(sumarPrecios(contenido) * (1 - this.porcentaje / 100)),
+            descripcion: `${this.nombreKit}: ${this.porcentaje}% de descuento`
+        };
+    }
+}
+
+/**
+ * Paquete a precio fijo: el contenido cuesta siempre lo mismo,
+ * siempre que tenga al menos `minimoElementos`.
+ */
+export class ReglaPrecioFijo implements ReglaPaquete {
+    private nombrePaquete: string;
+    private precio: number;
+    private minimoElementos: number;
+
+    constructor(nombrePaquete: string, precio: number, minimoElementos: number = 1) {
+        if (precio < 0) {
+            throw new Error('El precio del paquete no puede ser negativo');
+        }
+        this.nombrePaquete = nombrePaquete;
+        this.precio = precio;
+        this.minimoElementos = minimoElementos;
+    }
+
+    public obtenerNombrePaquete(): string {
+        return this.nombrePaquete;
+    }
+
+    public obtenerPrecio(): number {
+        return this.precio;
+    }
+
+    public obtenerMinimoElementos(): number {
+        return this.minimoElementos;
+    }
+
+    public aplicar(contenido: ElementoPedido[]): ResultadoReglaPaquete | null {
+        if (contenido.length < this.minimoElementos) {
+            return null;
+        }
+
+        return {
+            precio: this.precio,
+            descripcion: `${this.nombrePaquete}: precio fijo`
+        };
+    }
+}
+
+/**
+ * "El más barato gratis": con al menos `minimoElementos` en la caja,
+ * el elemento de menor precio no se cobra.
+ */
+export class ReglaMasBaratoGratis implements ReglaPaquete {
+    private minimoElementos: number;
+
+    constructor(minimoElementos: number = 3) {
+        this.minimoElementos = minimoElementos;
+    }
+
+    public obtenerMinimoElementos(): number {
+        return this.minimoElementos;
+    }
+
+    public aplicar(contenido: ElementoPedido[]): ResultadoReglaPaquete | null {
+        if (contenido.length < this.minimoElementos) {
+            return null;
+        }
+
+        const masBarato = contenido.reduce((menor, elemento) =>
+            elemento.calcularPrecio() < menor.calcularPrecio() ? elemento : menor);
+
+        return {
+            precio: redondear(sumarPrecios(contenido) - masBarato.calcularPrecio()),
+            descripcion: `${masBarato.obtenerNombre()} gratis (el más barato de ${contenido.length})`
+        };
+    }
+}
+
+// ============================================================================
+// EJEMPLO DE USO
+// ============================================================================
+
+/**
+ * Arma un kit gamer que contiene un paquete de accesorios con el más barato gratis.
+ */
+export function demostrarReglasPaquete(): void {
+    console.log('🏷️  PAQUETES Y KITS\n');
+
+    const accesorios = new Caja('Paquete Accesorios', 1.00, 'Estándar', 5);
+    accesorios.agregar(new Producto('Cable USB-C', 19.99, 'Accesorios'));
+    accesorios.agregar(new Producto('Mousepad', 12.50, 'Accesorios'));
+    accesorios.agregar(new Producto('Hub USB', 34.90, 'Accesorios'));
+    accesorios.establecerReglaPaquete(new ReglaMasBaratoGratis(3));
+
+    const kitGamer = new Caja('Kit Gamer', 10.00, 'Reforzada', 8);
+    kitGamer.agregar(new Producto('Laptop Gaming', 1200.00, 'Electrónicos'));
+    kitGamer.agregar(new Producto('Mouse Inalámbrico', 25.99, 'Periféricos'));
+    kitGamer.agregar(new Producto('Teclado Mecánico', 89.99, 'Periféricos'));
+    kitGamer.agregar(accesorios);
+    kitGamer.establecerReglaPaquete(new ReglaDescuentoKit('Kit Gamer', ['Laptop Gaming', 'Mouse Inalámbrico', 'Teclado Mecánico'], 10));
+
+    const cajaLibros = new Caja('Trilogía de Programación', 2.00, 'Estándar', 3);
+    cajaLibros.agregar(new Producto('Clean Code', 45.00, 'Libros'));
+    cajaLibros.agregar(new Producto('Refactoring', 50.00, 'Libros'));
+    cajaLibros.agregar(new Producto('Design Patterns', 55.00, 'Libros'));
+    cajaLibros.establecerReglaPaquete(new ReglaPrecioFijo('Trilogía', 120.00, 3));
+
+    const gestor = new GestorPedidos('PED-2025-001');
+    gestor.agregarElemento(kitGamer);
+    gestor.agregarElemento(cajaLibros);
+
+    console.log(gestor.generarResumenPedido());
+}
+
+if (require.main === module) {
+    demostrarReglasPaquete();
+}
@@ -0,0 +1,289 @@
+/**
+ * FORMATOS DE RENDERIZADO PARA EL ÁRBOL DE ARCHIVOS COMPOSITE
+ *
+ * Problema: Composite.operation() devuelve todo el árbol en una sola línea
+ * ("📁 Carpeta: X [a, b, c]"), ilegible cuando hay varios niveles.
+ *
+ * Solución: Una interfaz TreeRenderer con una implementación por formato:
+ * ASCII al estilo del comando `tree`, texto indentado, JSON y Mermaid (con los
+ * mismos estilos que GeneradorDiagramaMermaid). El cliente elige el formato
+ * sin que Leaf ni Composite cambien.
+ */
+
+import { Component, Leaf, Composite } from './index';
+import { VirtualFileSystem } from './sistema-archivos-virtual';
+import { escaparEtiquetaMermaid } from './escapado-diagramas';
+
+/**
+ * Convierte un árbol de Component en texto.
+ */
+export interface TreeRenderer {
+    render(root: Component): string;
+}
+
+/**
+ * Opciones comunes a los renderizadores de texto.
+ */
+export interface RenderOptions {
+    /** Muestra el tamaño de cada nodo (recursivo en carpetas) */
+    showSize?: boolean;
+}
+
+export type TreeFormat = 'ascii' | 'indented' | 'json' | 'mermaid';
+
+/**
+ * Nodo del formato JSON.
+ */
+export interface TreeNodeJSON {
+    name: string;
+    type: 'file' | 'folder';
+    size: number;
+    children?: TreeNodeJSON[];
+}
+
+/**
+ * Formatea un tamaño en bytes de forma legible (512 B, 2.0 KB, 1.5 MB).
+ */
+export function formatSize(bytes: number): string {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let value = bytes;
+    let unit = 0;
+
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+
+    return unit === 0 ? `${value} B` : `${value.toFixed(1)} ${units[unit]}`;
+}
+
+function childrenOf(component: Component): Component[] {
+    return component instanceof Composite ? component.getChildren() : [];
+}
+
+/**
+ * Nombre visible de un nodo; la raíz sin nombre de VirtualFileSystem se muestra como "/".
+ */
+function labelOf(component: Component): string {
+    return component.getName() === '' && component.getParent() === null ? '/' : component.getName();
+}
+
+/**
+ * Árbol con caracteres de dibujo de cajas, como la salida del comando `tree`.
+ */
+export class AsciiTreeRenderer implements TreeRenderer {
+    private options: RenderOptions;
+
+    constructor(options: RenderOptions = {}) {
+        this.options = options;
+    }
+
+    public render(root: Component): string {
+        const counts = { folders: 0, files: 0 };
+        const lines = [this.label(root)];
+        this.renderChildren(root, '', lines, counts);
+
+        lines.push('');
+        lines.push(`${counts.folders} ${counts.folders === 1 ? 'carpeta' : 'carpetas'}, ` +
+            `${counts.files} ${counts.files === 1 ? 'archivo' : 'archivos'}`);
+        return lines.join('\n');
+    }
+
+    private renderChildren(component: Component, prefix: string, lines: string[], counts: { folders: number; files: number }): void {
+        const children = childrenOf(component);
+
+        children.forEach((child, index) => {
+            const isLast = index === children.length - 1;
+            lines.push(`${prefix}${isLast ? '└── ' : '├── '}${this.label(child)}`);
+
+            if (child instanceof Composite) {
+                counts.folders++;
+                this.renderChildren(child, prefix + (isLast ? '    ' : '│   '), lines, counts);
+            } else {
+                counts.files++;
+            }
+        });
+    }
+
+    private label(component: Component): string {
+        const size = this.options.showSize ? ` (${formatSize(component.getSize())})` : '';
+        const label = labelOf(component);
+        return `${label}${component instanceof Composite && label !== '/' ? '/' : ''}${size}`;
+    }
+}
+
+/**
+ * Texto indentado, con íconos de carpeta y archivo.
+ */
+export class IndentedTreeRenderer implements TreeRenderer {
+    private options: RenderOptions;
+    private indent: string;
+
+    /**
+     * @param indent - Texto que se repite por cada nivel de profundidad
+     */
+    constructor(options: RenderOptions = {}, indent: string = '  ') {
+        this.options = options;
+        this.indent = indent;
+    }
+
+    public render(root: Component): string {
+        const lines: string[] = [];
+        const visit = (component: Component, depth: number): void => {
+            const icon = component instanceof Composite ? '📁' : '📄';
+            const size = this.options.showSize ? ` - ${formatSize(component.getSize())}` : '';
+            lines.push(`${this.indent.repeat(depth)}${icon} ${labelOf(component)}${size}`);
+            childrenOf(component).forEach(child => visit(child, depth + 1));
+        };
+
+        visit(root, 0);
+        return lines.join('\n');
+    }
+}
+
+/**
+ * Estructura JSON anidada con nombre, tipo, tamaño e hijos.
+ */
+export class JsonTreeRenderer implements TreeRenderer {
+    private space: number;
+
+    /**
+     * @param space - Espacios de indentación (0 para una sola línea)
+     */
+    constructor(space: number = 2) {
+        this.space = space;
+    }
+
+    public toJSON(component: Component): TreeNodeJSON {
+        if (component instanceof Leaf) {
+            return { name: component.getName(), type: 'file', size: component.getSize() };
+        }
+
+        return {
+            name: component.getName(),
+            type: 'folder',
+            size: component.getSize(),
+            children: childrenOf(component).map(child => this.toJSON(child))
+        };
+    }
+
+    public render(root: Component): string {
+        return JSON.stringify(this.toJSON(root), null, this.space || undefined);
+    }
+}
+
+/**
+ * Diagrama Mermaid con los estilos de GeneradorDiagramaMermaid: archivos como
+ * nodos rectangulares y carpetas como nodos redondeados.
+ */
+export class MermaidTreeRenderer implements TreeRenderer {
+    private titulo: string;
+    private options: RenderOptions;
+
+    constructor(titulo: string = 'Sistema de Archivos', options: RenderOptions = { showSize: true }) {
+        this.titulo = titulo;
+        this.options = options;
+    }
+
+    public render(root: Component): string {
+        let contador = 0;
+        let nodos = '\n    %% Definición de nodos\n';
+        let conexiones = '    %% Conexiones\n';
+
+        const visit = (component: Component, id: string): void => {
+            const nombre = escaparEtiquetaMermaid(labelOf(component));
+            const size = this.options.showSize ? `<br/>${formatSize(component.getSize())}` : '';
+
+            if (component instanceof Composite) {
+                const cantidad = component.getChildren().length;
+                nodos += `    ${id}("📁 ${nombre}${size}<br/>(${cantidad} elementos)"):::carpeta\n`;
+            } else {
+                nodos += `    ${id}["📄 ${nombre}${size}"]:::archivo\n`;
+            }
+
+            for (const child of childrenOf(component)) {
+                const childId = `nodo${contador++}`;
+                conexiones += `    ${id} --> ${childId}\n`;
+                visit(child, childId);
+            }
+        };
+
+        visit(root, `nodo${contador++}`);
+
+        return `graph TD\n` +
+            `    %% ${escaparEtiquetaMermaid(this.titulo)}\n` +
+            `    %% Generado automáticamente desde el árbol Composite\n` +
+            `${nodos}\n${conexiones}` +
+            `
+    %% Estilos
+    classDef archivo fill:#e1f5fe,stroke:#01579b,stroke-width:2px,color:#000
+    classDef carpeta fill:#f3e5f5,stroke:#4a148c,stroke-width:3px,color:#000
+    classDef default fill:#f9f9f9,stroke:#333,stroke-width:1px
+`;
+    }
+}
+
+/**
+ * Crea el renderizador de un formato con sus opciones por defecto.
+ */
+export function createRenderer(format: TreeFormat, options: RenderOptions = {}): TreeRenderer {
+    switch (format) {
+        case 'ascii':
+            return new AsciiTreeRenderer(options);
+        case 'indented':
+            return new IndentedTreeRenderer(options);
+        case 'json':
+            return new JsonTreeRenderer();
+        case 'mermaid':
+            return new MermaidTreeRenderer(undefined, { showSize: true, ...options });
+        default:
+            throw new Error(`Formato de renderizado no soportado: ${format}`);
+    }
+}
+
+/**
+ * Renderiza un árbol con un formato conocido o con un renderizador propio.
+ */
+export function renderTree(root: Component, renderer: TreeFormat | TreeRenderer, options: RenderOptions = {}): string {
+    return (typeof renderer === 'string' ? createRenderer(renderer, options) : renderer).render(root);
+}
+
+// ============================================================================
+// EJEMPLO DE USO
+// ============================================================================
+
+/**
+ * Muestra el sistema de archivos del ejemplo de index.ts en cada formato.
+ */
+export function demostrarRenderizadoArbol(): void {
+    console.log('🌳 FORMATOS DE RENDERIZADO DEL ÁRBOL\n');
+
+    const vfs = new VirtualFileSystem();
+    vfs.mkdir('/Sistema/Documentos', { recursive: true });
+    vfs.mkdir('/Sistema/Imágenes', { recursive: true });
+    vfs.mkdir('/Sistema/Proyectos/TypeScript', { recursive: true });
+    vfs.writeFile('/Sistema/Documentos/manual.pdf', 'x'.repeat(2048));
+    vfs.writeFile('/Sistema/Documentos/notas.txt', 'Revisar el patrón Composite');
+    vfs.writeFile('/Sistema/Imágenes/logo.png', 'p'.repeat(600));
+    vfs.writeFile('/Sistema/Proyectos/proyecto.zip', 'z'.repeat(4096));
+    vfs.writeFile('/Sistema/Proyectos/TypeScript/index.ts', "console.log('hola');\n");
+
+    const sistema = vfs.resolve('/Sistema');
+    console.log(`\n📋 operation(): ${sistema.operation()}`);
+
+    console.log('\n🌲 ASCII (tree):');
+    console.log(renderTree(sistema, 'ascii', { showSize: true }));
+
+    console.log('\n📑 Indentado:');
+    console.log(renderTree(sistema, new IndentedTreeRenderer({}, '    ')));
+
+    console.log('\n🧾 JSON (Proyectos):');
+    console.log(renderTree(vfs.resolve('/Sistema/Proyectos'), 'json'));
+
+    console.log('\n🎨 Mermaid:');
+    console.log(renderTree(sistema, new MermaidTreeRenderer('Sistema de Archivos - Ejemplo')));
+}
+
+if (require.main === module) {
+    demostrarRenderizadoArbol();
+}
@@ -0,0 +1,549 @@
+/**
+ * RENDERIZADOR SVG PARA LOS DIAGRAMAS MERMAID DEL PATRÓN COMPOSITE
+ *
+ * Problema: Las páginas HTML de los generadores cargan Mermaid desde
+ * cdn.jsdelivr.net; en máquinas sin acceso a Internet el diagrama queda en blanco.
+ *
+ * Solución: Interpretar el subconjunto de Mermaid que producen los generadores
+ * (graph con dirección, nodos ["..."] y ("..."), conexiones -->, classDef,
+ * class y style) y dibujarlo como SVG al momento de generar el archivo.
+ * La disposición es la de un árbol: cada nodo queda centrado sobre sus hijos.
+ */
+
+import { decodificarEntidadesMermaid, escaparHTML, ErrorEntidadMermaid } from './escapado-diagramas';
+
+/**
+ * Dirección del diagrama (TD y TB son equivalentes).
+ */
+export type DireccionDiagrama = 'TD' | 'TB' | 'BT' | 'LR' | 'RL';
+
+export const DIRECCIONES_DIAGRAMA: readonly DireccionDiagrama[] = ['TD', 'TB', 'BT', 'LR', 'RL'];
+
+export type FormaNodo = 'rectangulo' | 'redondeado';
+
+/**
+ * Estilo de un nodo, con los nombres de propiedad de classDef.
+ */
+export interface EstiloNodo {
+    fill?: string;
+    stroke?: string;
+    'stroke-width'?: string;
+    /** Borde punteado (ej: "5 5"), usado en las cajas cerradas */
+    'stroke-dasharray'?: string;
+    color?: string;
+}
+
+export interface NodoDiagrama {
+    id: string;
+    /** Líneas de la etiqueta, ya separadas por <br/> y sin códigos de entidad */
+    lineas: string[];
+    forma: FormaNodo;
+    clase?: string;
+    estilo?: EstiloNodo;
+    /** Línea del texto Mermaid donde se definió el nodo */
+    linea: number;
+}
+
+export interface ConexionDiagrama {
+    desde: string;
+    hacia: string;
+    linea: number;
+}
+
+/**
+ * Diagrama interpretado, independiente de la sintaxis Mermaid.
+ */
+export interface DiagramaMermaid {
+    direccion: DireccionDiagrama;
+    /** Primer comentario %% después del encabezado, donde los generadores escriben el título */
+    titulo?: string;
+    nodos: NodoDiagrama[];
+    conexiones: ConexionDiagrama[];
+    clases: Map<string, EstiloNodo>;
+}
+
+/**
+ * Error de sintaxis con la línea (desde 1) donde se encontró.
+ */
+export class ErrorSintaxisMermaid extends Error {
+    public readonly linea: number;
+
+    constructor(linea: number, mensaje: string) {
+        super(`Línea ${linea}: ${mensaje}`);
+        this.name = 'ErrorSintaxisMermaid';
+        this.linea = linea;
+    }
+}
+
+function interpretarEstilo(propiedades: string): EstiloNodo {
+    const estilo: Record<string, string> = {};
+    for (const propiedad of propiedades.split(',')) {
+        const [nombre, valor] = propiedad.split(':').map(parte => parte.trim());
+        if (nombre && valor) {
+            estilo[nombre] = valor;
+        }
+    }
+    return estilo as EstiloNodo;
+}
+
+const PATRON_ENCABEZADO = /^(?:graph|flowchart)\s+(TD|TB|BT|LR|RL)\s*;?$/;
+const PATRON_NODO = /^([\w-]+)\s*(\[|\()(?:"(.*)"|([^"\])]*))(\]|\))(?::::([\w-]+))?\s*;?$/;
+const PATRON_CONEXION = /^([\w-]+)\s*-->\s*([\w-]+)\s*;?$/;
+const PATRON_CLASSDEF = /^classDef\s+([\w-]+)\s+(.+?)\s*;?$/;
+const PATRON_CLASE = /^class\s+([\w,-]+)\s+([\w-]+)\s*;?$/;
+const PATRON_STYLE = /^style\s+([\w-]+)\s+(.+?)\s*;?$/;
+
+/**
+ * Interpreta el subconjunto de Mermaid que generan GeneradorMermaid y
+ * GeneradorDiagramaMermaid.
+ *
+ * @param errores - Si se indica, las líneas inválidas se agregan a esta lista
+ *                  y se omiten en lugar de detener la interpretación
+ * @throws ErrorSintaxisMermaid ante una línea que no pertenece al subconjunto
+ *         (solo cuando no se indica `errores`)
+ */
+export function interpretarMermaid(texto: string, errores?: ErrorSintaxisMermaid[]): DiagramaMermaid {
+    const diagrama: DiagramaMermaid = { direccion: 'TD', nodos: [], conexiones: [], clases: new Map() };
+    const porId = new Map<string, NodoDiagrama>();
+    let encabezado = false;
+    let primeraInstruccion = true;
+
+    const reportar = (error: ErrorSintaxisMermaid): void => {
+        if (!errores) {
+            throw error;
+        }
+        errores.push(error);
+    };
+
+    const obtenerNodo = (id: string, linea: number): NodoDiagrama => {
+        let nodo = porId.get(id);
+        if (!nodo) {
+            nodo = { id, lineas: [id], forma: 'rectangulo', linea };
+            porId.set(id, nodo);
+            diagrama.nodos.push(nodo);
+        }
+        return nodo;
+    };
+
+    texto.split(/\r?\n/).forEach((original, indice) => {
+        const numero = indice + 1;
+        const linea = original.trim();
+        if (linea === '') {
+            return;
+        }
+        // Un código de entidad inválido se informa en la línea donde aparece
+        const decodificar = (texto: string): string | null => {
+            try {
+                return decodificarEntidadesMermaid(texto);
+            } catch (error) {
+                if (!(error instanceof ErrorEntidadMermaid)) {
+                    throw error;
+                }
+                reportar(new ErrorSintaxisMermaid(numero, error.message));
+                return null;
+            }
+        };
+
+        if (linea.startsWith('%%')) {
+            if (encabezado && primeraInstruccion && diagrama.titulo === undefined) {
+                diagrama.titulo = decodificar(linea.slice(2).trim()) ?? undefined;
+            }
+            return;
+        }
+
+        if (!encabezado) {
+            encabezado = true;
+            const coincidencia = PATRON_ENCABEZADO.exec(linea);
+            if (coincidencia) {
+                diagrama.direccion = coincidencia[1] as DireccionDiagrama;
+                return;
+            }
+            // Sin encabezado válido se asume "graph TD" y se sigue con la línea actual
+            reportar(new ErrorSintaxisMermaid(numero, `se esperaba "graph TD" o similar, se encontró "${linea}"`));
+        }
+        primeraInstruccion = false;
+
+        let coincidencia: RegExpExecArray | null;
+
+        if ((coincidencia = PATRON_CLASSDEF.exec(linea))) {
+            diagrama.clases.set(coincidencia[1], interpretarEstilo(coincidencia[2]));
+        } else if ((coincidencia = PATRON_CLASE.exec(linea))) {
+            const clase = coincidencia[2];
+            coincidencia[1].split(',').forEach(id => obtenerNodo(id, numero).clase = clase);
+        } else if ((coincidencia = PATRON_STYLE.exec(linea))) {
+            obtenerNodo(coincidencia[1], numero).estilo = interpretarEstilo(coincidencia[2]);
+        } else if ((coincidencia = PATRON_CONEXION.exec(linea))) {
+            obtenerNodo(coincidencia[1], numero);
+            obtenerNodo(coincidencia[2], numero);
+            diagrama.conexiones.push({ desde: coincidencia[1], hacia: coincidencia[2], linea: numero });
+        } else if ((coincidencia = PATRON_NODO.exec(linea))) {
+            const [, id, apertura, conComillas, sinComillas, cierre, clase] = coincidencia;
+            if ((apertura === '[') !== (cierre === ']')) {
+                reportar(new ErrorSintaxisMermaid(numero, `los delimitadores de '${id}' no coinciden: ${apertura}...${cierre}`));
+                return;
+            }
+
+            const etiqueta = conComillas ?? sinComillas;
+            const lineas = etiqueta.split(/<br\s*\/?>/i).map(decodificar);
+            if (lineas.some(texto => texto === null)) {
+                return;
+            }
+
+            const nodo = obtenerNodo(id, numero);
+            nodo.lineas = lineas as string[];
+            nodo.forma = apertura === '[' ? 'rectangulo' : 'redondeado';
+            nodo.linea = numero;
+            if (clase) {
+                nodo.clase = clase;
+            }
+        } else {
+            reportar(new ErrorSintaxisMermaid(numero, `instrucción no soportada: "${linea}"`));
+        }
+    });
+
+    if (!encabezado) {
+        reportar(new ErrorSintaxisMermaid(1, 'el diagrama está vacío'));
+    }
+
+    return diagrama;
+}
+
+/**
+ * Temas incluidos en Mermaid.js.
+ */
+export type TemaMermaid = 'default' | 'neutral' | 'dark' | 'forest' | 'base';
+
+export const TEMAS_MERMAID: readonly TemaMermaid[] = ['default', 'neutral', 'dark', 'forest', 'base'];
+
+/**
+ * Comprueba que un tema (por ejemplo, leído de una configuración) sea uno de TEMAS_MERMAID.
+ *
+ * @throws Error si el tema no existe en Mermaid.js
+ */
+export function validarTemaMermaid(tema: string): asserts tema is TemaMermaid {
+    if (!(TEMAS_MERMAID as readonly string[]).includes(tema)) {
+        throw new Error(`Tema de Mermaid inválido: '${tema}' (válidos: ${TEMAS_MERMAID.join(', ')})`);
+    }
+}
+
+/**
+ * Medidas del dibujo. Los valores por defecto se parecen al tema "default" de Mermaid.
+ */
+export interface OpcionesSVG {
+    anchoCaracter?: number;
+    altoLinea?: number;
+    relleno?: number;
+    separacionHermanos?: number;
+    separacionNiveles?: number;
+    margen?: number;
+    fuente?: string;
+    /** Paleta aproximada del tema de Mermaid: fondo, nodos sin clase y conexiones */
+    tema?: TemaMermaid;
+}
+
+interface Caja2D {
+    nodo: NodoDiagrama;
+    ancho: number;
+    alto: number;
+    x: number;
+    y: number;
+}
+
+interface PaletaTema {
+    fondo?: string;
+    nodo: EstiloNodo;
+    conexion: string;
+}
+
+/**
+ * Colores de cada tema. Como en Mermaid.js, los classDef y style del diagrama
+ * tienen prioridad sobre el tema.
+ */
+const PALETAS_TEMA: Record<TemaMermaid, PaletaTema> = {
+    default: { nodo: { fill: '#f9f9f9', stroke: '#333', 'stroke-width': '1px', color: '#000' }, conexion: '#333' },
+    neutral: { nodo: { fill: '#eee', stroke: '#999', 'stroke-width': '1px', color: '#333' }, conexion: '#666' },
+    dark: { fondo: '#333', nodo: { fill: '#1f2020', stroke: '#81b1db', 'stroke-width': '1px', color: '#ccc' }, conexion: '#d3d3d3' },
+    forest: { nodo: { fill: '#cde498', stroke: '#13540c', 'stroke-width': '1px', color: '#000' }, conexion: '#008000' },
+    base: { nodo: { fill: '#fff4dd', stroke: '#9e7b43', 'stroke-width': '1px', color: '#333' }, conexion: '#333' }
+};
+
+/**
+ * Dibuja diagramas Mermaid como SVG autónomo (sin scripts ni recursos externos).
+ */
+export class RenderizadorSVG {
+    private opciones: Required<OpcionesSVG>;
+
+    /**
+     * @throws Error si el tema no existe en Mermaid.js
+     */
+    constructor(opciones: OpcionesSVG = {}) {
+        if (opciones.tema !== undefined) {
+            validarTemaMermaid(opciones.tema);
+        }
+        this.opciones = {
+            anchoCaracter: 8,
+            altoLinea: 18,
+            relleno: 12,
+            separacionHermanos: 30,
+            separacionNiveles: 50,
+            margen: 20,
+            fuente: "'Segoe UI', Tahoma, Geneva, Verdana, sans-serif",
+            tema: 'default',
+            ...opciones
+        };
+    }
+
+    /**
+     * Convierte texto Mermaid (o un diagrama ya interpretado) en un elemento &lt;svg&gt;.
+     */
+    public renderizar(mermaid: string | DiagramaMermaid): string {
+        const diagrama = typeof mermaid === 'string' ? interpretarMermaid(mermaid) : mermaid;
+        const { cajas, ancho, alto } = this.disponer(diagrama);
+        const { margen, fuente } = this.opciones;
+        const { fondo, conexion: colorConexion } = PALETAS_TEMA[this.opciones.tema];
+
+        const partes: string[] = [];
+        partes.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${ancho + 2 * margen}" height="${alto + 2 * margen}" ` +
+            `viewBox="0 0 ${ancho + 2 * margen} ${alto + 2 * margen}" role="img" font-family="${escaparHTML(fuente)}">`);
+        partes.push('  <defs>');
+        partes.push('    <marker id="flecha" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse">');
+        partes.push(`      <path d="M 0 0 L 10 5 L 0 10 z" fill="${colorConexion}"/>`);
+        partes.push('    </marker>');
+        partes.push('  </defs>');
+        if (fondo) {
+            partes.push(`  <rect width="100%" height="100%" fill="${fondo}"/>`);
+        }
+        partes.push(`  <g transform="translate(${margen}, ${margen})">`);
+
+        for (const conexion of diagrama.conexiones) {
+            const desde = cajas.get(conexion.desde)!;
+            const hacia = cajas.get(conexion.hacia)!;
+            partes.push(`    <path d="${this.trazarConexion(desde, hacia, diagrama.direccion)}" fill="none" stroke="${colorConexion}" stroke-width="1.5" marker-end="url(#flecha)"/>`);
+        }
+
+        for (const caja of cajas.values()) {
+            partes.push(this.dibujarNodo(caja, diagrama));
+        }
+
+        partes.push('  </g>');
+        partes.push('</svg>');
+        return partes.join('\n');
+    }
+
+    /**
+     * Calcula la posición de cada nodo. Los nodos con varios padres se ubican
+     * bajo el primero; las demás conexiones se dibujan igualmente.
+     */
+    private disponer(diagrama: DiagramaMermaid): { cajas: Map<string, Caja2D>; ancho: number; alto: number } {
+        const { anchoCaracter, altoLinea, relleno, separacionHermanos, separacionNiveles } = this.opciones;
+        const vertical = diagrama.direccion === 'TD' || diagrama.direccion === 'TB' || diagrama.direccion === 'BT';
+
+        const cajas = new Map<string, Caja2D>();
+        for (const nodo of diagrama.nodos) {
+            const caracteres = Math.max(...nodo.lineas.map(linea => Array.from(linea).length));
+            cajas.set(nodo.id, {
+                nodo,
+                ancho: caracteres * anchoCaracter + 2 * relleno,
+                alto: nodo.lineas.length * altoLinea + 2 * relleno,
+                x: 0,
+                y: 0
+            });
+        }
+
+        // Árbol de disposición: cada nodo cuelga solo de su primer padre
+        const hijos = new Map<string, string[]>();
+        const padre = new Map<string, string>();
+        for (const { desde, hacia } of diagrama.conexiones) {
+            if (!padre.has(hacia) && desde !== hacia) {
+                padre.set(hacia, desde);
+                hijos.set(desde, [...(hijos.get(desde) || []), hacia]);
+            }
+        }
+
+        // Extensión de cada nodo sobre el eje de los hermanos y sobre el de los niveles
+        const lateral = (id: string): number => vertical ? cajas.get(id)!.ancho : cajas.get(id)!.alto;
+        const profundo = (id: string): number => vertical ? cajas.get(id)!.alto : cajas.get(id)!.ancho;
+
+        const visitados = new Set<string>();
+        const niveles = new Map<string, number>();
+        const anchoSubarbol = new Map<string, number>();
+
+        const medir = (id: string, nivel: number): number => {
+            visitados.add(id);
+            niveles.set(id, nivel);
+            const propios = (hijos.get(id) || []).filter(hijo => !visitados.has(hijo));
+            hijos.set(id, propios);
+
+            const anchoHijos = propios.reduce((total, hijo) => total + medir(hijo, nivel + 1), 0) +
+                separacionHermanos * Math.max(0, propios.length - 1);
+            const ancho = Math.max(lateral(id), anchoHijos);
+            anchoSubarbol.set(id, ancho);
+            return ancho;
+        };
+
+        const posicionLateral = new Map<string, number>();
+        const colocar = (id: string, inicio: number): void => {
+            const ancho = anchoSubarbol.get(id)!;
+            posicionLateral.set(id, inicio + ancho / 2);
+
+            const propios = hijos.get(id) || [];
+            const anchoHijos = propios.reduce((total, hijo) => total + anchoSubarbol.get(hijo)!, 0) +
+                separacionHermanos * Math.max(0, propios.length - 1);
+            let cursor = inicio + (ancho - anchoHijos) / 2;
+            for (const hijo of propios) {
+                colocar(hijo, cursor);
+                cursor += anchoSubarbol.get(hijo)! + separacionHermanos;
+            }
+        };
+
+        // Raíces: nodos sin padre, más cualquier nodo que haya quedado en un ciclo
+        let cursor = 0;
+        for (const nodo of diagrama.nodos) {
+            if (!visitados.has(nodo.id) && !padre.has(nodo.id)) {
+                cursor += medir(nodo.id, 0);
+                colocar(nodo.id, cursor - anchoSubarbol.get(nodo.id)!);
+                cursor += separacionHermanos;
+            }
+        }
+        for (const nodo of diagrama.nodos) {
+            if (!visitados.has(nodo.id)) {
+                cursor += medir(nodo.id, 0);
+                colocar(nodo.id, cursor - anchoSubarbol.get(nodo.id)!);
+                cursor += separacionHermanos;
+            }
+        }
+        const totalLateral = Math.max(0, cursor - separacionHermanos);
+
+        // Cada nivel ocupa lo que mide su nodo más grande
+        const alturaNivel: number[] = [];
+        for (const [id, nivel] of niveles) {
+            alturaNivel[nivel] = Math.max(alturaNivel[nivel] || 0, profundo(id));
+        }
+        const inicioNivel: number[] = [];
+        let acumulado = 0;
+        alturaNivel.forEach((altura, nivel) => {
+            inicioNivel[nivel] = acumulado;
+            acumulado += altura + separacionNiveles;
+        });
+        const totalProfundo = Math.max(0, acumulado - separacionNiveles);
+
+        for (const [id, caja] of cajas) {
+            const nivel = niveles.get(id)!;
+            const centroProfundo = inicioNivel[nivel] + alturaNivel[nivel] / 2;
+            const centroLateral = posicionLateral.get(id)!;
+            const centro = diagrama.direccion === 'BT' || diagrama.direccion === 'RL'
+                ? totalProfundo - centroProfundo
+                : centroProfundo;
+
+            if (vertical) {
+                caja.x = centroLateral - caja.ancho / 2;
+                caja.y = centro - caja.alto / 2;
+            } else {
+                caja.x = centro - caja.ancho / 2;
+                caja.y = centroLateral - caja.alto / 2;
+            }
+        }
+
+        return vertical
+            ? { cajas, ancho: totalLateral, alto: totalProfundo }
+            : { cajas, ancho: totalProfundo, alto: totalLateral };
+    }
+
+    private trazarConexion(desde: Caja2D, hacia: Caja2D, direccion: DireccionDiagrama): string {
+        let x1: number, y1: number, x2: number, y2: number;
+
+        switch (direccion) {
+            case 'BT':
+                [x1, y1, x2, y2] = [desde.x + desde.ancho / 2, desde.y, hacia.x + hacia.ancho / 2, hacia.y + hacia.alto];
+                break;
+            case 'LR':
+                [x1, y1, x2, y2] = [desde.x + desde.ancho, desde.y + desde.alto / 2, hacia.x, hacia.y + hacia.alto / 2];
+                break;
+            case 'RL':
+                [x1, y1, x2, y2] = [desde.x, desde.y + desde.alto / 2, hacia.x + hacia.ancho, hacia.y + hacia.alto / 2];
+                break;
+            default:
+                [x1, y1, x2, y2] = [desde.x + desde.ancho / 2, desde.y + desde.alto, hacia.x + hacia.ancho / 2, hacia.y];
+        }
+
+        const redondear = (valor: number): number => Math.round(valor * 10) / 10;
+        if (direccion === 'LR' || direccion === 'RL') {
+            const medio = (x1 + x2) / 2;
+            return `M ${redondear(x1)} ${redondear(y1)} C ${redondear(medio)} ${redondear(y1)}, ${redondear(medio)} ${redondear(y2)}, ${redondear(x2)} ${redondear(y2)}`;
+        }
+        const medio = (y1 + y2) / 2;
+        return `M ${redondear(x1)} ${redondear(y1)} C ${redondear(x1)} ${redondear(medio)}, ${redondear(x2)} ${redondear(medio)}, ${redondear(x2)} ${redondear(y2)}`;
+    }
+
+    private dibujarNodo(caja: Caja2D, diagrama: DiagramaMermaid): string {
+        const { altoLinea } = this.opciones;
+        const { nodo } = caja;
+        const estilo: EstiloNodo = {
+            ...PALETAS_TEMA[this.opciones.tema].nodo,
+            ...diagrama.clases.get('default'),
+            ...(nodo.clase ? diagrama.clases.get(nodo.clase) : undefined),
+            ...nodo.estilo
+        };
+        const radio = nodo.forma === 'redondeado' ? 12 : 2;
+        const centroX = caja.x + caja.ancho / 2;
+        const primeraLinea = caja.y + caja.alto / 2 - ((nodo.lineas.length - 1) * altoLinea) / 2;
+
+        const lineas = nodo.lineas.map((linea, indice) =>
+            `      <tspan x="${centroX}" y="${primeraLinea + indice * altoLinea}">${escaparHTML(linea)}</tspan>`);
+
+        return [
+            `    <g class="nodo${nodo.clase ? ` ${escaparHTML(nodo.clase)}` : ''}" data-id="${escaparHTML(nodo.id)}">`,
+            `      <rect x="${caja.x}" y="${caja.y}" width="${caja.ancho}" height="${caja.alto}" rx="${radio}" ry="${radio}" ` +
+            `fill="${escaparHTML(estilo.fill!)}" stroke="${escaparHTML(estilo.stroke!)}" stroke-width="${escaparHTML(estilo['stroke-width']!)}"` +
+            `${estilo['stroke-dasharray'] ? ` stroke-dasharray="${escaparHTML(estilo['stroke-dasharray'])}"` : ''}/>`,
+            `      <text text-anchor="middle" dominant-baseline="central" font-size="14" fill="${escaparHTML(estilo.color!)}">`,
+            ...lineas,
+            '      </text>',
+            '    </g>'
+        ].join('\n');
+    }
+}
+
+// ============================================================================
+// EJEMPLO DE USO
+// ============================================================================
+
+/**
+ * Dibuja como SVG el diagrama de ejemplo que generan los generadores Mermaid.
+ */
+export function demostrarRenderizadorSVG(): void {
+    console.log('🖼️  RENDERIZADO SVG SIN CONEXIÓN\n');
+
+    const mermaid = `graph TD
+    %% Envío Premium
+    nodo0("📁 Envío Premium<br/>$1690.97<br/>(3 elementos)"):::caja
+    nodo1("📁 Caja Periféricos<br/>$120.98<br/>(2 elementos)"):::caja
+    nodo2["📦 Mouse Inalámbrico<br/>$25.99"]:::producto
+    nodo3["📦 Monitor 24#quot;<br/>$299.99"]:::producto
+    nodo4["📦 Libro TypeScript<br/>$45.00"]:::producto
+    nodo0 --> nodo1
+    nodo1 --> nodo2
+    nodo1 --> nodo3
+    nodo0 --> nodo4
+    classDef producto fill:#e1f5fe,stroke:#01579b,stroke-width:2px,color:#000
+    classDef caja fill:#f3e5f5,stroke:#4a148c,stroke-width:3px,color:#000
+`;
+
+    const diagrama = interpretarMermaid(mermaid);
+    console.log(`📊 ${diagrama.nodos.length} nodos, ${diagrama.conexiones.length} conexiones, dirección ${diagrama.direccion}`);
+
+    const svg = new RenderizadorSVG().renderizar(diagrama);
+    console.log(`🖼️  SVG de ${svg.length} caracteres:\n`);
+    console.log(svg.split('\n').slice(0, 12).join('\n'));
+    console.log('    ...');
+
+    try {
+        interpretarMermaid('graph TD\n    nodo0["Caja"]\n    nodo0 ==> nodo1\n');
+    } catch (error) {
+        console.log(`\n❌ ${(error as Error).message}`);
+    }
+}
+
+if (require.main === module) {
+    demostrarRenderizadorSVG();
+}
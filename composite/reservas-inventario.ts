@@ -0,0 +1,425 @@
+/**
+ * RESERVA DE INVENTARIO PARA PEDIDOS COMPUESTOS
+ *
+ * Problema: Agregar un Producto a una Caja nunca consulta el stock, aunque
+ * InMemoryInventoryManagerTS (clase03) ya ofrece checkStock y reserveStock.
+ *
+ * Solución: Un servicio que, al confirmar el pedido, reserva stock para cada
+ * producto hoja del árbol. Si falta stock de cualquier producto, deshace todas
+ * las reservas ya hechas (todo o nada) y el pedido no se confirma. Las reservas
+ * se liberan cuando el pedido pasa a cancelado o al quitar un elemento.
+ */
+
+import { ElementoPedido, Producto, Caja, GestorPedidos } from './sistema-pedidos';
+import { recorrerEnProfundidad } from './recorrido-pedidos';
+import { CicloVidaPedido, EstadoPedido, ErrorTransicionInvalida } from './ciclo-vida-pedido';
+
+/**
+ * Interfaz compatible con IInventoryManagerTS (clase03): InMemoryInventoryManagerTS
+ * puede usarse directamente con el servicio de reservas.
+ */
+export interface GestorInventario {
+    updateStock(productId: string, quantity: number): Promise<void>;
+    checkStock(productId: string): Promise<number>;
+    reserveStock(productId: string, quantity: number): Promise<boolean>;
+}
+
+/**
+ * Inventario en memoria con el mismo comportamiento que InMemoryInventoryManagerTS.
+ */
+export class InventarioEnMemoria implements GestorInventario {
+    private inventario: Map<string, number> = new Map();
+
+    async updateStock(productId: string, quantity: number): Promise<void> {
+        this.inventario.set(productId, quantity);
+    }
+
+    async checkStock(productId: string): Promise<number> {
+        return this.inventario.get(productId) || 0;
+    }
+
+    async reserveStock(productId: string, quantity: number): Promise<boolean> {
+        const stockActual = this.inventario.get(productId) || 0;
+        if (stockActual >= quantity) {
+            this.inventario.set(productId, stockActual - quantity);
+            return true;
+        }
+        return false;
+    }
+}
+
+/**
+ * Producto sin stock suficiente al intentar reservar.
+ */
+export interface FaltanteStock {
+    idProducto: string;
+    solicitado: number;
+    disponible: number;
+}
+
+/**
+ * Error lanzado cuando no se pudo reservar todo el pedido.
+ * Ninguna reserva queda aplicada.
+ */
+export class ErrorStockInsuficiente extends Error {
+    public readonly faltantes: FaltanteStock[];
+
+    constructor(numeroPedido: string, faltantes: FaltanteStock[]) {
+        const detalle = faltantes
+            .map(faltante => `${faltante.idProducto} (solicitado: ${faltante.solicitado}, disponible: ${faltante.disponible})`)
+            .join(', ');
+        super(`Stock insuficiente para el pedido #${numeroPedido}: ${detalle}`);
+        this.name = 'ErrorStockInsuficiente';
+        this.faltantes = faltantes;
+    }
+}
+
+/**
+ * Obtiene el identificador de inventario de un producto.
+ */
+export type IdentificadorProducto = (producto: Producto) => string;
+
+/**
+ * Reserva y libera stock para los productos de los pedidos.
+ */
+export class ServicioReservas {
+    private inventario: GestorInventario;
+    private obtenerId: IdentificadorProducto;
+    private reservas: Map<GestorPedidos, Map<string, number>> = new Map();
+    private reservasEnCurso: Set<GestorPedidos> = new Set();
+    // WeakMap: un pedido cancelado directamente con ciclo.cancelar() no queda retenido aquí
+    private liberaciones: WeakMap<GestorPedidos, Promise<void>> = new WeakMap();
+
+    /**
+     * @param inventario - Cualquier implementación de GestorInventario / IInventoryManagerTS
+     * @param obtenerId - Identificador de inventario de cada producto (por defecto, su nombre)
+     */
+    constructor(inventario: GestorInventario, obtenerId: IdentificadorProducto = producto => producto.obtenerNombre()) {
+        this.inventario = inventario;
+        this.obtenerId = obtenerId;
+    }
+
+    /**
+     * Cantidad de unidades por identificador de producto dentro de un subárbol o pedido.
+     */
+    public contarProductos(origen: ElementoPedido | GestorPedidos): Map<string, number> {
+        const cantidades = new Map<string, number>();
+
+        for (const nodo of recorrerEnProfundidad(origen)) {
+            if (nodo.elemento instanceof Producto) {
+                const id = this.obtenerId(nodo.elemento);
+                cantidades.set(id, (cantidades.get(id) || 0) + 1);
+            }
+        }
+
+        return cantidades;
+    }
+
+    /**
+     * Copia de las reservas vigentes de un pedido.
+     */
+    public obtenerReservas(gestor: GestorPedidos): Map<string, number> {
+        return new Map(this.reservas.get(gestor) || []);
+    }
+
+    /**
+     * Reserva stock para todos los productos del pedido (todo o nada).
+     *
+     * @throws ErrorStockInsuficiente si falta stock de algún producto; en ese caso
+     *         se liberan las reservas que sí se habían hecho. Si el inventario
+     *         falla a mitad de camino, también se liberan antes de propagar su error
+     */
+    public async reservarPedido(gestor: GestorPedidos): Promise<void> {
+        // La marca se pone antes del primer await: dos llamadas simultáneas no pueden reservar el mismo pedido
+        if (this.reservas.has(gestor) || this.reservasEnCurso.has(gestor)) {
+            throw new Error(`El pedido #${gestor.obtenerNumeroPedido()} ya tiene stock reservado`);
+        }
+        this.reservasEnCurso.add(gestor);
+
+        try {
+            this.reservas.set(gestor, await this.reservarCantidades(gestor, this.contarProductos(gestor)));
+        } finally {
+            this.reservasEnCurso.delete(gestor);
+        }
+    }
+
+    /**
+     * Reserva las cantidades indicadas (todo o nada) y devuelve lo reservado.
+     *
+     * @throws ErrorStockInsuficiente si falta stock de algún producto; lo ya reservado
+     *         se devuelve antes de lanzar, igual que si el inventario falla a mitad de camino
+     */
+    private async reservarCantidades(gestor: GestorPedidos, cantidades: Map<string, number>): Promise<Map<string, number>> {
+        const reservadas = new Map<string, number>();
+        const faltantes: FaltanteStock[] = [];
+
+        try {
+            for (const [id, cantidad] of cantidades) {
+                if (await this.inventario.reserveStock(id, cantidad)) {
+                    reservadas.set(id, cantidad);
+                } else {
+                    faltantes.push({ idProducto: id, solicitado: cantidad, disponible: await this.inventario.checkStock(id) });
+                }
+            }
+        } catch (error) {
+            await this.devolverStock(reservadas);
+            throw error;
+        }
+
+        if (faltantes.length > 0) {
+            await this.devolverStock(reservadas);
+            throw new ErrorStockInsuficiente(gestor.obtenerNumeroPedido(), faltantes);
+        }
+
+        return reservadas;
+    }
+
+    /**
+     * Libera todas las reservas de un pedido.
+     */
+    public async liberarPedido(gestor: GestorPedidos): Promise<void> {
+        const reservadas = this.reservas.get(gestor);
+        if (!reservadas) {
+            return;
+        }
+
+        this.reservas.delete(gestor);
+        await this.devolverStock(reservadas);
+    }
+
+    /**
+     * Libera las reservas correspondientes a los productos de un elemento
+     * (un producto o una caja completa) que sale del pedido.
+     */
+    public async liberarElemento(gestor: GestorPedidos, elemento: ElementoPedido): Promise<void> {
+        const reservadas = this.reservas.get(gestor);
+        if (!reservadas) {
+            return;
+        }
+
+        const liberadas = new Map<string, number>();
+        for (const [id, cantidad] of this.contarProductos(elemento)) {
+            const aLiberar = Math.min(cantidad, reservadas.get(id) || 0);
+            if (aLiberar > 0) {
+                liberadas.set(id, aLiberar);
+                reservadas.set(id, reservadas.get(id)! - aLiberar);
+            }
+        }
+
+        await this.devolverStock(liberadas);
+    }
+
+    /**
+     * Agrega un elemento al pedido (o a una de sus cajas). Si el pedido tiene stock
+     * reservado en este servicio, primero reserva los productos del elemento (todo o
+     * nada) y solo entonces lo inserta; si la inserción falla, devuelve esa reserva.
+     * Es la única forma de agregar a un pedido confirmado: CicloVidaPedido.ajustar()
+     * rechaza por sí solo los agregados sin reserva.
+     *
+     * @throws ErrorStockInsuficiente si falta stock; el pedido no cambia
+     * @throws ErrorEdicionBloqueada si el pedido ya fue enviado, entregado o cancelado
+     */
+    public async agregarElemento(ciclo: CicloVidaPedido, elemento: ElementoPedido, caja?: Caja): Promise<void> {
+        const gestor = ciclo.obtenerGestor();
+        const insertar = (): void => ciclo.ajustar(() => {
+            if (caja) {
+                caja.agregar(elemento);
+            } else {
+                gestor.agregarElemento(elemento);
+            }
+        }, true);
+
+        if (this.reservasEnCurso.has(gestor)) {
+            throw new Error(`El pedido #${gestor.obtenerNumeroPedido()} se está reservando; agregue el elemento después`);
+        }
+        if (!this.reservas.has(gestor)) {
+            if (ciclo.obtenerEstado() === EstadoPedido.CONFIRMADO) {
+                throw new Error(`El pedido #${gestor.obtenerNumeroPedido()} no tiene stock reservado en este servicio`);
+            }
+            insertar();
+            return;
+        }
+
+        const cantidades = this.contarProductos(elemento);
+        const reservadas = await this.reservarCantidades(gestor, cantidades);
+        try {
+            insertar();
+        } catch (error) {
+            await this.devolverStock(reservadas);
+            throw error;
+        }
+
+        // Si el pedido se canceló durante la reserva, ajustar() ya habría rechazado la inserción
+        const vigentes = this.reservas.get(gestor)!;
+        for (const [id, cantidad] of reservadas) {
+            vigentes.set(id, (vigentes.get(id) || 0) + cantidad);
+        }
+    }
+
+    /**
+     * Quita un elemento del pedido (o de una de sus cajas) y libera su stock reservado.
+     * Funciona también sobre un pedido confirmado, mediante CicloVidaPedido.ajustar().
+     *
+     * @throws ErrorEdicionBloqueada si el pedido ya fue enviado, entregado o cancelado
+     */
+    public async removerElemento(ciclo: CicloVidaPedido, elemento: ElementoPedido, caja?: Caja): Promise<void> {
+        ciclo.ajustar(gestor => {
+            if (caja) {
+                caja.remover(elemento);
+            } else {
+                gestor.removerElemento(elemento);
+            }
+        });
+        await this.liberarElemento(ciclo.obtenerGestor(), elemento);
+    }
+
+    /**
+     * Confirma el pedido reservando antes su stock. Si la reserva falla, el pedido
+     * sigue pendiente; si la transición falla, la reserva se deshace.
+     *
+     * Una vez confirmado, el stock se libera en cuanto el ciclo entra en
+     * CANCELADO, aunque la cancelación no pase por este servicio.
+     */
+    public async confirmar(ciclo: CicloVidaPedido): Promise<void> {
+        const rechazo = ciclo.motivoRechazo(EstadoPedido.CONFIRMADO);
+        if (rechazo) {
+            throw new ErrorTransicionInvalida(ciclo.obtenerEstado(), EstadoPedido.CONFIRMADO, rechazo);
+        }
+
+        const gestor = ciclo.obtenerGestor();
+        await this.reservarPedido(gestor);
+
+        const cancelarSuscripcion = ciclo.alEntrarEn(EstadoPedido.CANCELADO, () => {
+            const liberacion = this.liberarPedido(gestor);
+            // Sin nadie que espere la liberación, un fallo del inventario no debe quedar como rechazo sin manejar
+            liberacion.catch(error => console.error(`⚠️ No se pudo liberar el stock del pedido #${gestor.obtenerNumeroPedido()}:`, error));
+            this.liberaciones.set(gestor, liberacion);
+        });
+
+        try {
+            ciclo.confirmar();
+        } catch (error) {
+            cancelarSuscripcion();
+            await this.liberarPedido(gestor);
+            throw error;
+        }
+    }
+
+    /**
+     * Cancela el pedido y espera a que su stock reservado vuelva al inventario.
+     *
+     * @throws el error del inventario si no se pudo devolver el stock
+     */
+    public async cancelar(ciclo: CicloVidaPedido, motivo?: string): Promise<void> {
+        const gestor = ciclo.obtenerGestor();
+        ciclo.cancelar(motivo);
+
+        const liberacion = this.liberaciones.get(gestor);
+        this.liberaciones.delete(gestor);
+        await (liberacion || this.liberarPedido(gestor));
+    }
+
+    /**
+     * Devuelve unidades al inventario. IInventoryManagerTS no tiene una operación
+     * de liberación, por lo que se suma al stock actual con updateStock.
+     */
+    private async devolverStock(cantidades: Map<string, number>): Promise<void> {
+        for (const [id, cantidad] of cantidades) {
+            if (cantidad > 0) {
+                const stockActual = await this.inventario.checkStock(id);
+                await this.inventario.updateStock(id, stockActual + cantidad);
+            }
+        }
+    }
+}
+
+// ============================================================================
+// EJEMPLO DE USO
+// ============================================================================
+
+/**
+ * Confirma un pedido con stock suficiente, rechaza otro sin stock y cancela el primero.
+ */
+export async function demostrarReservas(): Promise<void> {
+    console.log('📦 RESERVA DE INVENTARIO\n');
+
+    const inventario = new InventarioEnMemoria();
+    await inventario.updateStock('Mouse Inalámbrico', 10);
+    await inventario.updateStock('Teclado Mecánico', 5);
+    await inventario.updateStock('Laptop Gaming', 1);
+
+    const servicio = new ServicioReservas(inventario);
+    const mostrarStock = async (): Promise<void> => {
+        const ids = ['Mouse Inalámbrico', 'Teclado Mecánico', 'Laptop Gaming'];
+        const stock = await Promise.all(ids.map(id => inventario.checkStock(id)));
+        console.log(`   📋 Stock: ${ids.map((id, i) => `${id}=${stock[i]}`).join(', ')}`);
+    };
+
+    // Pedido 1: hay stock para todo
+    const teclado = new Producto('Teclado Mecánico', 89.99, 'Periféricos');
+    const cajaPerifericos = new Caja('Caja Periféricos', 5.00, 'Acolchada', 5);
+    cajaPerifericos.agregar(new Producto('Mouse Inalámbrico', 25.99, 'Periféricos'));
+    cajaPerifericos.agregar(teclado);
+    const pedido1 = new GestorPedidos('PED-2025-001');
+    pedido1.agregarElemento(cajaPerifericos);
+    const ciclo1 = new CicloVidaPedido(pedido1);
+
+    await servicio.confirmar(ciclo1);
+    console.log(`\n🔒 Pedido #${pedido1.obtenerNumeroPedido()} confirmado (${ciclo1.obtenerEstado()})`);
+    await mostrarStock();
+
+    // Pedido 2: dos laptops pero solo hay una; nada queda reservado
+    const cajaElectronicos = new Caja('Caja Electrónicos', 15.00, 'Antiestática', 3);
+    cajaElectronicos.agregar(new Producto('Laptop Gaming', 1200.00, 'Electrónicos'));
+    cajaElectronicos.agregar(new Producto('Laptop Gaming', 1200.00, 'Electrónicos'));
+    const pedido2 = new GestorPedidos('PED-2025-002');
+    pedido2.agregarElemento(cajaElectronicos);
+    pedido2.agregarElemento(new Producto('Mouse Inalámbrico', 25.99, 'Periféricos'));
+    const ciclo2 = new CicloVidaPedido(pedido2);
+
+    try {
+        await servicio.confirmar(ciclo2);
+    } catch (error) {
+        console.log(`\n❌ ${(error as Error).message}`);
+        console.log(`   Estado del pedido #${pedido2.obtenerNumeroPedido()}: ${ciclo2.obtenerEstado()}`);
+    }
+    await mostrarStock();
+
+    // Atención al cliente quita el teclado del pedido 1 ya confirmado
+    await servicio.removerElemento(ciclo1, teclado, cajaPerifericos);
+    console.log(`\n✂️ Teclado quitado del pedido #${pedido1.obtenerNumeroPedido()} (sigue bloqueado: ${pedido1.estaBloqueado()})`);
+    await mostrarStock();
+
+    // Un segundo mouse solo entra al pedido confirmado a través del servicio, que lo reserva antes
+    try {
+        ciclo1.ajustar(() => cajaPerifericos.agregar(new Producto('Mouse Inalámbrico', 25.99, 'Periféricos')));
+    } catch (error) {
+        console.log(`\n⛔ ${(error as Error).message}`);
+    }
+    await servicio.agregarElemento(ciclo1, new Producto('Mouse Inalámbrico', 25.99, 'Periféricos'), cajaPerifericos);
+    console.log(`➕ Segundo mouse agregado al pedido #${pedido1.obtenerNumeroPedido()} con su reserva`);
+    await mostrarStock();
+
+    // Pedido 3: dos reservas simultáneas del mismo pedido; solo una se aplica
+    const pedido3 = new GestorPedidos('PED-2025-003');
+    pedido3.agregarElemento(new Producto('Mouse Inalámbrico', 25.99, 'Periféricos'));
+    const intentar = (): Promise<string> => servicio.reservarPedido(pedido3).then(
+        () => 'reservada',
+        error => `rechazada (${(error as Error).message})`
+    );
+    const simultaneas = await Promise.all([intentar(), intentar()]);
+    console.log(`\n⏱️ Reservas simultáneas del pedido #${pedido3.obtenerNumeroPedido()}: ${simultaneas.join(', ')}`);
+    await servicio.liberarPedido(pedido3);
+
+    // La suscripción a CANCELADO devuelve el stock; servicio.cancelar además espera a que termine
+    await servicio.cancelar(ciclo1, 'El cliente desistió');
+    console.log(`\n🚫 Pedido #${pedido1.obtenerNumeroPedido()} cancelado; stock devuelto`);
+    await mostrarStock();
+}
+
+if (require.main === module) {
+    demostrarReservas().catch(error => {
+        console.error(error);
+        process.exitCode = 1;
+    });
+}
@@ -0,0 +1,477 @@
+/**
+ * SERIALIZACIÓN DE PEDIDOS - PERSISTENCIA EN JSON VERSIONADO
+ *
+ * Problema: GestorPedidos solo existe en memoria; al terminar el proceso se pierde
+ * todo el árbol de Cajas y Productos.
+ *
+ * Solución: Convertir el árbol completo a un documento JSON con número de versión
+ * y reconstruir exactamente el mismo árbol de ElementoPedido a partir de él,
+ * validando el esquema nodo por nodo.
+ */
+
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { ElementoPedido, Producto, Caja, GestorPedidos, Dimensiones, ReglaPaquete } from './sistema-pedidos';
+import { ErrorPedido } from './errores-pedido';
+import { obtenerDecimalesMoneda, ErrorMoneda, MONEDA_POR_DEFECTO } from './moneda-pedidos';
+import { ReglaDescuentoKit, ReglaPrecioFijo, ReglaMasBaratoGratis } from './reglas-paquete';
+
+/**
+ * Versión actual del esquema de los documentos de pedido.
+ * Se debe incrementar cada vez que cambie la forma del JSON generado.
+ *
+ * - 1: productos y cajas
+ * - 2: las cajas guardan su regla de paquete (`reglaPaquete`)
+ */
+export const VERSION_ESQUEMA_PEDIDO = 2;
+
+/**
+ * Versiones del esquema que se pueden leer. Un documento de la versión 1 no
+ * tiene reglas de paquete.
+ */
+const VERSIONES_SOPORTADAS = [1, 2];
+
+/**
+ * Versión del formato de cada regla de paquete serializada.
+ */
+export const VERSION_REGLA_PAQUETE = 1;
+
+/**
+ * Representación serializada de un producto (hoja del árbol).
+ */
+export interface ProductoSerializado {
+    tipo: 'producto';
+    nombre: string;
+    precio: number;
+    categoria: string;
+    peso?: number;
+    dimensiones?: Dimensiones;
+}
+
+/**
+ * Representación serializada de una caja (composite del árbol).
+ */
+export interface CajaSerializada {
+    tipo: 'caja';
+    nombre: string;
+    costoCaja: number;
+    tipoEmpaque: string;
+    capacidadMaxima: number;
+    pesoCaja?: number;
+    dimensiones?: Dimensiones;
+    reglaPaquete?: ReglaPaqueteSerializada;
+    contenido: ElementoSerializado[];
+}
+
+export type ElementoSerializado = ProductoSerializado | CajaSerializada;
+
+/**
+ * Regla de paquete serializada. `tipo` indica la clase de reglas-paquete.ts
+ * y `version` el formato de sus parámetros.
+ */
+export type ReglaPaqueteSerializada =
+    | { tipo: 'descuentoKit'; version: number; nombreKit: string; articulosRequeridos: string[]; porcentaje: number }
+    | { tipo: 'precioFijo'; version: number; nombrePaquete: string; precio: number; minimoElementos: number }
+    | { tipo: 'masBaratoGratis'; version: number; minimoElementos: number };
+
+/**
+ * Documento completo de un pedido tal como se guarda en disco.
+ */
+export interface PedidoSerializado {
+    version: number;
+    numeroPedido: string;
+    fechaPedido: string;
+    moneda?: string;
+    elementos: ElementoSerializado[];
+}
+
+/**
+ * Error lanzado cuando un documento no cumple el esquema esperado.
+ * La propiedad `ruta` indica el nodo problemático, por ejemplo:
+ * `$.elementos[0].contenido[1].precio`
+ */
+export class ErrorEsquemaPedido extends Error {
+    public readonly ruta: string;
+
+    constructor(ruta: string, detalle: string) {
+        super(`Esquema de pedido inválido en ${ruta}: ${detalle}`);
+        this.name = 'ErrorEsquemaPedido';
+        this.ruta = ruta;
+    }
+}
+
+/**
+ * Clase encargada de convertir pedidos a JSON y de reconstruirlos.
+ */
+export class SerializadorPedidos {
+    /**
+     * Convierte un pedido completo en un documento serializable.
+     */
+    public serializar(gestor: GestorPedidos): PedidoSerializado {
+        return {
+            version: VERSION_ESQUEMA_PEDIDO,
+            numeroPedido: gestor.obtenerNumeroPedido(),
+            fechaPedido: gestor.obtenerFechaPedido().toISOString(),
+            moneda: gestor.obtenerMoneda(),
+            elementos: gestor.obtenerElementos().map(elemento => this.serializarElemento(elemento))
+        };
+    }
+
+    /**
+     * Convierte un elemento (y todo su contenido, si es una caja) en un nodo serializable.
+     */
+    public serializarElemento(elemento: ElementoPedido): ElementoSerializado {
+        if (elemento instanceof Producto) {
+            const producto: ProductoSerializado = {
+                tipo: 'producto',
+                nombre: elemento.obtenerNombre(),
+                precio: elemento.obtenerPrecioBase(),
+                categoria: elemento.obtenerCategoria()
+            };
+            // Los datos físicos son opcionales: solo se guardan si existen
+            if (elemento.calcularPeso() > 0) {
+                producto.peso = elemento.calcularPeso();
+            }
+            const dimensiones = elemento.obtenerDimensiones();
+            if (dimensiones) {
+                producto.dimensiones = { ...dimensiones };
+            }
+            return producto;
+        }
+
+        if (elemento instanceof Caja) {
+            const caja: CajaSerializada = {
+                tipo: 'caja',
+                nombre: elemento.obtenerNombre(),
+                costoCaja: elemento.obtenerCostoCaja(),
+                tipoEmpaque: elemento.obtenerTipoEmpaque(),
+                capacidadMaxima: elemento.obtenerCapacidadMaxima(),
+                contenido: elemento.obtenerContenido().map(hijo => this.serializarElemento(hijo))
+            };
+            if (elemento.obtenerPesoCaja() > 0) {
+                caja.pesoCaja = elemento.obtenerPesoCaja();
+            }
+            const dimensiones = elemento.obtenerDimensiones();
+            if (dimensiones) {
+                caja.dimensiones = { ...dimensiones };
+            }
+            const regla = elemento.obtenerReglaPaquete();
+            if (regla) {
+                caja.reglaPaquete = this.serializarReglaPaquete(regla, elemento.obtenerNombre());
+            }
+            return caja;
+        }
+
+        throw new Error(`Tipo de elemento no soportado: ${elemento.obtenerNombre()}`);
+    }
+
+    /**
+     * Convierte una regla de paquete conocida en su forma serializada.
+     * Una regla propia no se puede guardar: se rechaza en lugar de perderla y
+     * cambiar el precio del pedido al leerlo.
+     */
+    public serializarReglaPaquete(regla: ReglaPaquete, nombreCaja: string): ReglaPaqueteSerializada {
+        if (regla instanceof ReglaDescuentoKit) {
+            return {
+                tipo: 'descuentoKit',
+                version: VERSION_REGLA_PAQUETE,
+                nombreKit: regla.obtenerNombreKit(),
+                articulosRequeridos: regla.obtenerArticulosRequeridos(),
+                porcentaje: regla.obtenerPorcentaje()
+            };
+        }
+        if (regla instanceof ReglaPrecioFijo) {
+            return {
+                tipo: 'precioFijo',
+                version: VERSION_REGLA_PAQUETE,
+                nombrePaquete: regla.obtenerNombrePaquete(),
+                precio: regla.obtenerPrecio(),
+                minimoElementos: regla.obtenerMinimoElementos()
+            };
+        }
+        if (regla instanceof ReglaMasBaratoGratis) {
+            return { tipo: 'masBaratoGratis', version: VERSION_REGLA_PAQUETE, minimoElementos: regla.obtenerMinimoElementos() };
+        }
+
+        throw new Error(`La regla de paquete de la caja '${nombreCaja}' no se puede serializar`);
+    }
+
+    /**
+     * Genera el texto JSON del pedido.
+     */
+    public aJSON(gestor: GestorPedidos, espacios: number = 2): string {
+        return JSON.stringify(this.serializar(gestor), null, espacios);
+    }
+
+    /**
+     * Reconstruye un pedido a partir de un documento ya parseado.
+     * Lanza ErrorEsquemaPedido con la ruta del nodo inválido.
+     */
+    public deserializar(documento: unknown): GestorPedidos {
+        const raiz = this.exigirObjeto(documento, '$');
+
+        const version = raiz['version'];
+        if (typeof version !== 'number' || !VERSIONES_SOPORTADAS.includes(version)) {
+            throw new ErrorEsquemaPedido('$.version', `versión no soportada (${JSON.stringify(version)}), se esperaba ${VERSIONES_SOPORTADAS.join(' o ')}`);
+        }
+
+        const numeroPedido = this.exigirTexto(raiz['numeroPedido'], '$.numeroPedido');
+        const textoFecha = this.exigirTexto(raiz['fechaPedido'], '$.fechaPedido');
+        const fechaPedido = new Date(textoFecha);
+        if (isNaN(fechaPedido.getTime())) {
+            throw new ErrorEsquemaPedido('$.fechaPedido', `fecha inválida '${textoFecha}'`);
+        }
+
+        const moneda = raiz['moneda'] === undefined ? MONEDA_POR_DEFECTO : this.exigirTexto(raiz['moneda'], '$.moneda');
+        try {
+            obtenerDecimalesMoneda(moneda);
+        } catch (error) {
+            if (error instanceof ErrorMoneda) {
+                throw new ErrorEsquemaPedido('$.moneda', error.message);
+            }
+            throw error;
+        }
+
+        const elementos = this.exigirArreglo(raiz['elementos'], '$.elementos');
+        const gestor = new GestorPedidos(numeroPedido, fechaPedido, moneda);
+
+        elementos.forEach((nodo, indice) => {
+            gestor.agregarElemento(this.deserializarElemento(nodo, `$.elementos[${indice}]`));
+        });
+
+        return gestor;
+    }
+
+    /**
+     * Reconstruye un único elemento (producto o caja con su contenido).
+     */
+    public deserializarElemento(nodo: unknown, ruta: string = '$'): ElementoPedido {
+        const objeto = this.exigirObjeto(nodo, ruta);
+        const nombre = this.exigirTexto(objeto['nombre'], `${ruta}.nombre`);
+
+        switch (objeto['tipo']) {
+            case 'producto': {
+                const precio = this.exigirNumeroNoNegativo(objeto['precio'], `${ruta}.precio`);
+                const categoria = this.exigirTexto(objeto['categoria'], `${ruta}.categoria`);
+                const peso = this.leerPesoOpcional(objeto['peso'], `${ruta}.peso`);
+                const dimensiones = this.leerDimensionesOpcionales(objeto['dimensiones'], `${ruta}.dimensiones`);
+                return new Producto(nombre, precio, categoria, peso, dimensiones);
+            }
+
+            case 'caja': {
+                const costoCaja = this.exigirNumeroNoNegativo(objeto['costoCaja'], `${ruta}.costoCaja`);
+                const tipoEmpaque = this.exigirTexto(objeto['tipoEmpaque'], `${ruta}.tipoEmpaque`);
+                const capacidadMaxima = this.exigirNumeroNoNegativo(objeto['capacidadMaxima'], `${ruta}.capacidadMaxima`);
+                if (!Number.isInteger(capacidadMaxima)) {
+                    throw new ErrorEsquemaPedido(`${ruta}.capacidadMaxima`, 'debe ser un número entero');
+                }
+
+                const contenido = this.exigirArreglo(objeto['contenido'], `${ruta}.contenido`);
+                if (contenido.length > capacidadMaxima) {
+                    throw new ErrorEsquemaPedido(`${ruta}.contenido`, `contiene ${contenido.length} elementos pero la capacidad máxima es ${capacidadMaxima}`);
+                }
+
+                const pesoCaja = this.leerPesoOpcional(objeto['pesoCaja'], `${ruta}.pesoCaja`);
+                const dimensiones = this.leerDimensionesOpcionales(objeto['dimensiones'], `${ruta}.dimensiones`);
+
+                const caja = new Caja(nombre, costoCaja, tipoEmpaque, capacidadMaxima, pesoCaja, dimensiones);
+                if (objeto['reglaPaquete'] !== undefined) {
+                    caja.establecerReglaPaquete(this.deserializarReglaPaquete(objeto['reglaPaquete'], `${ruta}.reglaPaquete`));
+                }
+                contenido.forEach((hijo, indice) => {
+                    const rutaHijo = `${ruta}.contenido[${indice}]`;
+                    const elemento = this.deserializarElemento(hijo, rutaHijo);
+                    try {
+                        caja.agregar(elemento);
+                    } catch (error) {
+                        // Traducir los errores estructurales a la ruta del nodo en el documento
+                        if (error instanceof ErrorPedido) {
+                            throw new ErrorEsquemaPedido(rutaHijo, error.message);
+                        }
+                        throw error;
+                    }
+                });
+                return caja;
+            }
+
+            default:
+                throw new ErrorEsquemaPedido(`${ruta}.tipo`, `tipo desconocido ${JSON.stringify(objeto['tipo'])}, se esperaba 'producto' o 'caja'`);
+        }
+    }
+
+    /**
+     * Reconstruye un pedido a partir de su texto JSON.
+     */
+    public desdeJSON(json: string): GestorPedidos {
+        let documento: unknown;
+        try {
+            documento = JSON.parse(json);
+        } catch (error) {
+            throw new ErrorEsquemaPedido('$', `JSON mal formado (${(error as Error).message})`);
+        }
+        return this.deserializar(documento);
+    }
+
+    /**
+     * Guarda el pedido en un archivo .json
+     *
+     * @returns La ruta del archivo escrito
+     */
+    public guardarEnArchivo(gestor: GestorPedidos, rutaArchivo: string): string {
+        fs.writeFileSync(rutaArchivo, this.aJSON(gestor), 'utf8');
+        return rutaArchivo;
+    }
+
+    /**
+     * Carga un pedido desde un archivo .json
+     */
+    public cargarDesdeArchivo(rutaArchivo: string): GestorPedidos {
+        return this.desdeJSON(fs.readFileSync(rutaArchivo, 'utf8'));
+    }
+
+    /**
+     * Reconstruye una regla de paquete validando su tipo, versión y parámetros.
+     */
+    public deserializarReglaPaquete(nodo: unknown, ruta: string = '$'): ReglaPaquete {
+        const objeto = this.exigirObjeto(nodo, ruta);
+        if (objeto['version'] !== VERSION_REGLA_PAQUETE) {
+            throw new ErrorEsquemaPedido(`${ruta}.version`, `versión de regla no soportada (${JSON.stringify(objeto['version'])}), se esperaba ${VERSION_REGLA_PAQUETE}`);
+        }
+
+        const minimoElementos = (): number => {
+            const minimo = this.exigirNumeroNoNegativo(objeto['minimoElementos'], `${ruta}.minimoElementos`);
+            if (!Number.isInteger(minimo)) {
+                throw new ErrorEsquemaPedido(`${ruta}.minimoElementos`, 'debe ser un número entero');
+            }
+            return minimo;
+        };
+
+        switch (objeto['tipo']) {
+            case 'descuentoKit': {
+                const nombreKit = this.exigirTexto(objeto['nombreKit'], `${ruta}.nombreKit`);
+                const articulos = this.exigirArreglo(objeto['articulosRequeridos'], `${ruta}.articulosRequeridos`)
+                    .map((articulo, indice) => this.exigirTexto(articulo, `${ruta}.articulosRequeridos[${indice}]`));
+                const porcentaje = this.exigirNumeroNoNegativo(objeto['porcentaje'], `${ruta}.porcentaje`);
+                if (porcentaje > 100) {
+                    throw new ErrorEsquemaPedido(`${ruta}.porcentaje`, 'debe estar entre 0 y 100');
+                }
+                return new ReglaDescuentoKit(nombreKit, articulos, porcentaje);
+            }
+
+            case 'precioFijo': {
+                const nombrePaquete = this.exigirTexto(objeto['nombrePaquete'], `${ruta}.nombrePaquete`);
+                const precio = this.exigirNumeroNoNegativo(objeto['precio'], `${ruta}.precio`);
+                return new ReglaPrecioFijo(nombrePaquete, precio, minimoElementos());
+            }
+
+            case 'masBaratoGratis':
+                return new ReglaMasBaratoGratis(minimoElementos());
+
+            default:
+                throw new ErrorEsquemaPedido(`${ruta}.tipo`,
+                    `regla desconocida ${JSON.stringify(objeto['tipo'])}, se esperaba 'descuentoKit', 'precioFijo' o 'masBaratoGratis'`);
+        }
+    }
+
+    // ------------------------------------------------------------------------
+    // Validaciones auxiliares del esquema
+    // ------------------------------------------------------------------------
+
+    private exigirObjeto(valor: unknown, ruta: string): Record<string, unknown> {
+        if (typeof valor !== 'object' || valor === null || Array.isArray(valor)) {
+            throw new ErrorEsquemaPedido(ruta, 'se esperaba un objeto');
+        }
+        return valor as Record<string, unknown>;
+    }
+
+    private exigirArreglo(valor: unknown, ruta: string): unknown[] {
+        if (!Array.isArray(valor)) {
+            throw new ErrorEsquemaPedido(ruta, 'se esperaba un arreglo');
+        }
+        return valor;
+    }
+
+    private exigirTexto(valor: unknown, ruta: string): string {
+        if (typeof valor !== 'string') {
+            throw new ErrorEsquemaPedido(ruta, 'se esperaba un texto');
+        }
+        return valor;
+    }
+
+    private exigirNumeroNoNegativo(valor: unknown, ruta: string): number {
+        if (typeof valor !== 'number' || !isFinite(valor) || valor < 0) {
+            throw new ErrorEsquemaPedido(ruta, 'se esperaba un número mayor o igual a 0');
+        }
+        return valor;
+    }
+
+    private leerPesoOpcional(valor: unknown, ruta: string): number {
+        return valor === undefined ? 0 : this.exigirNumeroNoNegativo(valor, ruta);
+    }
+
+    private leerDimensionesOpcionales(valor: unknown, ruta: string): Dimensiones | undefined {
+        if (valor === undefined) {
+            return undefined;
+        }
+        const objeto = this.exigirObjeto(valor, ruta);
+        return {
+            largo: this.exigirNumeroNoNegativo(objeto['largo'], `${ruta}.largo`),
+            ancho: this.exigirNumeroNoNegativo(objeto['ancho'], `${ruta}.ancho`),
+            alto: this.exigirNumeroNoNegativo(objeto['alto'], `${ruta}.alto`)
+        };
+    }
+}
+
+// ============================================================================
+// EJEMPLO DE USO
+// ============================================================================
+
+/**
+ * Demuestra el ciclo completo: serializar, guardar, volver a cargar y validar.
+ */
+export function demostrarSerializacion(): void {
+    console.log('💾 PERSISTENCIA DE PEDIDOS EN JSON\n');
+
+    const cajaPerifericos = new Caja('Caja Periféricos', 5.00, 'Acolchada', 5);
+    cajaPerifericos.agregar(new Producto('Mouse Inalámbrico', 25.99, 'Periféricos'));
+    cajaPerifericos.agregar(new Producto('Teclado Mecánico', 89.99, 'Periféricos'));
+    // La regla de paquete se guarda con la caja, así que el precio se conserva al recargar
+    cajaPerifericos.establecerReglaPaquete(new ReglaDescuentoKit('Combo Escritorio', ['Mouse Inalámbrico', 'Teclado Mecánico'], 10));
+
+    const cajaEnvio = new Caja('Caja Envío Completo', 10.00, 'Reforzada', 8);
+    cajaEnvio.agregar(cajaPerifericos);
+    cajaEnvio.agregar(new Producto('Libro de Programación', 45.00, 'Libros'));
+
+    const gestor = new GestorPedidos('PED-2025-001');
+    gestor.agregarElemento(cajaEnvio);
+
+    const serializador = new SerializadorPedidos();
+    const json = serializador.aJSON(gestor);
+    console.log('\n📄 Documento generado:');
+    console.log(json);
+
+    const reconstruido = serializador.desdeJSON(json);
+    console.log(`\n🔁 Pedido reconstruido: $${reconstruido.calcularPrecioTotal().toFixed(2)} ` +
+        `(original: $${gestor.calcularPrecioTotal().toFixed(2)})`);
+
+    const ruta = serializador.guardarEnArchivo(gestor, path.join(os.tmpdir(), `pedido-${gestor.obtenerNumeroPedido()}.json`));
+    console.log(`💾 Pedido guardado en: ${ruta}`);
+    console.log(`📂 Pedido cargado del archivo: #${serializador.cargarDesdeArchivo(ruta).obtenerNumeroPedido()}`);
+
+    // Documento con un error en un nodo anidado
+    const documentoInvalido = serializador.serializar(gestor) as any;
+    documentoInvalido.elementos[0].contenido[0].contenido[1].precio = 'gratis';
+    try {
+        serializador.deserializar(documentoInvalido);
+    } catch (error) {
+        if (error instanceof ErrorEsquemaPedido) {
+            console.log(`\n❌ ${error.message}`);
+            console.log(`   Nodo problemático: ${error.ruta}`);
+        }
+    }
+}
+
+if (require.main === module) {
+    demostrarSerializacion();
+}
@@ -0,0 +1,392 @@
+/**
+ * SISTEMA DE ARCHIVOS VIRTUAL SOBRE EL PATRÓN COMPOSITE
+ *
+ * Problema: Leaf y Composite (index.ts) solo devuelven textos desde operation().
+ * Para usarlos como un sistema de archivos real hacen falta rutas, creación de
+ * carpetas intermedias, mover/renombrar/copiar y errores claros cuando una
+ * ruta no existe o no es válida.
+ *
+ * Solución: Una fachada VirtualFileSystem que resuelve rutas absolutas
+ * ("/Sistema/Proyectos/TypeScript/index.ts") sobre el árbol de Component,
+ * usando los enlaces al padre de Component (getPath, isAncestorOf) para ubicar cada nodo.
+ * Las hojas son archivos con contenido y las carpetas suman recursivamente su tamaño.
+ */
+
+import { Component, Leaf, Composite } from './index';
+
+/**
+ * Códigos de error, con los mismos nombres que usa Node.js (fs).
+ */
+export type FileSystemErrorCode = 'ENOENT' | 'ENOTDIR' | 'EISDIR' | 'EEXIST' | 'EINVAL';
+
+/**
+ * Error de una operación del sistema de archivos virtual.
+ */
+export class FileSystemError extends Error {
+    public readonly code: FileSystemErrorCode;
+    public readonly path: string;
+
+    constructor(code: FileSystemErrorCode, path: string, detail: string) {
+        super(`${code}: ${detail} '${path}'`);
+        this.name = 'FileSystemError';
+        this.code = code;
+        this.path = path;
+    }
+}
+
+/**
+ * Sistema de archivos en memoria construido con Leaf (archivos) y Composite (carpetas).
+ */
+export class VirtualFileSystem {
+    private root: Composite;
+
+    /**
+     * @param root - Carpeta raíz; sus hijos quedan en "/<nombre>". Igual que con
+     *               add(), una carpeta que estaba dentro de otra se desprende de ella
+     */
+    constructor(root: Composite = new Composite('')) {
+        const parent = root.getParent();
+        if (parent) {
+            parent.remove(root);
+        }
+        this.root = root;
+    }
+
+    public getRoot(): Composite {
+        return this.root;
+    }
+
+    /**
+     * Divide y valida una ruta absoluta. Acepta "." y ".." como en un sistema real.
+     */
+    public static splitPath(path: string): string[] {
+        if (!path.startsWith('/')) {
+            throw new FileSystemError('EINVAL', path, 'la ruta debe ser absoluta');
+        }
+
+        const parts: string[] = [];
+        for (const part of path.split('/')) {
+            if (part === '' || part === '.') {
+                continue;
+            }
+            if (part === '..') {
+                parts.pop();
+            } else {
+                parts.push(part);
+            }
+        }
+        return parts;
+    }
+
+    /**
+     * Une una ruta de carpeta y un nombre ("/" + "a" = "/a").
+     */
+    public static joinPath(folder: string, name: string): string {
+        return folder === '/' ? `/${name}` : `${folder}/${name}`;
+    }
+
+    /**
+     * Obtiene la ruta absoluta de un componente dentro de este sistema de archivos.
+     * El nombre de la raíz no forma parte de la ruta.
+     */
+    public pathOf(component: Component): string {
+        if (component !== this.root && !this.root.isAncestorOf(component)) {
+            throw new FileSystemError('ENOENT', component.getName(), 'el componente no pertenece a este sistema de archivos');
+        }
+
+        const rootPath = this.root.getPath();
+        const path = component.getPath();
+        return rootPath === '/' ? path : path.slice(rootPath.length) || '/';
+    }
+
+    /**
+     * Resuelve una ruta al componente correspondiente.
+     *
+     * @throws FileSystemError ENOENT si no existe, ENOTDIR si un tramo intermedio es un archivo
+     */
+    public resolve(path: string): Component {
+        let current: Component = this.root;
+
+        for (const name of VirtualFileSystem.splitPath(path)) {
+            if (!(current instanceof Composite)) {
+                throw new FileSystemError('ENOTDIR', path, `'${current.getName()}' no es una carpeta en la ruta`);
+            }
+            const child: Component | null = current.getChild(name);
+            if (!child) {
+                throw new FileSystemError('ENOENT', path, 'no existe');
+            }
+            current = child;
+        }
+
+        return current;
+    }
+
+    public exists(path: string): boolean {
+        try {
+            this.resolve(path);
+            return true;
+        } catch (error) {
+            if (error instanceof FileSystemError && (error.code === 'ENOENT' || error.code === 'ENOTDIR')) {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Crea una carpeta. Con `recursive` crea también las intermedias (como `mkdir -p`)
+     * y no falla si la carpeta ya existe.
+     */
+    public mkdir(path: string, options: { recursive?: boolean } = {}): Composite {
+        const names = VirtualFileSystem.splitPath(path);
+        if (names.length === 0) {
+            if (options.recursive) {
+                return this.root;
+            }
+            throw new FileSystemError('EEXIST', path, 'ya existe');
+        }
+
+        let current = this.root;
+        names.forEach((name, index) => {
+            const isLast = index === names.length - 1;
+            const child = current.getChild(name);
+
+            if (child) {
+                if (!(child instanceof Composite)) {
+                    throw new FileSystemError(isLast ? 'EEXIST' : 'ENOTDIR', path, `'${name}' es un archivo en la ruta`);
+                }
+                if (isLast && !options.recursive) {
+                    throw new FileSystemError('EEXIST', path, 'ya existe');
+                }
+                current = child;
+                return;
+            }
+
+            if (!isLast && !options.recursive) {
+                throw new FileSystemError('ENOENT', path, `no existe la carpeta intermedia '${name}' en`);
+            }
+
+            const folder = new Composite(this.validName(name, path));
+            current.add(folder);
+            current = folder;
+        });
+
+        return current;
+    }
+
+    /**
+     * Crea o sobrescribe un archivo. La carpeta que lo contiene debe existir.
+     */
+    public writeFile(path: string, content: string): Leaf {
+        const { parent, name } = this.resolveParent(path);
+        const existing = parent.getChild(name);
+
+        if (existing instanceof Leaf) {
+            existing.setContent(content);
+            return existing;
+        }
+        if (existing) {
+            throw new FileSystemError('EISDIR', path, 'es una carpeta');
+        }
+
+        const file = new Leaf(name, content);
+        parent.add(file);
+        return file;
+    }
+
+    /**
+     * Lee el contenido de un archivo.
+     */
+    public readFile(path: string): string {
+        const component = this.resolve(path);
+        if (!(component instanceof Leaf)) {
+            throw new FileSystemError('EISDIR', path, 'es una carpeta');
+        }
+        return component.getContent();
+    }
+
+    /**
+     * Lista los nombres del contenido de una carpeta.
+     */
+    public list(path: string): string[] {
+        return this.resolveFolder(path).getChildren().map(child => child.getName());
+    }
+
+    /**
+     * Tamaño en bytes de un archivo o, recursivamente, de una carpeta.
+     */
+    public size(path: string = '/'): number {
+        return this.resolve(path).getSize();
+    }
+
+    /**
+     * Elimina un archivo o una carpeta con todo su contenido.
+     */
+    public remove(path: string): void {
+        const component = this.resolve(path);
+        if (component === this.root) {
+            throw new FileSystemError('EINVAL', path, 'no se puede eliminar la raíz');
+        }
+        component.getParent()!.remove(component);
+    }
+
+    /**
+     * Cambia el nombre de un archivo o carpeta sin moverlo.
+     */
+    public rename(path: string, newName: string): Component {
+        const component = this.resolve(path);
+        const parent = component.getParent();
+        if (!parent || component === this.root) {
+            throw new FileSystemError('EINVAL', path, 'no se puede renombrar la raíz');
+        }
+
+        this.validName(newName, path);
+        if (newName !== component.getName() && (parent as Composite).getChild(newName)) {
+            throw new FileSystemError('EEXIST', VirtualFileSystem.joinPath(this.pathOf(parent), newName), 'ya existe');
+        }
+
+        component.setName(newName);
+        return component;
+    }
+
+    /**
+     * Mueve un archivo o carpeta. Si el destino es una carpeta existente, el
+     * elemento se mueve dentro de ella; si no, el destino indica la nueva ruta completa.
+     */
+    public move(from: string, to: string): Component {
+        const component = this.resolve(from);
+        if (component === this.root) {
+            throw new FileSystemError('EINVAL', from, 'no se puede mover la raíz');
+        }
+
+        const { parent, name } = this.resolveTarget(component, to);
+
+        // Una carpeta no puede moverse dentro de sí misma ni de sus descendientes
+        if (parent === component || component.isAncestorOf(parent)) {
+            throw new FileSystemError('EINVAL', to, `no se puede mover '${from}' dentro de sí misma:`);
+        }
+
+        // Composite.add desprende el componente de su carpeta anterior
+        component.setName(name);
+        parent.add(component);
+        return component;
+    }
+
+    /**
+     * Copia un archivo o una carpeta completa. El destino sigue las mismas reglas que move.
+     */
+    public copy(from: string, to: string): Component {
+        const component = this.resolve(from);
+        const { parent, name } = this.resolveTarget(component, to);
+
+        const duplicate = this.clone(component);
+        duplicate.setName(name);
+        parent.add(duplicate);
+        return duplicate;
+    }
+
+    /**
+     * Calcula la carpeta y el nombre de destino de move/copy.
+     */
+    private resolveTarget(component: Component, to: string): { parent: Composite; name: string } {
+        const target = this.exists(to) ? this.resolve(to) : null;
+
+        if (target instanceof Composite) {
+            if (target.getChild(component.getName())) {
+                throw new FileSystemError('EEXIST', `${to.replace(/\/+$/, '')}/${component.getName()}`, 'ya existe');
+            }
+            return { parent: target, name: component.getName() };
+        }
+        if (target) {
+            throw new FileSystemError('EEXIST', to, 'ya existe');
+        }
+
+        return this.resolveParent(to);
+    }
+
+    /**
+     * Resuelve la carpeta que contendrá la ruta indicada y el nombre final.
+     */
+    private resolveParent(path: string): { parent: Composite; name: string } {
+        const names = VirtualFileSystem.splitPath(path);
+        if (names.length === 0) {
+            throw new FileSystemError('EINVAL', path, 'la ruta no puede ser la raíz');
+        }
+
+        const name = this.validName(names[names.length - 1], path);
+        const parent = this.resolveFolder('/' + names.slice(0, -1).join('/'));
+        return { parent, name };
+    }
+
+    private resolveFolder(path: string): Composite {
+        const component = this.resolve(path);
+        if (!(component instanceof Composite)) {
+            throw new FileSystemError('ENOTDIR', path, 'no es una carpeta');
+        }
+        return component;
+    }
+
+    private validName(name: string, path: string): string {
+        if (name === '' || name === '.' || name === '..' || name.includes('/')) {
+            throw new FileSystemError('EINVAL', path, `nombre inválido '${name}' en`);
+        }
+        return name;
+    }
+
+    private clone(component: Component): Component {
+        if (component instanceof Leaf) {
+            return new Leaf(component.getName(), component.getContent());
+        }
+
+        const folder = new Composite(component.getName());
+        for (const child of (component as Composite).getChildren()) {
+            folder.add(this.clone(child));
+        }
+        return folder;
+    }
+}
+
+// ============================================================================
+// EJEMPLO DE USO
+// ============================================================================
+
+/**
+ * Arma el sistema de archivos del ejemplo de index.ts y opera sobre él por rutas.
+ */
+export function demostrarSistemaArchivos(): void {
+    console.log('🗄️  SISTEMA DE ARCHIVOS VIRTUAL\n');
+
+    const vfs = new VirtualFileSystem();
+    vfs.mkdir('/Sistema/Documentos', { recursive: true });
+    vfs.mkdir('/Sistema/Proyectos/TypeScript', { recursive: true });
+    vfs.writeFile('/Sistema/Documentos/notas.txt', 'Revisar el patrón Composite');
+    vfs.writeFile('/Sistema/Proyectos/TypeScript/index.ts', "console.log('hola');\n");
+    vfs.writeFile('/Sistema/Proyectos/TypeScript/types.d.ts', 'export type Id = string;\n');
+
+    console.log(`\n📄 ${vfs.readFile('/Sistema/Proyectos/TypeScript/index.ts').trim()}`);
+    console.log(`📏 /Sistema/Proyectos: ${vfs.size('/Sistema/Proyectos')} bytes, /: ${vfs.size()} bytes`);
+
+    vfs.copy('/Sistema/Proyectos/TypeScript', '/Sistema/Proyectos/TypeScript-respaldo');
+    vfs.move('/Sistema/Documentos/notas.txt', '/Sistema/Proyectos');
+    vfs.rename('/Sistema/Proyectos/notas.txt', 'LEEME.txt');
+
+    console.log(`\n📁 /Sistema/Proyectos: ${vfs.list('/Sistema/Proyectos').join(', ')}`);
+    console.log(`📍 ${vfs.pathOf(vfs.resolve('/Sistema/Proyectos/TypeScript-respaldo/index.ts'))}`);
+
+    for (const operacion of [
+        () => vfs.readFile('/Sistema/Proyectos/TypeScript/main.ts'),
+        () => vfs.resolve('/Sistema/Proyectos/LEEME.txt/otro'),
+        () => vfs.move('/Sistema', '/Sistema/Proyectos'),
+        () => vfs.mkdir('relativa/carpeta')
+    ]) {
+        try {
+            operacion();
+        } catch (error) {
+            console.log(`❌ ${(error as Error).message}`);
+        }
+    }
+}
+
+if (require.main === module) {
+    demostrarSistemaArchivos();
+}
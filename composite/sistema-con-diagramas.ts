@@ -3,257 +3,20 @@
  * 
  * Esta versión integra el sistema de pedidos original con la capacidad
  * de generar diagramas Mermaid para visualizar la estructura del árbol.
+ * Usa Producto y Caja de sistema-pedidos.ts; el diagrama lo escribe
+ * GeneradorDiagramaMermaidPedido (formatos-diagrama.ts).
  */
 
 import * as fs from 'fs';
+import { ModoHTML, GeneradorDiagramaMermaid, OpcionesGeneradorMermaid } from './generador-mermaid';
+import { ElementoPedido, Producto, Caja } from './sistema-pedidos';
 
 /**
- * Interfaz común para todos los elementos que pueden ser incluidos en un pedido.
+ * Generador de diagramas Mermaid con la página HTML explicativa del patrón.
+ * Diagrama, opciones y tema son los de GeneradorDiagramaMermaid; solo cambian
+ * la plantilla y la carpeta de los archivos (la carpeta actual).
  */
-abstract class ElementoPedido {
-    protected nombre: string;
-    
-    constructor(nombre: string) {
-        this.nombre = nombre;
-    }
-
-    abstract calcularPrecio(): number;
-    abstract obtenerDescripcion(nivel: number): string;
-
-    protected generarIndentacion(nivel: number): string {
-        return '  '.repeat(nivel);
-    }
-
-    public obtenerNombre(): string {
-        return this.nombre;
-    }
-
-    /**
-     * Nuevo método para generar diagramas Mermaid
-     */
-    abstract generarNodoMermaid(generador: GeneradorMermaid): string;
-}
-
-/**
- * LEAF: Representa un producto individual
- */
-class Producto extends ElementoPedido {
-    private precio: number;
-    private categoria: string;
-
-    constructor(nombre: string, precio: number, categoria: string = 'General') {
-        super(nombre);
-        this.precio = precio;
-        this.categoria = categoria;
-    }
-
-    public calcularPrecio(): number {
-        return this.precio;
-    }
-
-    public obtenerDescripcion(nivel: number = 0): string {
-        const indentacion = this.generarIndentacion(nivel);
-        return `${indentacion}📦 Producto: ${this.nombre} (${this.categoria}) - $${this.precio.toFixed(2)}`;
-    }
-
-    public obtenerCategoria(): string {
-        return this.categoria;
-    }
-
-    public obtenerPrecioBase(): number {
-        return this.precio;
-    }
-
-    /**
-     * Genera el nodo Mermaid para este producto
-     */
-    public generarNodoMermaid(generador: GeneradorMermaid): string {
-        const idNodo = generador.obtenerIdNodo(this);
-        const precio = `$${this.precio.toFixed(2)}`;
-        return `    ${idNodo}["📦 ${this.nombre}<br/>${precio}"]:::producto`;
-    }
-}
-
-/**
- * COMPOSITE: Representa una caja que puede contener productos y otras cajas
- */
-class Caja extends ElementoPedido {
-    private contenido: ElementoPedido[] = [];
-    private costoCaja: number;
-    private tipoEmpaque: string;
-    private capacidadMaxima: number;
-
-    constructor(nombre: string, costoCaja: number, tipoEmpaque: string = 'Estándar', capacidadMaxima: number = 10) {
-        super(nombre);
-        this.costoCaja = costoCaja;
-        this.tipoEmpaque = tipoEmpaque;
-        this.capacidadMaxima = capacidadMaxima;
-    }
-
-    public agregar(elemento: ElementoPedido): void {
-        if (this.contenido.length >= this.capacidadMaxima) {
-            console.log(`⚠️  La caja '${this.nombre}' ha alcanzado su capacidad máxima (${this.capacidadMaxima} elementos)`);
-            return;
-        }
-
-        this.contenido.push(elemento);
-        console.log(`✅ Agregado '${elemento.obtenerNombre()}' a la caja '${this.nombre}'`);
-    }
-
-    public remover(elemento: ElementoPedido): void {
-        const indice = this.contenido.indexOf(elemento);
-        if (indice !== -1) {
-            this.contenido.splice(indice, 1);
-            console.log(`➖ Removido '${elemento.obtenerNombre()}' de la caja '${this.nombre}'`);
-        }
-    }
-
-    public calcularPrecio(): number {
-        let precioTotal = this.costoCaja;
-        for (const elemento of this.contenido) {
-            precioTotal += elemento.calcularPrecio();
-        }
-        return precioTotal;
-    }
-
-    public obtenerDescripcion(nivel: number = 0): string {
-        const indentacion = this.generarIndentacion(nivel);
-        let descripcion = `${indentacion}📦 Caja: ${this.nombre} (${this.tipoEmpaque}) - Costo base: $${this.costoCaja.toFixed(2)}`;
-        
-        if (this.contenido.length === 0) {
-            descripcion += ` (vacía)`;
-        } else {
-            descripcion += ` (${this.contenido.length}/${this.capacidadMaxima} elementos):`;
-            for (const elemento of this.contenido) {
-                descripcion += '\n' + elemento.obtenerDescripcion(nivel + 1);
-            }
-        }
-
-        return descripcion;
-    }
-
-    public obtenerCantidadElementos(): number {
-        return this.contenido.length;
-    }
-
-    public obtenerContenido(): ElementoPedido[] {
-        return [...this.contenido];
-    }
-
-    /**
-     * Genera el nodo Mermaid para esta caja
-     */
-    public generarNodoMermaid(generador: GeneradorMermaid): string {
-        const idNodo = generador.obtenerIdNodo(this);
-        const precio = `$${this.calcularPrecio().toFixed(2)}`;
-        const cantidad = this.contenido.length;
-        return `    ${idNodo}("📁 ${this.nombre}<br/>${precio}<br/>(${cantidad} elementos)"):::caja`;
-    }
-
-    /**
-     * Genera las conexiones Mermaid para esta caja y sus hijos
-     */
-    public generarConexionesMermaid(generador: GeneradorMermaid): string {
-        const idNodoPadre = generador.obtenerIdNodo(this);
-        let conexiones = '';
-
-        for (const elemento of this.contenido) {
-            const idNodoHijo = generador.obtenerIdNodo(elemento);
-            conexiones += `    ${idNodoPadre} --> ${idNodoHijo}\n`;
-            
-            // Si el hijo es una caja, generar sus conexiones recursivamente
-            if (elemento instanceof Caja) {
-                conexiones += elemento.generarConexionesMermaid(generador);
-            }
-        }
-
-        return conexiones;
-    }
-}
-
-/**
- * Generador de diagramas Mermaid
- */
-class GeneradorMermaid {
-    private contadorNodos: number = 0;
-    private mapaElementos: Map<ElementoPedido, string> = new Map();
-
-    /**
-     * Obtiene o crea un ID único para un elemento
-     */
-    public obtenerIdNodo(elemento: ElementoPedido): string {
-        if (!this.mapaElementos.has(elemento)) {
-            const id = `nodo${this.contadorNodos++}`;
-            this.mapaElementos.set(elemento, id);
-        }
-        return this.mapaElementos.get(elemento)!;
-    }
-
-    /**
-     * Genera un diagrama Mermaid completo para un elemento
-     */
-    public generarDiagrama(elemento: ElementoPedido, titulo: string = 'Estructura del Pedido'): string {
-        this.contadorNodos = 0;
-        this.mapaElementos.clear();
-
-        // Registrar todos los elementos recursivamente
-        this.registrarElementos(elemento);
-
-        let mermaid = `graph TD\n`;
-        mermaid += `    %% ${titulo}\n`;
-        mermaid += `    %% Generado automáticamente - Patrón Composite\n\n`;
-
-        // Generar definiciones de nodos
-        mermaid += '    %% Definición de nodos\n';
-        for (const [elem] of this.mapaElementos) {
-            mermaid += elem.generarNodoMermaid(this) + '\n';
-        }
-
-        // Generar conexiones
-        mermaid += '\n    %% Conexiones\n';
-        mermaid += this.generarConexiones(elemento);
-
-        // Agregar estilos
-        mermaid += this.generarEstilos();
-
-        return mermaid;
-    }
-
-    /**
-     * Registra recursivamente todos los elementos para asignar IDs
-     */
-    private registrarElementos(elemento: ElementoPedido): void {
-        this.obtenerIdNodo(elemento);
-        
-        if (elemento instanceof Caja) {
-            for (const hijo of elemento.obtenerContenido()) {
-                this.registrarElementos(hijo);
-            }
-        }
-    }
-
-    /**
-     * Genera las conexiones del diagrama
-     */
-    private generarConexiones(elemento: ElementoPedido): string {
-        if (elemento instanceof Caja) {
-            return elemento.generarConexionesMermaid(this);
-        }
-        return '';
-    }
-
-    /**
-     * Genera los estilos CSS para el diagrama
-     */
-    private generarEstilos(): string {
-        return `
-    %% Estilos CSS
-    classDef producto fill:#e1f5fe,stroke:#01579b,stroke-width:2px,color:#000
-    classDef caja fill:#f3e5f5,stroke:#4a148c,stroke-width:3px,color:#000
-    classDef default fill:#f9f9f9,stroke:#333,stroke-width:1px
-`;
-    }
-
+class GeneradorMermaid extends GeneradorDiagramaMermaid {
     /**
      * Guarda el diagrama en un archivo .mmd
      */
@@ -267,10 +30,12 @@ class GeneradorMermaid {
     }
 
     /**
-     * Genera un archivo HTML con el diagrama renderizado
+     * Genera un archivo HTML con el diagrama renderizado.
+     * En modo 'sin-conexion' el diagrama se incluye como SVG y la página no
+     * depende del CDN de Mermaid.
      */
-    public generarHTML(mermaid: string, nombreArchivo: string, titulo: string = 'Diagrama del Pedido'): void {
-        const html = this.generarPlantillaHTML(mermaid, titulo);
+    public generarHTML(mermaid: string, nombreArchivo: string, titulo: string = 'Diagrama del Pedido', modo: ModoHTML = 'cdn'): void {
+        const html = this.generarPlantillaHTML(mermaid, titulo, modo);
         
         try {
             fs.writeFileSync(`${nombreArchivo}.html`, html, 'utf8');
@@ -283,14 +48,15 @@ class GeneradorMermaid {
     /**
      * Genera la plantilla HTML completa con descripción del problema
      */
-    private generarPlantillaHTML(mermaid: string, titulo: string): string {
+    private generarPlantillaHTML(mermaid: string, titulo: string, modo: ModoHTML): string {
+        const { scriptMermaid, diagrama, inicializacion } = this.prepararHTML(mermaid, modo, { curve: 'basis' });
+
         return `<!DOCTYPE html>
 <html lang="es">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Patrón Composite: Sistema de Pedidos - Visualización Interactiva</title>
-    <script src="https://cdn.jsdelivr.net/npm/mermaid/dist/mermaid.min.js"></script>
+    <title>Patrón Composite: Sistema de Pedidos - Visualización Interactiva</title>${scriptMermaid}
     <style>
         body {
             font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
@@ -324,6 +90,10 @@ class GeneradorMermaid {
             background: #f8f9fa;
             border-radius: 10px;
         }
+        .diagram-container svg {
+            max-width: 100%;
+            height: auto;
+        }
         .info {
             background: linear-gradient(135deg, #e3f2fd, #bbdefb);
             padding: 20px;
@@ -437,9 +207,7 @@ class GeneradorMermaid {
         </div>
 
         <div class="diagram-container">
-            <div class="mermaid">
-${mermaid}
-            </div>
+            ${diagrama}
         </div>
 
         <div class="calculation-demo">
@@ -473,19 +241,7 @@ ${mermaid}
             <strong>🎓 Para estudiantes:</strong> Este es un ejemplo perfecto de cómo los patrones de diseño 
             resuelven problemas complejos de manera elegante y escalable.
         </div>
-    </div>
-
-    <script>
-        mermaid.initialize({ 
-            startOnLoad: true,
-            theme: 'default',
-            flowchart: {
-                useMaxWidth: true,
-                htmlLabels: true,
-                curve: 'basis'
-            }
-        });
-    </script>
+    </div>${inicializacion}
 </body>
 </html>`;
     }
@@ -499,11 +255,17 @@ class GestorPedidosConDiagramas {
     private numeroPedido: string;
     private fechaPedido: Date;
     private generador: GeneradorMermaid;
+    private modoHTML: ModoHTML;
 
-    constructor(numeroPedido: string) {
+    /**
+     * @param modoHTML - 'sin-conexion' genera páginas con el diagrama en SVG, sin usar el CDN
+     * @param opcionesDiagrama - Dirección, tema y colores de los diagramas generados
+     */
+    constructor(numeroPedido: string, modoHTML: ModoHTML = 'cdn', opcionesDiagrama: OpcionesGeneradorMermaid = {}) {
         this.numeroPedido = numeroPedido;
         this.fechaPedido = new Date();
-        this.generador = new GeneradorMermaid();
+        this.generador = new GeneradorMermaid(opcionesDiagrama);
+        this.modoHTML = modoHTML;
     }
 
     public agregarElemento(elemento: ElementoPedido): void {
@@ -527,7 +289,8 @@ class GestorPedidosConDiagramas {
 
         for (let i = 0; i < this.elementos.length; i++) {
             const elemento = this.elementos[i];
-            const nombre = elemento.obtenerNombre().replace(/\s+/g, '-').toLowerCase();
+            // Solo letras, números y guiones: el nombre del producto no puede elegir la ruta del archivo
+            const nombre = elemento.obtenerNombre().toLowerCase().replace(/[^a-z0-9\u00C0-\u024F]+/g, '-').replace(/^-|-$/g, '');
             
             // Generar diagrama individual
             const diagrama = this.generador.generarDiagrama(
@@ -540,7 +303,8 @@ class GestorPedidosConDiagramas {
             this.generador.generarHTML(
                 diagrama, 
                 `elemento-${i + 1}-${nombre}`, 
-                `Elemento ${i + 1}: ${elemento.obtenerNombre()}`
+                `Elemento ${i + 1}: ${elemento.obtenerNombre()}`,
+                this.modoHTML
             );
         }
 
@@ -554,10 +318,12 @@ class GestorPedidosConDiagramas {
      * Genera un diagrama consolidado de todo el pedido
      */
     private generarDiagramaConsolidado(): void {
-        // Crear una caja virtual que contenga todos los elementos
-        const cajaConsolidada = new Caja(`Pedido ${this.numeroPedido}`, 0, 'Virtual', 20);
+        // Crear una caja virtual que contenga todos los elementos. Su capacidad es la del
+        // pedido, y un elemento agregado dos veces se dibuja una sola vez (Caja no admite duplicados)
+        const elementosUnicos = this.elementos.filter((elemento, indice) => this.elementos.indexOf(elemento) === indice);
+        const cajaConsolidada = new Caja(`Pedido ${this.numeroPedido}`, 0, 'Virtual', elementosUnicos.length);
         
-        for (const elemento of this.elementos) {
+        for (const elemento of elementosUnicos) {
             cajaConsolidada.agregar(elemento);
         }
 
@@ -570,7 +336,8 @@ class GestorPedidosConDiagramas {
         this.generador.generarHTML(
             diagramaConsolidado,
             `pedido-completo-${this.numeroPedido}`,
-            `Pedido Completo #${this.numeroPedido}`
+            `Pedido Completo #${this.numeroPedido}`,
+            this.modoHTML
         );
     }
 }
@@ -604,7 +371,9 @@ cajaEnvioCompleto.agregar(cajaElectronicos);
 cajaEnvioCompleto.agregar(libro);
 
 // Crear pedido con capacidades de diagrama
-const gestorConDiagramas = new GestorPedidosConDiagramas('2025-001');
+// Con --sin-conexion las páginas incluyen el diagrama en SVG y no cargan Mermaid desde el CDN
+const modoHTML: ModoHTML = process.argv.includes('--sin-conexion') ? 'sin-conexion' : 'cdn';
+const gestorConDiagramas = new GestorPedidosConDiagramas('2025-001', modoHTML);
 gestorConDiagramas.agregarElemento(cajaEnvioCompleto);
 
 console.log('\n📋 ESTRUCTURA DEL PEDIDO:');
@@ -615,6 +384,24 @@ console.log(`\n💰 PRECIO TOTAL: $${gestorConDiagramas.calcularPrecioTotal().to
 // Generar todos los diagramas
 gestorConDiagramas.generarDiagramasPedido();
 
+// Variantes personalizadas: horizontal con colores por categoría y empaque y
+// cajas internas cerradas; y mapa de calor según el porcentaje del precio total
+const generadorPorCategoria = new GeneradorMermaid({
+    direccion: 'LR',
+    tema: 'forest',
+    coloresPorCategoria: { Electrónicos: '#c8e6c9', Periféricos: '#bbdefb', Libros: '#fff9c4' },
+    coloresPorEmpaque: { Reforzada: '#ffe0b2' },
+    profundidadMaxima: 1
+});
+const diagramaPorCategoria = generadorPorCategoria.generarDiagrama(cajaEnvioCompleto, 'Envío Premium por categoría');
+generadorPorCategoria.guardarDiagrama(diagramaPorCategoria, 'elemento-1-por-categoria');
+generadorPorCategoria.generarHTML(diagramaPorCategoria, 'elemento-1-por-categoria', 'Envío Premium por categoría', modoHTML);
+
+const generadorMapaCalor = new GeneradorMermaid({ mapaCalorPrecios: true, tema: 'neutral' });
+const diagramaMapaCalor = generadorMapaCalor.generarDiagrama(cajaEnvioCompleto, 'Envío Premium: mapa de calor de precios');
+generadorMapaCalor.guardarDiagrama(diagramaMapaCalor, 'elemento-1-mapa-calor');
+generadorMapaCalor.generarHTML(diagramaMapaCalor, 'elemento-1-mapa-calor', 'Envío Premium: mapa de calor de precios', modoHTML);
+
 console.log('\n✨ ARCHIVOS GENERADOS:');
 console.log('📄 Archivos .mmd (código Mermaid):');
 console.log('   • elemento-1-envio-premium.mmd');
@@ -622,6 +409,8 @@ console.log('   • pedido-completo-2025-001.mmd');
 console.log('\n🌐 Archivos .html (visualización):');
 console.log('   • elemento-1-envio-premium.html');
 console.log('   • pedido-completo-2025-001.html');
+console.log('   • elemento-1-por-categoria.html (horizontal, colores por categoría)');
+console.log('   • elemento-1-mapa-calor.html (colores según el precio)');
 
 console.log('\n🔍 FORMAS DE VER LOS DIAGRAMAS:');
 console.log('1. 🌐 Abrir archivos .html en el navegador (recomendado)');
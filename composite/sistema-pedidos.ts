@@ -10,11 +10,80 @@
  * implementan la misma interfaz para calcular precios.
  */
 
+import {
+    ErrorPedido,
+    ErrorCapacidadExcedida,
+    ErrorEspacioInsuficiente,
+    ErrorElementoDuplicado,
+    ErrorCicloDetectado,
+    ErrorElementoNoEncontrado,
+    ErrorEdicionBloqueada,
+    ProblemaValidacion
+} from './errores-pedido';
+import { Dinero, FormateadorMoneda, OpcionesMoneda, ProveedorTasasFijas, MONEDA_POR_DEFECTO } from './moneda-pedidos';
+
+/**
+ * Medidas físicas de un elemento, expresadas en centímetros.
+ */
+export interface Dimensiones {
+    largo: number;
+    ancho: number;
+    alto: number;
+}
+
+/**
+ * Calcula el volumen (cm³) de unas dimensiones.
+ */
+export function calcularVolumenDimensiones(dimensiones: Dimensiones): number {
+    return dimensiones.largo * dimensiones.ancho * dimensiones.alto;
+}
+
+/**
+ * Indica si un objeto con las dimensiones `exterior` cabe dentro del espacio `interior`,
+ * permitiendo rotarlo (se comparan las medidas ordenadas de menor a mayor).
+ */
+export function cabeEnDimensiones(exterior: Dimensiones, interior: Dimensiones): boolean {
+    const medidasObjeto = [exterior.largo, exterior.ancho, exterior.alto].sort((a, b) => a - b);
+    const medidasEspacio = [interior.largo, interior.ancho, interior.alto].sort((a, b) => a - b);
+    return medidasObjeto.every((medida, i) => medida <= medidasEspacio[i]);
+}
+
+/**
+ * Visitante del árbol de pedido (patrón Visitor).
+ * Permite agregar operaciones nuevas sin modificar Producto ni Caja.
+ */
+export interface VisitanteElementoPedido<R> {
+    visitarProducto(producto: Producto): R;
+    visitarCaja(caja: Caja): R;
+}
+
+/**
+ * Resultado de aplicar una regla de paquete al contenido de una caja.
+ */
+export interface ResultadoReglaPaquete {
+    /** Precio del contenido con la regla aplicada (sin el costo de la caja) */
+    precio: number;
+    /** Explicación para el cliente: "Kit Gamer: 10% de descuento" */
+    descripcion: string;
+}
+
+/**
+ * Regla de precio que convierte una caja en un paquete o kit.
+ * Recibe el contenido directo de la caja; como el precio de cada elemento
+ * ya incluye sus propias reglas, un paquete dentro de otro se valora correctamente.
+ */
+export interface ReglaPaquete {
+    /**
+     * Devuelve el precio del contenido con la regla aplicada, o null si la regla no aplica.
+     */
+    aplicar(contenido: ElementoPedido[]): ResultadoReglaPaquete | null;
+}
+
 /**
  * Interfaz común para todos los elementos que pueden ser incluidos en un pedido.
  * Define la operación principal: calcular el precio total.
  */
-abstract class ElementoPedido {
+export abstract class ElementoPedido {
     protected nombre: string;
     
     constructor(nombre: string) {
@@ -27,11 +96,37 @@ abstract class ElementoPedido {
      */
     abstract calcularPrecio(): number;
 
+    /**
+     * Calcula el precio total como Dinero, con aritmética exacta en unidades mínimas.
+     * Los precios del elemento se interpretan en la moneda indicada.
+     */
+    abstract calcularMonto(moneda?: string): Dinero;
+
     /**
      * Método para obtener una descripción detallada del elemento.
-     * Útil para mostrar el contenido del pedido.
+     * Útil para mostrar el contenido del pedido; el formateador decide moneda y formato.
+     */
+    abstract obtenerDescripcion(nivel: number, formateador?: FormateadorMoneda): string;
+
+    /**
+     * Calcula el peso bruto del elemento en kilogramos (recursivo en las cajas).
+     */
+    abstract calcularPeso(): number;
+
+    /**
+     * Calcula el volumen que ocupa el elemento en cm³.
+     */
+    abstract calcularVolumen(): number;
+
+    /**
+     * Obtiene las dimensiones exteriores del elemento, si se conocen.
+     */
+    abstract obtenerDimensiones(): Dimensiones | undefined;
+
+    /**
+     * Acepta un visitante, llamando al método que corresponde al tipo concreto.
      */
-    abstract obtenerDescripcion(nivel: number): string;
+    abstract aceptar<R>(visitante: VisitanteElementoPedido<R>): R;
 
     /**
      * Método auxiliar para generar indentación en las descripciones.
@@ -52,14 +147,18 @@ abstract class ElementoPedido {
  * LEAF: Representa un producto individual (elemento terminal).
  * No puede contener otros elementos, solo tiene su propio precio.
  */
-class Producto extends ElementoPedido {
+export class Producto extends ElementoPedido {
     private precio: number;
     private categoria: string;
+    private peso: number;
+    private dimensiones?: Dimensiones;
 
-    constructor(nombre: string, precio: number, categoria: string = 'General') {
+    constructor(nombre: string, precio: number, categoria: string = 'General', peso: number = 0, dimensiones?: Dimensiones) {
         super(nombre);
         this.precio = precio;
         this.categoria = categoria;
+        this.peso = peso;
+        this.dimensiones = dimensiones;
     }
 
     /**
@@ -69,12 +168,16 @@ class Producto extends ElementoPedido {
         return this.precio;
     }
 
+    public calcularMonto(moneda: string = MONEDA_POR_DEFECTO): Dinero {
+        return Dinero.desde(this.precio, moneda);
+    }
+
     /**
      * Descripción de un producto individual.
      */
-    public obtenerDescripcion(nivel: number = 0): string {
+    public obtenerDescripcion(nivel: number = 0, formateador: FormateadorMoneda = new FormateadorMoneda()): string {
         const indentacion = this.generarIndentacion(nivel);
-        return `${indentacion}📦 Producto: ${this.nombre} (${this.categoria}) - $${this.precio.toFixed(2)}`;
+        return `${indentacion}📦 Producto: ${this.nombre} (${this.categoria}) - ${formateador.formatear(this.precio)}`;
     }
 
     /**
@@ -90,56 +193,213 @@ class Producto extends ElementoPedido {
     public obtenerPrecioBase(): number {
         return this.precio;
     }
+
+    /**
+     * El peso de un producto es simplemente su peso propio (kg).
+     */
+    public calcularPeso(): number {
+        return this.peso;
+    }
+
+    /**
+     * Volumen del producto según sus dimensiones (0 si no se conocen).
+     */
+    public calcularVolumen(): number {
+        return this.dimensiones ? calcularVolumenDimensiones(this.dimensiones) : 0;
+    }
+
+    /**
+     * Obtiene las dimensiones del producto, si se conocen.
+     */
+    public obtenerDimensiones(): Dimensiones | undefined {
+        return this.dimensiones;
+    }
+
+    public aceptar<R>(visitante: VisitanteElementoPedido<R>): R {
+        return visitante.visitarProducto(this);
+    }
 }
 
 /**
  * COMPOSITE: Representa una caja que puede contener productos y otras cajas.
  * Su precio incluye su costo base más el precio de todo su contenido.
  */
-class Caja extends ElementoPedido {
+export class Caja extends ElementoPedido {
     private contenido: ElementoPedido[] = [];
     private costoCaja: number;
     private tipoEmpaque: string;
     private capacidadMaxima: number;
+    private pesoCaja: number;
+    private dimensiones?: Dimensiones;
+    private bloqueada: boolean = false;
+    private reglaPaquete?: ReglaPaquete;
 
-    constructor(nombre: string, costoCaja: number, tipoEmpaque: string = 'Estándar', capacidadMaxima: number = 10) {
+    /**
+     * @param pesoCaja - Peso de la caja vacía (tara) en kg
+     * @param dimensiones - Medidas de la caja en cm; se asume pared delgada,
+     *                      por lo que sirven como medidas interiores y exteriores
+     */
+    constructor(
+        nombre: string,
+        costoCaja: number,
+        tipoEmpaque: string = 'Estándar',
+        capacidadMaxima: number = 10,
+        pesoCaja: number = 0,
+        dimensiones?: Dimensiones
+    ) {
         super(nombre);
         this.costoCaja = costoCaja;
         this.tipoEmpaque = tipoEmpaque;
         this.capacidadMaxima = capacidadMaxima;
+        this.pesoCaja = pesoCaja;
+        this.dimensiones = dimensiones;
     }
 
     /**
      * Agrega un elemento (producto o caja) al contenido de esta caja.
+     * Si se indica `posicion`, el elemento se inserta en ese índice; si no, al final.
+     *
+     * @throws ErrorEdicionBloqueada si la caja está bloqueada
+     * @throws ErrorCicloDetectado si el elemento es esta caja o la contiene
+     * @throws ErrorElementoDuplicado si el elemento ya está en esta caja
+     * @throws ErrorCapacidadExcedida si la caja está llena
+     * @throws ErrorEspacioInsuficiente si el elemento no cabe físicamente
      */
-    public agregar(elemento: ElementoPedido): void {
+    public agregar(elemento: ElementoPedido, posicion: number = this.contenido.length): void {
+        if (this.bloqueada) {
+            throw new ErrorEdicionBloqueada(this.nombre);
+        }
+
+        if (elemento === this || (elemento instanceof Caja && elemento.contieneRecursivamente(this))) {
+            throw new ErrorCicloDetectado(elemento.obtenerNombre(), this.nombre);
+        }
+
+        if (this.contenido.includes(elemento)) {
+            throw new ErrorElementoDuplicado(elemento.obtenerNombre(), this.nombre);
+        }
+
         if (this.contenido.length >= this.capacidadMaxima) {
-            console.log(`⚠️  La caja '${this.nombre}' ha alcanzado su capacidad máxima (${this.capacidadMaxima} elementos)`);
-            return;
+            throw new ErrorCapacidadExcedida(this.nombre, this.capacidadMaxima, elemento.obtenerNombre());
+        }
+
+        if (!this.cabeFisicamente(elemento)) {
+            throw new ErrorEspacioInsuficiente(this.nombre, elemento.obtenerNombre());
         }
 
-        this.contenido.push(elemento);
-        console.log(`✅ Agregado '${elemento.obtenerNombre()}' a la caja '${this.nombre}'`);
+        this.contenido.splice(posicion, 0, elemento);
     }
 
     /**
      * Remueve un elemento del contenido de la caja.
+     *
+     * @throws ErrorEdicionBloqueada si la caja está bloqueada
+     * @throws ErrorElementoNoEncontrado si el elemento no está en la caja
      */
     public remover(elemento: ElementoPedido): void {
+        if (this.bloqueada) {
+            throw new ErrorEdicionBloqueada(this.nombre);
+        }
+
         const indice = this.contenido.indexOf(elemento);
-        if (indice !== -1) {
-            this.contenido.splice(indice, 1);
-            console.log(`➖ Removido '${elemento.obtenerNombre()}' de la caja '${this.nombre}'`);
-        } else {
-            console.log(`❌ No se encontró '${elemento.obtenerNombre()}' en la caja '${this.nombre}'`);
+        if (indice === -1) {
+            throw new ErrorElementoNoEncontrado(elemento.obtenerNombre(), this.nombre);
+        }
+
+        this.contenido.splice(indice, 1);
+    }
+
+    /**
+     * Bloquea (o desbloquea) la edición de la caja y de todas sus cajas internas.
+     */
+    public establecerBloqueo(bloqueada: boolean): void {
+        this.bloqueada = bloqueada;
+
+        for (const elemento of this.contenido) {
+            if (elemento instanceof Caja) {
+                elemento.establecerBloqueo(bloqueada);
+            }
         }
     }
 
+    /**
+     * Indica si la edición de la caja está bloqueada.
+     */
+    public estaBloqueada(): boolean {
+        return this.bloqueada;
+    }
+
+    /**
+     * Indica si el elemento está dentro de esta caja, a cualquier nivel de anidamiento.
+     */
+    public contieneRecursivamente(elemento: ElementoPedido): boolean {
+        for (const hijo of this.contenido) {
+            if (hijo === elemento || (hijo instanceof Caja && hijo.contieneRecursivamente(elemento))) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Revisa el contenido actual de la caja (sin recursión) y devuelve los errores
+     * de capacidad o espacio que encuentre, en lugar de lanzarlos.
+     */
+    public validarContenido(): ErrorPedido[] {
+        const errores: ErrorPedido[] = [];
+        const volumenCaja = this.dimensiones ? calcularVolumenDimensiones(this.dimensiones) : Infinity;
+        let volumenAcumulado = 0;
+
+        this.contenido.forEach((elemento, indice) => {
+            if (indice >= this.capacidadMaxima) {
+                errores.push(new ErrorCapacidadExcedida(this.nombre, this.capacidadMaxima, elemento.obtenerNombre()));
+            }
+
+            volumenAcumulado += elemento.calcularVolumen();
+            const dimensionesElemento = elemento.obtenerDimensiones();
+            const noCabe = this.dimensiones && dimensionesElemento && !cabeEnDimensiones(dimensionesElemento, this.dimensiones);
+            if (noCabe || volumenAcumulado > volumenCaja) {
+                errores.push(new ErrorEspacioInsuficiente(this.nombre, elemento.obtenerNombre()));
+            }
+        });
+
+        return errores;
+    }
+
+    /**
+     * Convierte la caja en un paquete con la regla de precio indicada
+     * (o la vuelve una caja normal si se pasa undefined).
+     *
+     * @throws ErrorEdicionBloqueada si la caja está bloqueada, ya que cambiaría su precio
+     */
+    public establecerReglaPaquete(regla: ReglaPaquete | undefined): void {
+        if (this.bloqueada) {
+            throw new ErrorEdicionBloqueada(this.nombre);
+        }
+        this.reglaPaquete = regla;
+    }
+
+    public obtenerReglaPaquete(): ReglaPaquete | undefined {
+        return this.reglaPaquete;
+    }
+
+    /**
+     * Aplica la regla de paquete al contenido actual, si hay una y se cumple.
+     */
+    public aplicarReglaPaquete(): ResultadoReglaPaquete | null {
+        return this.reglaPaquete ? this.reglaPaquete.aplicar(this.obtenerContenido()) : null;
+    }
+
     /**
      * Calcula el precio total de la caja:
-     * Costo de la caja + suma de precios de todo el contenido (recursivo)
+     * Costo de la caja + suma de precios de todo el contenido (recursivo),
+     * o el precio del contenido según la regla de paquete si aplica.
      */
     public calcularPrecio(): number {
+        const paquete = this.aplicarReglaPaquete();
+        if (paquete) {
+            return this.costoCaja + paquete.precio;
+        }
+
         let precioTotal = this.costoCaja;
 
         // Sumar recursivamente el precio de cada elemento contenido
@@ -150,21 +410,116 @@ class Caja extends ElementoPedido {
         return precioTotal;
     }
 
+    /**
+     * Igual que calcularPrecio, pero sumando en unidades mínimas para evitar
+     * el error de redondeo acumulado en cajas profundamente anidadas.
+     */
+    public calcularMonto(moneda: string = MONEDA_POR_DEFECTO): Dinero {
+        const paquete = this.aplicarReglaPaquete();
+        if (paquete) {
+            return Dinero.desde(this.costoCaja, moneda).sumar(Dinero.desde(paquete.precio, moneda));
+        }
+
+        let montoTotal = Dinero.desde(this.costoCaja, moneda);
+
+        for (const elemento of this.contenido) {
+            montoTotal = montoTotal.sumar(elemento.calcularMonto(moneda));
+        }
+
+        return montoTotal;
+    }
+
+    /**
+     * Peso bruto de la caja: su tara + el peso de todo el contenido (recursivo).
+     */
+    public calcularPeso(): number {
+        let pesoTotal = this.pesoCaja;
+
+        for (const elemento of this.contenido) {
+            pesoTotal += elemento.calcularPeso();
+        }
+
+        return pesoTotal;
+    }
+
+    /**
+     * Volumen exterior de la caja. Si no tiene dimensiones definidas,
+     * se aproxima con el volumen ocupado por su contenido.
+     */
+    public calcularVolumen(): number {
+        return this.dimensiones ? calcularVolumenDimensiones(this.dimensiones) : this.calcularVolumenOcupado();
+    }
+
+    /**
+     * Suma del volumen de los elementos contenidos directamente en la caja.
+     */
+    public calcularVolumenOcupado(): number {
+        let volumen = 0;
+
+        for (const elemento of this.contenido) {
+            volumen += elemento.calcularVolumen();
+        }
+
+        return volumen;
+    }
+
+    /**
+     * Verifica si un elemento cabe físicamente en la caja: sus medidas deben entrar
+     * en el interior (permitiendo rotarlo) y su volumen en el espacio libre.
+     * Las cajas sin dimensiones solo limitan la cantidad de elementos.
+     */
+    public cabeFisicamente(elemento: ElementoPedido): boolean {
+        if (!this.dimensiones) {
+            return true;
+        }
+
+        const dimensionesElemento = elemento.obtenerDimensiones();
+        if (dimensionesElemento && !cabeEnDimensiones(dimensionesElemento, this.dimensiones)) {
+            return false;
+        }
+
+        const volumenLibre = calcularVolumenDimensiones(this.dimensiones) - this.calcularVolumenOcupado();
+        return elemento.calcularVolumen() <= volumenLibre;
+    }
+
+    /**
+     * Obtiene las dimensiones de la caja, si se conocen.
+     */
+    public obtenerDimensiones(): Dimensiones | undefined {
+        return this.dimensiones;
+    }
+
+    public aceptar<R>(visitante: VisitanteElementoPedido<R>): R {
+        return visitante.visitarCaja(this);
+    }
+
+    /**
+     * Obtiene el peso de la caja vacía (tara) en kg.
+     */
+    public obtenerPesoCaja(): number {
+        return this.pesoCaja;
+    }
+
     /**
      * Genera una descripción detallada y jerárquica del contenido de la caja.
      */
-    public obtenerDescripcion(nivel: number = 0): string {
+    public obtenerDescripcion(nivel: number = 0, formateador: FormateadorMoneda = new FormateadorMoneda()): string {
         const indentacion = this.generarIndentacion(nivel);
-        let descripcion = `${indentacion}📦 Caja: ${this.nombre} (${this.tipoEmpaque}) - Costo base: $${this.costoCaja.toFixed(2)}`;
+        let descripcion = `${indentacion}📦 Caja: ${this.nombre} (${this.tipoEmpaque}) - Costo base: ${formateador.formatear(this.costoCaja)}`;
         
         if (this.contenido.length === 0) {
             descripcion += ` (vacía)`;
         } else {
             descripcion += ` (${this.contenido.length}/${this.capacidadMaxima} elementos):`;
+
+            const paquete = this.aplicarReglaPaquete();
+            if (paquete) {
+                descripcion += `\n${indentacion}  🏷️  ${paquete.descripcion} - Contenido: ${formateador.formatear(paquete.precio)}`;
+            }
             
             // Agregar descripción de cada elemento contenido con mayor indentación
             for (const elemento of this.contenido) {
-                descripcion += '\n' + elemento.obtenerDescripcion(nivel + 1);
+                descripcion += '\n' + elemento.obtenerDescripcion(nivel + 1, formateador);
             }
         }
 
@@ -178,6 +533,27 @@ class Caja extends ElementoPedido {
         return this.contenido.length;
     }
 
+    /**
+     * Obtiene una copia de los elementos contenidos directamente en la caja.
+     */
+    public obtenerContenido(): ElementoPedido[] {
+        return [...this.contenido];
+    }
+
+    /**
+     * Obtiene el costo base de la caja (sin contenido).
+     */
+    public obtenerCostoCaja(): number {
+        return this.costoCaja;
+    }
+
+    /**
+     * Obtiene la cantidad máxima de elementos que admite la caja.
+     */
+    public obtenerCapacidadMaxima(): number {
+        return this.capacidadMaxima;
+    }
+
     /**
      * Obtiene el tipo de empaque de la caja.
      */
@@ -214,22 +590,103 @@ class Caja extends ElementoPedido {
  * Clase para gestionar un pedido completo.
  * Actúa como cliente del patrón Composite.
  */
-class GestorPedidos {
+export class GestorPedidos {
     private elementos: ElementoPedido[] = [];
     private numeroPedido: string;
     private fechaPedido: Date;
+    private moneda: string;
+    private edicionBloqueada: boolean = false;
 
-    constructor(numeroPedido: string) {
+    /**
+     * @param moneda - Código ISO 4217 en el que están expresados los precios del pedido
+     */
+    constructor(numeroPedido: string, fechaPedido: Date = new Date(), moneda: string = MONEDA_POR_DEFECTO) {
         this.numeroPedido = numeroPedido;
-        this.fechaPedido = new Date();
+        this.fechaPedido = fechaPedido;
+        this.moneda = moneda;
+    }
+
+    /**
+     * Obtiene el número identificador del pedido.
+     */
+    public obtenerNumeroPedido(): string {
+        return this.numeroPedido;
+    }
+
+    /**
+     * Obtiene la fecha en que se creó el pedido.
+     */
+    public obtenerFechaPedido(): Date {
+        return this.fechaPedido;
+    }
+
+    /**
+     * Obtiene la moneda en la que están expresados los precios del pedido.
+     */
+    public obtenerMoneda(): string {
+        return this.moneda;
+    }
+
+    /**
+     * Obtiene una copia de los elementos principales del pedido.
+     */
+    public obtenerElementos(): ElementoPedido[] {
+        return [...this.elementos];
     }
 
     /**
      * Agrega un elemento al pedido.
+     * Si se indica `posicion`, el elemento se inserta en ese índice; si no, al final.
+     */
+    public agregarElemento(elemento: ElementoPedido, posicion: number = this.elementos.length): void {
+        if (this.edicionBloqueada) {
+            throw new ErrorEdicionBloqueada(`Pedido #${this.numeroPedido}`);
+        }
+
+        if (this.elementos.includes(elemento)) {
+            throw new ErrorElementoDuplicado(elemento.obtenerNombre(), `Pedido #${this.numeroPedido}`);
+        }
+
+        this.elementos.splice(posicion, 0, elemento);
+    }
+
+    /**
+     * Quita un elemento principal del pedido.
+     *
+     * @throws ErrorElementoNoEncontrado si el elemento no está en el pedido
+     */
+    public removerElemento(elemento: ElementoPedido): void {
+        if (this.edicionBloqueada) {
+            throw new ErrorEdicionBloqueada(`Pedido #${this.numeroPedido}`);
+        }
+
+        const indice = this.elementos.indexOf(elemento);
+        if (indice === -1) {
+            throw new ErrorElementoNoEncontrado(elemento.obtenerNombre(), `Pedido #${this.numeroPedido}`);
+        }
+
+        this.elementos.splice(indice, 1);
+    }
+
+    /**
+     * Bloquea (o desbloquea) la edición del pedido y de todas sus cajas,
+     * por ejemplo una vez que el pedido ha sido confirmado.
+     */
+    public establecerBloqueo(bloqueado: boolean): void {
+        this.edicionBloqueada = bloqueado;
+
+        for (const elemento of this.elementos) {
+            if (elemento instanceof Caja) {
+                elemento.establecerBloqueo(bloqueado);
+            }
+        }
+    }
+
+    /**
+     * Indica si la edición del pedido está bloqueada.
      */
-    public agregarElemento(elemento: ElementoPedido): void {
-        this.elementos.push(elemento);
-        console.log(`🛒 Agregado al pedido: ${elemento.obtenerNombre()}`);
+    public estaBloqueado(): boolean {
+        return this.edicionBloqueada;
     }
 
     /**
@@ -244,13 +701,37 @@ class GestorPedidos {
         return total;
     }
 
+    /**
+     * Calcula el precio total del pedido como Dinero exacto en la moneda del pedido.
+     */
+    public calcularMontoTotal(): Dinero {
+        let total = Dinero.cero(this.moneda);
+        for (const elemento of this.elementos) {
+            total = total.sumar(elemento.calcularMonto(this.moneda));
+        }
+        return total;
+    }
+
+    /**
+     * Calcula el peso bruto del pedido (kg).
+     */
+    public calcularPesoTotal(): number {
+        let peso = 0;
+        for (const elemento of this.elementos) {
+            peso += elemento.calcularPeso();
+        }
+        return peso;
+    }
+
     /**
      * Genera un resumen completo del pedido.
+     * Con `opciones` los montos se muestran en la moneda y configuración regional del cliente.
      */
-    public generarResumenPedido(): string {
+    public generarResumenPedido(opciones: OpcionesMoneda = {}): string {
+        const formateador = new FormateadorMoneda(this.moneda, opciones);
         let resumen = `\n${'='.repeat(60)}\n`;
         resumen += `📋 RESUMEN DEL PEDIDO #${this.numeroPedido}\n`;
-        resumen += `📅 Fecha: ${this.fechaPedido.toLocaleDateString()}\n`;
+        resumen += `📅 Fecha: ${this.fechaPedido.toLocaleDateString(opciones.locale)}\n`;
         resumen += `${'='.repeat(60)}\n\n`;
 
         if (this.elementos.length === 0) {
@@ -259,18 +740,65 @@ class GestorPedidos {
             resumen += `📦 CONTENIDO DEL PEDIDO:\n\n`;
             
             for (let i = 0; i < this.elementos.length; i++) {
-                resumen += `${i + 1}. ${this.elementos[i].obtenerDescripcion(0)}\n\n`;
+                resumen += `${i + 1}. ${this.elementos[i].obtenerDescripcion(0, formateador)}\n\n`;
             }
         }
 
-        const total = this.calcularPrecioTotal();
+        const total = this.calcularMontoTotal();
         resumen += `${'='.repeat(60)}\n`;
-        resumen += `💰 PRECIO TOTAL: $${total.toFixed(2)}\n`;
+        resumen += `💰 PRECIO TOTAL: ${formateador.formatear(total)}\n`;
         resumen += `${'='.repeat(60)}\n`;
 
         return resumen;
     }
 
+    /**
+     * Recorre todo el árbol del pedido y devuelve cada problema encontrado
+     * (capacidad, espacio, duplicados y ciclos) en lugar de detenerse en el primero.
+     */
+    public validar(): ProblemaValidacion[] {
+        const problemas: ProblemaValidacion[] = [];
+        const visitados = new Set<ElementoPedido>();
+        const ancestros = new Set<Caja>();
+
+        const registrar = (error: ErrorPedido, ruta: string[]): void => {
+            problemas.push({ codigo: error.codigo, mensaje: error.message, ruta: ruta.join(' > ') });
+        };
+
+        const visitar = (elemento: ElementoPedido, nombreContenedor: string, rutaPadre: string[]): void => {
+            const ruta = [...rutaPadre, elemento.obtenerNombre()];
+
+            // Un ancestro que reaparece indica un ciclo; cualquier otro repetido, un duplicado
+            if (elemento instanceof Caja && ancestros.has(elemento)) {
+                registrar(new ErrorCicloDetectado(elemento.obtenerNombre(), nombreContenedor), ruta);
+                return;
+            }
+            if (visitados.has(elemento)) {
+                registrar(new ErrorElementoDuplicado(elemento.obtenerNombre(), nombreContenedor), ruta);
+                return;
+            }
+            visitados.add(elemento);
+
+            if (elemento instanceof Caja) {
+                for (const error of elemento.validarContenido()) {
+                    registrar(error, ruta);
+                }
+
+                ancestros.add(elemento);
+                for (const hijo of elemento.obtenerContenido()) {
+                    visitar(hijo, elemento.obtenerNombre(), ruta);
+                }
+                ancestros.delete(elemento);
+            }
+        };
+
+        for (const elemento of this.elementos) {
+            visitar(elemento, `Pedido #${this.numeroPedido}`, []);
+        }
+
+        return problemas;
+    }
+
     /**
      * Obtiene estadísticas del pedido.
      */
@@ -308,90 +836,130 @@ class GestorPedidos {
 // DEMOSTRACIÓN DEL SISTEMA DE PEDIDOS
 // ============================================================================
 
-console.log('🎯 SISTEMA DE PEDIDOS CON PATRÓN COMPOSITE');
-console.log('💡 Resolviendo el problema de cálculo de precios en estructuras anidadas\n');
-
-// Crear productos individuales
-const laptop = new Producto('Laptop Gaming', 1200.00, 'Electrónicos');
-const mouse = new Producto('Mouse Inalámbrico', 25.99, 'Periféricos');
-const teclado = new Producto('Teclado Mecánico', 89.99, 'Periféricos');
-const monitor = new Producto('Monitor 24"', 299.99, 'Electrónicos');
-const libro = new Producto('Libro de Programación', 45.00, 'Libros');
-const cable = new Producto('Cable USB-C', 19.99, 'Accesorios');
-
-console.log('📦 PRODUCTOS CREADOS:');
-console.log(laptop.obtenerDescripcion());
-console.log(mouse.obtenerDescripcion());
-console.log(teclado.obtenerDescripcion());
-console.log(monitor.obtenerDescripcion());
-console.log(libro.obtenerDescripcion());
-console.log(cable.obtenerDescripcion());
-
-console.log('\n' + '='.repeat(60) + '\n');
-
-// Crear cajas y organizar productos
-console.log('📦 CREANDO ESTRUCTURA DE CAJAS:');
-
-// Caja pequeña para periféricos
-const cajaPerifericos = new Caja('Caja Periféricos', 5.00, 'Acolchada', 5);
-cajaPerifericos.agregar(mouse);
-cajaPerifericos.agregar(teclado);
-cajaPerifericos.agregar(cable);
-
-// Caja mediana para electrónicos
-const cajaElectronicos = new Caja('Caja Electrónicos', 15.00, 'Antiestática', 3);
-cajaElectronicos.agregar(laptop);
-cajaElectronicos.agregar(monitor);
-
-// Caja grande que contiene otras cajas y productos sueltos
-const cajaEnvioCompleto = new Caja('Caja Envío Completo', 10.00, 'Reforzada', 8);
-cajaEnvioCompleto.agregar(cajaPerifericos);
-cajaEnvioCompleto.agregar(cajaElectronicos);
-cajaEnvioCompleto.agregar(libro); // Producto suelto en la caja principal
-
-console.log('\n' + '='.repeat(60) + '\n');
-
-// Crear pedido y agregar elementos
-console.log('🛒 CREANDO PEDIDO:');
-const gestor = new GestorPedidos('PED-2025-001');
-
-// Agregar tanto productos individuales como cajas complejas
-gestor.agregarElemento(cajaEnvioCompleto); // Caja compleja con anidamiento
-gestor.agregarElemento(new Producto('Garantía Extendida', 99.99, 'Servicios')); // Producto individual
-
-console.log('\n' + '='.repeat(60) + '\n');
-
-// Mostrar la estructura completa del pedido
-console.log('📋 ESTRUCTURA DETALLADA DEL PEDIDO:');
-console.log(cajaEnvioCompleto.obtenerDescripcion());
-
-console.log('\n' + '='.repeat(60) + '\n');
-
-// Demostrar el cálculo de precios
-console.log('💰 CÁLCULO DE PRECIOS (El poder del patrón Composite):');
-console.log(`   Precio caja periféricos: $${cajaPerifericos.calcularPrecio().toFixed(2)}`);
-console.log(`   Precio caja electrónicos: $${cajaElectronicos.calcularPrecio().toFixed(2)}`);
-console.log(`   Precio caja envío completo: $${cajaEnvioCompleto.calcularPrecio().toFixed(2)}`);
-
-// Generar resumen completo del pedido
-console.log(gestor.generarResumenPedido());
-
-// Mostrar estadísticas
-const stats = gestor.obtenerEstadisticas();
-console.log('📊 ESTADÍSTICAS DEL PEDIDO:');
-console.log(`   • Total de elementos principales: ${stats.totalElementos}`);
-console.log(`   • Total de productos individuales: ${stats.totalProductos}`);
-console.log(`   • Total de cajas: ${stats.totalCajas}`);
-console.log(`   • Precio promedio por elemento: $${stats.precioPromedio.toFixed(2)}`);
-
-console.log('\n' + '='.repeat(60));
-console.log('✨ BENEFICIOS DEL PATRÓN COMPOSITE DEMOSTRADOS:');
-console.log('   1. 🎯 Uniformidad: Productos y cajas se tratan igual');
-console.log('   2. 🔄 Recursión: Cálculo automático en estructuras anidadas');
-console.log('   3. 🧩 Flexibilidad: Fácil agregar nuevos tipos de elementos');
-console.log('   4. 🌳 Jerarquía: Representación natural de estructuras complejas');
-console.log('   5. 💡 Simplicidad: El cliente no distingue entre tipos');
-console.log('='.repeat(60));
+/**
+ * Ejecuta la demostración completa del sistema de pedidos.
+ */
+export function demostrarSistemaPedidos(): void {
+    console.log('🎯 SISTEMA DE PEDIDOS CON PATRÓN COMPOSITE');
+    console.log('💡 Resolviendo el problema de cálculo de precios en estructuras anidadas\n');
+
+    // Crear productos individuales
+    const laptop = new Producto('Laptop Gaming', 1200.00, 'Electrónicos');
+    const mouse = new Producto('Mouse Inalámbrico', 25.99, 'Periféricos');
+    const teclado = new Producto('Teclado Mecánico', 89.99, 'Periféricos');
+    const monitor = new Producto('Monitor 24"', 299.99, 'Electrónicos');
+    const libro = new Producto('Libro de Programación', 45.00, 'Libros');
+    const cable = new Producto('Cable USB-C', 19.99, 'Accesorios');
+
+    console.log('📦 PRODUCTOS CREADOS:');
+    console.log(laptop.obtenerDescripcion());
+    console.log(mouse.obtenerDescripcion());
+    console.log(teclado.obtenerDescripcion());
+    console.log(monitor.obtenerDescripcion());
+    console.log(libro.obtenerDescripcion());
+    console.log(cable.obtenerDescripcion());
+
+    console.log('\n' + '='.repeat(60) + '\n');
+
+    // Crear cajas y organizar productos
+    console.log('📦 CREANDO ESTRUCTURA DE CAJAS:');
+    const agregarEnCaja = (caja: Caja, elemento: ElementoPedido): void => {
+        caja.agregar(elemento);
+        console.log(`✅ Agregado '${elemento.obtenerNombre()}' a la caja '${caja.obtenerNombre()}'`);
+    };
+
+    // Caja pequeña para periféricos
+    const cajaPerifericos = new Caja('Caja Periféricos', 5.00, 'Acolchada', 5);
+    agregarEnCaja(cajaPerifericos, mouse);
+    agregarEnCaja(cajaPerifericos, teclado);
+    agregarEnCaja(cajaPerifericos, cable);
+
+    // Caja mediana para electrónicos
+    const cajaElectronicos = new Caja('Caja Electrónicos', 15.00, 'Antiestática', 3);
+    agregarEnCaja(cajaElectronicos, laptop);
+    agregarEnCaja(cajaElectronicos, monitor);
+
+    // Caja grande que contiene otras cajas y productos sueltos
+    const cajaEnvioCompleto = new Caja('Caja Envío Completo', 10.00, 'Reforzada', 8);
+    agregarEnCaja(cajaEnvioCompleto, cajaPerifericos);
+    agregarEnCaja(cajaEnvioCompleto, cajaElectronicos);
+    agregarEnCaja(cajaEnvioCompleto, libro); // Producto suelto en la caja principal
+
+    console.log('\n' + '='.repeat(60) + '\n');
+
+    // Crear pedido y agregar elementos
+    console.log('🛒 CREANDO PEDIDO:');
+    const gestor = new GestorPedidos('PED-2025-001');
+
+    // Agregar tanto productos individuales como cajas complejas
+    gestor.agregarElemento(cajaEnvioCompleto); // Caja compleja con anidamiento
+    gestor.agregarElemento(new Producto('Garantía Extendida', 99.99, 'Servicios')); // Producto individual
+    gestor.obtenerElementos().forEach(elemento => console.log(`🛒 Agregado al pedido: ${elemento.obtenerNombre()}`));
+
+    console.log('\n' + '='.repeat(60) + '\n');
+
+    // Mostrar la estructura completa del pedido
+    console.log('📋 ESTRUCTURA DETALLADA DEL PEDIDO:');
+    console.log(cajaEnvioCompleto.obtenerDescripcion());
+
+    console.log('\n' + '='.repeat(60) + '\n');
+
+    // Demostrar el cálculo de precios
+    console.log('💰 CÁLCULO DE PRECIOS (El poder del patrón Composite):');
+    console.log(`   Precio caja periféricos: ${cajaPerifericos.calcularMonto().formatear()}`);
+    console.log(`   Precio caja electrónicos: ${cajaElectronicos.calcularMonto().formatear()}`);
+    console.log(`   Precio caja envío completo: ${cajaEnvioCompleto.calcularMonto().formatear()}`);
+
+    // Generar resumen completo del pedido
+    console.log(gestor.generarResumenPedido());
+
+    // El mismo pedido, presentado a un cliente en Alemania
+    const tasas = new ProveedorTasasFijas({ EUR: 0.92, MXN: 17.1 });
+    console.log(gestor.generarResumenPedido({ moneda: 'EUR', locale: 'de-DE', proveedorTasas: tasas }));
+
+    // Mostrar estadísticas
+    const stats = gestor.obtenerEstadisticas();
+    console.log('📊 ESTADÍSTICAS DEL PEDIDO:');
+    console.log(`   • Total de elementos principales: ${stats.totalElementos}`);
+    console.log(`   • Total de productos individuales: ${stats.totalProductos}`);
+    console.log(`   • Total de cajas: ${stats.totalCajas}`);
+    console.log(`   • Precio promedio por elemento: ${Dinero.desde(stats.precioPromedio).formatear()}`);
+
+    console.log('\n' + '='.repeat(60) + '\n');
+
+    // Las operaciones inválidas lanzan errores tipados
+    console.log('🛡️  VALIDACIÓN DE LA ESTRUCTURA:');
+    try {
+        cajaPerifericos.agregar(cajaEnvioCompleto); // La caja grande ya contiene a la de periféricos
+    } catch (error) {
+        if (error instanceof ErrorPedido) {
+            console.log(`   ❌ ${error.codigo}: ${error.message}`);
+        }
+    }
+
+    // Compartir el mismo producto entre dos cajas no se detecta al agregar,
+    // pero sí al validar el pedido completo
+    cajaElectronicos.agregar(cable);
+    for (const problema of gestor.validar()) {
+        console.log(`   ⚠️  ${problema.codigo} en ${problema.ruta}: ${problema.mensaje}`);
+    }
+    cajaElectronicos.remover(cable);
+
+    console.log('\n' + '='.repeat(60));
+    console.log('✨ BENEFICIOS DEL PATRÓN COMPOSITE DEMOSTRADOS:');
+    console.log('   1. 🎯 Uniformidad: Productos y cajas se tratan igual');
+    console.log('   2. 🔄 Recursión: Cálculo automático en estructuras anidadas');
+    console.log('   3. 🧩 Flexibilidad: Fácil agregar nuevos tipos de elementos');
+    console.log('   4. 🌳 Jerarquía: Representación natural de estructuras complejas');
+    console.log('   5. 💡 Simplicidad: El cliente no distingue entre tipos');
+    console.log('='.repeat(60));
+}
+
+// Ejecutar la demostración solo cuando el archivo se ejecuta directamente
+// (no cuando otros módulos importan las clases del sistema)
+if (require.main === module) {
+    demostrarSistemaPedidos();
+}
 
 /*
 ============================================================================